@@ -10,18 +10,156 @@ Color codes:
 - Gray: No device detected
 """
 
-from flask import Flask, render_template, jsonify
+from flask import Flask, render_template, jsonify, request, Response, stream_with_context, session, redirect, url_for, g
+from werkzeug.security import generate_password_hash, check_password_hash
 import requests
+import csv
+import getpass
+import hashlib
+import hmac
+import io
 import json
+import math
+import os
+import queue
+import re
+import secrets
+import sqlite3
+import sys
+import threading
+import time
+from collections import defaultdict
+from concurrent.futures import ThreadPoolExecutor
 from datetime import datetime
+from functools import wraps
+from statistics import median
 from typing import Dict, List, Optional
+from urllib.parse import urlsplit, urlunsplit
 
 app = Flask(__name__)
+# Lax cookies aren't sent on cross-site POSTs, which keeps other sites from driving the API
+app.config['SESSION_COOKIE_SAMESITE'] = 'Lax'
+
+# Roles from least to most privileged; each can do everything the ones before it can
+ROLES = ('viewer', 'operator', 'admin')
+
+# In-progress phases tracked for timing and thresholds
+PHASES = ('bootstrap', 'triage', 'provisioning')
+
+# Default slow-phase thresholds in seconds
+DEFAULT_THRESHOLDS = {
+    'phases': {phase: {'warning': 300, 'critical': 900} for phase in PHASES},
+    'images': {}
+}
+
+# How a device state is classified
+STATE_CATEGORIES = ('in-progress', 'complete', 'error', 'unknown')
+
+# Ordered state classification rules: the first pattern (case-insensitive regex, searched
+# anywhere in the raw state) that matches decides the label, phase, category and color.
+# An empty label shows the raw state, tidied up.
+DEFAULT_STATE_RULES = [
+    {'pattern': 'error|failed', 'label': 'ERROR', 'phase': None, 'category': 'error', 'color': '#F44336'},
+    {'pattern': 'aborted', 'label': 'ABORTED', 'phase': None, 'category': 'error', 'color': '#F44336'},
+    {'pattern': 'firmware', 'label': 'UPDATING FIRMWARE', 'phase': 'bootstrap',
+     'category': 'in-progress', 'color': '#2196F3'},
+    {'pattern': 'fastboot', 'label': 'FASTBOOT INIT', 'phase': 'bootstrap', 'category': 'in-progress', 'color': '#2196F3'},
+    {'pattern': 'bootstrap-finished', 'label': 'BOOTSTRAP DONE', 'phase': 'bootstrap',
+     'category': 'in-progress', 'color': '#4CAF50'},
+    {'pattern': 'bootstrap', 'label': 'BOOTSTRAP', 'phase': 'bootstrap', 'category': 'in-progress', 'color': '#2196F3'},
+    {'pattern': 'triage-finished', 'label': 'TRIAGE DONE', 'phase': 'triage', 'category': 'in-progress', 'color': '#4CAF50'},
+    {'pattern': 'triage', 'label': 'TRIAGE', 'phase': 'triage', 'category': 'in-progress', 'color': '#2196F3'},
+    {'pattern': 'provision(er|ing).*(finished|complete)', 'label': 'COMPLETE', 'phase': None,
+     'category': 'complete', 'color': '#4CAF50'},
+    {'pattern': 'provision(er|ing)', 'label': 'PROVISIONING', 'phase': 'provisioning',
+     'category': 'in-progress', 'color': '#2196F3'},
+    {'pattern': 'finished|complete', 'label': 'COMPLETE', 'phase': None, 'category': 'complete', 'color': '#4CAF50'},
+    {'pattern': 'started|initiali[sz]ation', 'label': '', 'phase': None, 'category': 'in-progress', 'color': '#2196F3'}
+]
+
+# Limits on rule patterns and on the states tested against them in one go; patterns are
+# regular expressions run on the server, so keep what they can cost small
+MAX_RULE_PATTERN_LENGTH = 200
+MAX_TEST_STATES = 50
+MAX_STATE_LENGTH = 200
+
+# Outbound integration events: every state change, plus the ones a line controller usually acts on
+INTEGRATION_EVENTS = ('transition', 'complete', 'error', 'slow')
+
+DEFAULT_INTEGRATIONS = {
+    'webhooks': [],
+    'mqtt': {'enabled': False, 'host': '', 'port': 1883, 'topic': 'provisioning', 'username': '', 'password': '',
+             'events': list(INTEGRATION_EVENTS)}
+}
+
+# Seconds to wait before each retry of a failed delivery; after the last one it is given up
+DELIVERY_RETRY_DELAYS = (5, 30, 120, 600)
+# Delivered and failed deliveries are deleted after this many seconds; queued ones stay until they finish
+DELIVERY_RETENTION = 30 * 24 * 3600
+
+# Offered when acknowledging an error; operators can type their own too
+DEFAULT_FAILURE_REASONS = ('Bad module', 'Cable / connection', 'Image fault', 'Power supply', 'USB hub')
+# What becomes of a failed unit once its error is acknowledged
+FAILURE_DISPOSITIONS = ('retry', 'scrapped')
+
+# Devices on one port that changed at the same moment: ones still running outrank finished records
+CATEGORY_PRECEDENCE = {'in-progress': 0, 'error': 1, 'complete': 2, 'unknown': 3}
+
+# Earlier modules listed on each port card
+PREVIOUS_DEVICES_SHOWN = 5
+
+# Operator actions passed on to the provisioner, and the device categories each one applies to:
+# retry the failed phase, provision the module again from the start, or stop a run that hangs
+DEVICE_ACTIONS = {
+    'retry': ('error',),
+    'reprovision': ('complete', 'error'),
+    'abort': ('in-progress',)
+}
+# rpi-sb-provisioner itself has no endpoint for these, so they stay hidden unless the provisioners
+# are known to take POST /devices/<serial>/<action> (the simulator does)
+DEVICE_ACTIONS_ENABLED = os.environ.get('MONITOR_DEVICE_ACTIONS') == '1'
+
+# Longest time window `hours` can ask for, and the longest statistics window (one bucket per hour)
+MAX_WINDOW_HOURS = 31 * 24
+
+# Prometheus histogram buckets, in seconds
+PHASE_DURATION_BUCKETS = (30, 60, 120, 300, 600, 900, 1800, 3600)
+FETCH_DURATION_BUCKETS = (0.05, 0.1, 0.25, 0.5, 1, 2.5, 5)
+
+# Classes ports are counted in for /metrics, as on the dashboard's filter chips
+PORT_STATUS_CLASSES = ('in-progress', 'complete', 'error', 'slow', 'waiting', 'disabled', 'empty')
+
+# Provisioner names become part of port keys, so keep them short and URL-safe
+PROVISIONER_NAME_PATTERN = re.compile(r'^[A-Za-z0-9_.-]{1,32}$')
+
+def parse_provisioners(value: str) -> List[Dict]:
+    """Parse "name=http://host:3142,name2=http://host2:3142" into a provisioner list"""
+    provisioners = []
+    for entry in filter(None, (part.strip() for part in value.split(','))):
+        name, separator, url = entry.partition('=')
+        name, url = name.strip(), url.strip().rstrip('/')
+        if not separator or not url.startswith(('http://', 'https://')):
+            raise ValueError(f'Provisioner "{entry}" must look like name=http://host:3142')
+        if not PROVISIONER_NAME_PATTERN.match(name):
+            raise ValueError(f'Provisioner name "{name}" may only use letters, digits, ".", "_" and "-"')
+        if any(p['name'] == name for p in provisioners):
+            raise ValueError(f'Provisioner name "{name}" is used twice')
+        provisioners.append({'name': name, 'url': url})
+    if not provisioners:
+        raise ValueError('At least one provisioner is required')
+    return provisioners
 
 class USBPortMonitorAPI:
-    def __init__(self):
-        # Configuration
-        self.api_url = "http://localhost:3142/devices"
+    def __init__(self, provisioners: Optional[List[Dict]] = None, metrics: Optional['Metrics'] = None):
+        # Configuration: every provisioning host, polled concurrently
+        self.provisioners = provisioners or [{'name': 'local', 'url': 'http://localhost:3142'}]
+        self.metrics = metrics
+        self.devices_path = "/devices"
+        self.device_path = "/devices/{serial}"
+        self.device_log_path = "/devices/{serial}/log/{log_type}"
+        self.device_action_path = "/devices/{serial}/{action}"
+        self.log_types = ('bootstrap', 'triage', 'provisioner')
+        self.executor = ThreadPoolExecutor(max_workers=len(self.provisioners), thread_name_prefix='provisioner')
         
         # Color scheme mapping
         self.colors = {
@@ -35,78 +173,163 @@ class USBPortMonitorAPI:
             'unplugged': '#9E9E9E',      # Gray - No device
             'unknown': '#607D8B'         # Blue Gray - Unknown state
         }
+        
+        # Compiled state classification rules: [(rule, regex)]
+        self.state_rules = []
+        self.set_state_rules(DEFAULT_STATE_RULES)
+        
+        # When each reported device last changed state: (host, port, serial) -> (state, timestamp)
+        self.device_activity: Dict[tuple, tuple] = {}
+        self.activity_lock = threading.Lock()
+    
+    @property
+    def multi_host(self) -> bool:
+        return len(self.provisioners) > 1
+    
+    def provisioner(self, name: str) -> Optional[Dict]:
+        return next((p for p in self.provisioners if p['name'] == name), None)
+    
+    def port_key(self, host: str, port: str) -> str:
+        """Port key used everywhere else; hosts only prefix it when there are several"""
+        return f"{host}:{port}" if self.multi_host else port
     
-    def fetch_devices_data(self) -> Optional[Dict]:
-        """Fetch device data from the API"""
+    def hosts_to_ask(self, host: Optional[str]) -> List[str]:
+        """Provisioners to ask about a device: the one it was last seen on, or all of them"""
+        return [host] if host else [p['name'] for p in self.provisioners]
+    
+    def fetch_devices_data(self, provisioner: Dict) -> Optional[Dict]:
+        """Fetch device data from one provisioner"""
+        started = time.monotonic()
+        try:
+            response = requests.get(provisioner['url'] + self.devices_path, timeout=5)
+            response.raise_for_status()
+            data = response.json()
+        except (requests.exceptions.RequestException, ValueError) as e:
+            print(f"Error fetching data from {provisioner['name']}: {e}")
+            if self.metrics:
+                self.metrics.record_fetch(provisioner['name'], time.monotonic() - started, str(e))
+            return None
+        if self.metrics:
+            self.metrics.record_fetch(provisioner['name'], time.monotonic() - started)
+        return data
+    
+    def fetch_all_devices_data(self) -> Dict[str, Optional[Dict]]:
+        """Fetch device data from every provisioner at once, keyed by provisioner name"""
+        results = self.executor.map(self.fetch_devices_data, self.provisioners)
+        return {provisioner['name']: data for provisioner, data in zip(self.provisioners, results)}
+    
+    def fetch_device_detail(self, serial: str, host: str) -> Optional[Dict]:
+        """Fetch a provisioner's full record for one device"""
+        provisioner = self.provisioner(host)
+        if provisioner is None:
+            return None
         try:
-            response = requests.get(self.api_url, timeout=5)
+            response = requests.get(provisioner['url'] + self.device_path.format(serial=serial), timeout=5,
+                                    headers={'Accept': 'application/json'})
             response.raise_for_status()
             return response.json()
+        except (requests.exceptions.RequestException, ValueError) as e:
+            print(f"Error fetching device {serial} from {host}: {e}")
+            return None
+    
+    def fetch_device_log(self, serial: str, log_type: str, host: str) -> Optional[List[str]]:
+        """Fetch one of a device's provisioning logs as a list of lines"""
+        provisioner = self.provisioner(host)
+        if provisioner is None:
+            return None
+        try:
+            response = requests.get(provisioner['url'] + self.device_log_path.format(serial=serial, log_type=log_type),
+                                    timeout=5, headers={'Accept': 'application/json'})
+            response.raise_for_status()
         except requests.exceptions.RequestException as e:
-            print(f"Error fetching data: {e}")
+            print(f"Error fetching {log_type} log for {serial} from {host}: {e}")
             return None
+        
+        # The provisioner may answer with plain text or a JSON wrapper
+        try:
+            body = response.json()
+        except ValueError:
+            return response.text.splitlines()
+        if isinstance(body, list):
+            return [str(line) for line in body]
+        if isinstance(body, dict):
+            for key in ('log', 'content', 'lines'):
+                if key in body:
+                    value = body[key]
+                    return [str(line) for line in value] if isinstance(value, list) else str(value).splitlines()
+        return json.dumps(body, indent=2).splitlines()
+    
+    def send_device_action(self, serial: str, action: str, host: str) -> Dict:
+        """Ask a provisioner to retry, re-provision or abort a device: {'ok': bool, 'message': str}"""
+        provisioner = self.provisioner(host)
+        if provisioner is None:
+            return {'ok': False, 'message': f'Unknown provisioner {host}'}
+        try:
+            response = requests.post(provisioner['url'] + self.device_action_path.format(serial=serial, action=action),
+                                     timeout=10, headers={'Accept': 'application/json'})
+        except requests.exceptions.RequestException as e:
+            print(f"Error sending {action} for {serial} to {host}: {e}")
+            return {'ok': False, 'message': f'{host} did not answer: {e}'}
+        
+        # Pass on the provisioner's own explanation when it gives one
+        try:
+            body = response.json()
+        except ValueError:
+            body = None
+        message = (body.get('message') or body.get('error') or '') if isinstance(body, dict) else ''
+        if not response.ok:
+            return {'ok': False, 'message': str(message) or f'{host} answered HTTP {response.status_code}'}
+        return {'ok': True, 'message': str(message)}
+    
+    def set_state_rules(self, rules: List[Dict]):
+        """Replace the state classification rules (already validated)"""
+        self.state_rules = [(rule, re.compile(rule['pattern'], re.IGNORECASE)) for rule in rules]
+    
+    def classify_state(self, state: str, rules: Optional[List] = None) -> Dict:
+        """Label, phase, category and color of a raw state from the first matching rule"""
+        for index, (rule, regex) in enumerate(self.state_rules if rules is None else rules):
+            if regex.search(state):
+                return {
+                    'label': rule['label'] or state.replace('-', ' ').replace('_', ' ').upper(),
+                    'phase': rule['phase'],
+                    'category': rule['category'],
+                    'color': rule['color'],
+                    'rule': index
+                }
+        
+        # No rule matched: show the raw state, tidied up
+        return {
+            'label': state.replace('-', ' ').replace('_', ' ').upper(),
+            'phase': None,
+            'category': 'unknown',
+            'color': self.colors['unknown'],
+            'rule': None
+        }
     
     def get_device_color(self, state: str, is_connected: bool = True) -> str:
         """Determine the color for a device based on its state"""
         if not is_connected:
             return self.colors['unplugged']
-        
-        state_lower = state.lower()
-        
-        # Finished/Complete states (GREEN)
-        if 'finished' in state_lower or 'complete' in state_lower:
-            return self.colors['complete']
-        
-        # Error/Failed states (RED) 
-        elif 'error' in state_lower or 'failed' in state_lower or 'aborted' in state_lower:
-            return self.colors['error']
-        
-        # In-progress states (BLUE)
-        elif ('bootstrap' in state_lower or 'provisioning' in state_lower or 
-              'triage' in state_lower or 'started' in state_lower or
-              'initialisation' in state_lower or 'firmware' in state_lower):
-            return self.colors['bootstrap']
-        
-        # Default to unknown (PURPLE)
-        else:
-            return self.colors['unknown']
+        return self.classify_state(state)['color']
     
     def get_status_text(self, state: str) -> str:
         """Get human-readable status text"""
-        state_lower = state.lower()
-        
-        # Simplify common states for display
-        if 'bootstrap-started' in state_lower:
-            return 'BOOTSTRAP'
-        elif 'bootstrap-finished' in state_lower:
-            return 'BOOTSTRAP DONE'
-        elif 'bootstrap' in state_lower and 'firmware' in state_lower:
-            return 'UPDATING FIRMWARE'
-        elif 'bootstrap' in state_lower and 'fastboot' in state_lower:
-            return 'FASTBOOT INIT'
-        elif 'triage-started' in state_lower:
-            return 'TRIAGE'
-        elif 'triage-finished' in state_lower:
-            return 'TRIAGE DONE'
-        elif 'naked-provisioner-started' in state_lower:
-            return 'PROVISIONING'
-        elif 'naked-provisioner-finished' in state_lower:
-            return 'COMPLETE'
-        elif 'provisioning' in state_lower:
-            return 'PROVISIONING'
-        elif 'finished' in state_lower or 'complete' in state_lower:
-            return 'COMPLETE'
-        elif 'error' in state_lower or 'failed' in state_lower:
-            return 'ERROR'
-        elif 'aborted' in state_lower:
-            return 'ABORTED'
-        else:
-            # Clean up the raw state for display
-            display_state = state.replace('-', ' ').replace('_', ' ')
-            return display_state.upper()
+        return self.classify_state(state)['label']
+    
+    def is_error_state(self, state: str) -> bool:
+        """Whether a raw provisioner state represents a failure"""
+        return self.classify_state(state)['category'] == 'error'
+    
+    def is_complete_state(self, state: str) -> bool:
+        """Whether a raw provisioner state means the device finished provisioning"""
+        return self.classify_state(state)['category'] == 'complete'
+    
+    def get_phase(self, state: str) -> Optional[str]:
+        """In-progress phase of a state, or None when complete, errored or unknown"""
+        return self.classify_state(state)['phase']
     
-    def process_devices_data(self, devices_data: Dict) -> Dict:
-        """Process device data for display"""
+    def process_devices_data(self, devices_data: Dict, host: str) -> Dict:
+        """Process one provisioner's device data for display"""
         if not devices_data or 'devices' not in devices_data:
             return {
                 'ports': [],
@@ -125,34 +348,41 @@ class USBPortMonitorAPI:
                 port_devices[port] = []
             port_devices[port].append(device)
         
-        # Process each port
+        # Process each port; the provisioner keeps records of earlier devices on a port,
+        # so the one shown is the most recently active rather than whichever it listed first
         processed_ports = []
-        for port, port_device_list in sorted(port_devices.items()):
+        ranked = self.rank_devices(host, port_devices)
+        for port, port_device_list in sorted(ranked.items()):
             primary_device = port_device_list[0] if port_device_list else None
             
             if primary_device:
-                state = primary_device.get('state', 'unknown')
-                color = self.get_device_color(state, True)
-                status_text = self.get_status_text(state)
-                
                 port_info = {
-                    'port': port,
+                    'port': self.port_key(host, port),
+                    'host': host,
+                    'usb_port': port,
                     'has_device': True,
-                    'state': state,
-                    'status_text': status_text,
-                    'color': color,
-                    'serial': primary_device.get('serial', 'Unknown'),
-                    'serial_short': primary_device.get('serial', 'Unknown')[:12] + ('...' if len(primary_device.get('serial', '')) > 12 else ''),
-                    'ip_address': primary_device.get('ip_address', 'N/A'),
-                    'image': primary_device.get('image', 'N/A')
+                    'state': primary_device['state'],
+                    'status_text': primary_device['status_text'],
+                    'color': primary_device['color'],
+                    'phase': primary_device['phase'],
+                    'category': primary_device['category'],
+                    'serial': primary_device['serial'],
+                    'serial_short': primary_device['serial_short'],
+                    'ip_address': primary_device['ip_address'],
+                    'image': primary_device['image'],
+                    'devices': port_device_list
                 }
             else:
                 port_info = {
-                    'port': port,
+                    'port': self.port_key(host, port),
+                    'host': host,
+                    'usb_port': port,
                     'has_device': False,
                     'state': 'no_device',
                     'status_text': 'NO DEVICE',
                     'color': self.colors['unplugged'],
+                    'phase': None,
+                    'category': 'unknown',
                     'serial': '',
                     'serial_short': '',
                     'ip_address': '',
@@ -167,38 +397,2609 @@ class USBPortMonitorAPI:
             'message': f'{len(processed_ports)} ports monitored',
             'timestamp': datetime.now().strftime('%H:%M:%S')
         }
+    
+    def rank_devices(self, host: str, port_devices: Dict[str, List[Dict]]) -> Dict[str, List[Dict]]:
+        """Every device reported on each port, most recently active first, the first one marked active.
+
+        The provisioner reports no timestamps, so a device's activity is when this process first saw
+        it in its current state. Ties (e.g. everything at startup) go to devices still in progress,
+        then errors, then completed ones, then to whichever the provisioner listed later.
+        """
+        now = time.time()
+        ranked = {}
+        with self.activity_lock:
+            reported = set()
+            for port, port_device_list in port_devices.items():
+                entries = []
+                for position, device in enumerate(port_device_list):
+                    serial = device.get('serial', 'Unknown')
+                    state = device.get('state', 'unknown')
+                    key = (host, port, serial)
+                    reported.add(key)
+                    previous = self.device_activity.get(key)
+                    if previous is None or previous[0] != state:
+                        self.device_activity[key] = (state, now)
+                    classification = self.classify_state(state)
+                    entries.append((position, {
+                        'serial': serial,
+                        'serial_short': serial[:12] + ('...' if len(serial) > 12 else ''),
+                        'state': state,
+                        'status_text': classification['label'],
+                        'color': classification['color'],
+                        'phase': classification['phase'],
+                        'category': classification['category'],
+                        'ip_address': device.get('ip_address', 'N/A'),
+                        'image': device.get('image', 'N/A'),
+                        'last_change': self.device_activity[key][1],
+                        'active': False
+                    }))
+                entries.sort(key=lambda entry: (
+                    -self.device_activity[(host, port, entry[1]['serial'])][1],
+                    CATEGORY_PRECEDENCE.get(entry[1]['category'], len(CATEGORY_PRECEDENCE)),
+                    -entry[0]
+                ))
+                ranked[port] = [device for _, device in entries]
+                if ranked[port]:
+                    ranked[port][0]['active'] = True
+            
+            # Forget devices this provisioner no longer reports
+            for key in [key for key in self.device_activity if key[0] == host and key not in reported]:
+                del self.device_activity[key]
+        return ranked
+
+class HistoryStore:
+    """SQLite-backed log of every state transition seen from the provisioner"""
+
+    def __init__(self, db_path: str):
+        self.db_path = db_path
+        self.lock = threading.Lock()
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        self.conn.row_factory = sqlite3.Row
+        self._create_schema()
+        # Last recorded state per port, so restarts don't log duplicate transitions
+        self.last_seen = self._load_last_seen()
+        # Earlier modules per port, refreshed when the port's serial changes: port -> (serial, devices)
+        self.previous_devices: Dict[str, tuple] = {}
+
+    def _create_schema(self):
+        with self.lock, self.conn:
+            self.conn.executescript('''
+                CREATE TABLE IF NOT EXISTS state_transitions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp REAL NOT NULL,
+                    port TEXT NOT NULL,
+                    serial TEXT NOT NULL,
+                    state TEXT NOT NULL,
+                    status_text TEXT NOT NULL,
+                    previous_state TEXT,
+                    image TEXT,
+                    ip_address TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_transitions_timestamp ON state_transitions (timestamp);
+                CREATE INDEX IF NOT EXISTS idx_transitions_port ON state_transitions (port);
+                CREATE INDEX IF NOT EXISTS idx_transitions_serial ON state_transitions (serial);
+            ''')
+
+    def _load_last_seen(self) -> Dict[str, Dict]:
+        with self.lock:
+            rows = self.conn.execute('''
+                SELECT port, serial, state, timestamp FROM state_transitions
+                WHERE id IN (SELECT MAX(id) FROM state_transitions GROUP BY port)
+            ''').fetchall()
+        return {row['port']: dict(row) for row in rows}
+
+    def record_transitions(self, ports: List[Dict]) -> List[Dict]:
+        """Log ports whose serial or state changed and annotate each with `state_since`"""
+        now = time.time()
+        transitions = []
+
+        with self.lock:
+            current_ports = set()
+            for port_info in ports:
+                port = port_info['port']
+                current_ports.add(port)
+                previous = self.last_seen.get(port)
+
+                if not previous or previous['serial'] != port_info['serial'] or previous['state'] != port_info['state']:
+                    transitions.append({
+                        'timestamp': now,
+                        'port': port,
+                        'serial': port_info['serial'],
+                        'state': port_info['state'],
+                        'status_text': port_info['status_text'],
+                        'previous_state': previous['state'] if previous else None,
+                        'image': port_info['image'],
+                        'ip_address': port_info['ip_address']
+                    })
+                    previous = {'port': port, 'serial': port_info['serial'],
+                                'state': port_info['state'], 'timestamp': now}
+                    self.last_seen[port] = previous
+
+                port_info['state_since'] = previous['timestamp']
+
+            # Ports the provisioner stopped reporting were unplugged
+            for port, previous in list(self.last_seen.items()):
+                if port not in current_ports and previous['state'] != 'disconnected':
+                    transitions.append({
+                        'timestamp': now,
+                        'port': port,
+                        'serial': previous['serial'],
+                        'state': 'disconnected',
+                        'status_text': 'DISCONNECTED',
+                        'previous_state': previous['state'],
+                        'image': None,
+                        'ip_address': None
+                    })
+                    self.last_seen[port] = {'port': port, 'serial': previous['serial'],
+                                            'state': 'disconnected', 'timestamp': now}
+
+            if transitions:
+                with self.conn:
+                    self.conn.executemany('''
+                        INSERT INTO state_transitions
+                            (timestamp, port, serial, state, status_text, previous_state, image, ip_address)
+                        VALUES (:timestamp, :port, :serial, :state, :status_text, :previous_state, :image, :ip_address)
+                    ''', transitions)
+
+            for port_info in ports:
+                port_info['previous_devices'] = self._previous_devices(port_info)
+
+        return transitions
+
+    def _previous_devices(self, port_info: Dict) -> List[Dict]:
+        """Modules provisioned on a port before the ones it reports now, newest first (lock held)"""
+        port = port_info['port']
+        cached = self.previous_devices.get(port)
+        if cached is None or cached[0] != port_info['serial']:
+            rows = self.conn.execute('''
+                SELECT serial, state, status_text, image, MAX(timestamp) AS timestamp FROM state_transitions
+                WHERE port = ? AND state != 'disconnected'
+                GROUP BY serial ORDER BY timestamp DESC LIMIT ?
+            ''', (port, PREVIOUS_DEVICES_SHOWN + 1)).fetchall()
+            cached = (port_info['serial'], [dict(row) for row in rows])
+            self.previous_devices[port] = cached
+
+        reported = {device['serial'] for device in port_info.get('devices', [])} | {port_info['serial']}
+        return [device for device in cached[1] if device['serial'] not in reported][:PREVIOUS_DEVICES_SHOWN]
+
+    def events_between(self, since: float, until: float) -> List[Dict]:
+        """Return all transitions in a time range, oldest first"""
+        with self.lock:
+            rows = self.conn.execute('''
+                SELECT * FROM state_transitions
+                WHERE timestamp >= ? AND timestamp <= ?
+                ORDER BY timestamp ASC, id ASC
+            ''', (since, until)).fetchall()
+        return [dict(row) for row in rows]
+
+    def device_events(self, port: str, serial: str) -> List[Dict]:
+        """Every transition of one serial on one port, oldest first"""
+        with self.lock:
+            rows = self.conn.execute('''
+                SELECT * FROM state_transitions WHERE port = ? AND serial = ?
+                ORDER BY timestamp ASC, id ASC
+            ''', (port, serial)).fetchall()
+        return [dict(row) for row in rows]
+
+    def query(self, serial: Optional[str] = None, port: Optional[str] = None, state: Optional[str] = None,
+              since: Optional[float] = None, until: Optional[float] = None, limit: int = 500) -> List[Dict]:
+        """Return transitions, newest first, matching all given filters"""
+        clauses, params = [], []
+        if serial:
+            clauses.append('serial LIKE ?')
+            params.append(f'%{serial}%')
+        if port:
+            clauses.append('port LIKE ?')
+            params.append(f'%{port}%')
+        if state:
+            clauses.append('(state LIKE ? OR status_text LIKE ?)')
+            params.extend([f'%{state}%', f'%{state}%'])
+        if since is not None:
+            clauses.append('timestamp >= ?')
+            params.append(since)
+        if until is not None:
+            clauses.append('timestamp <= ?')
+            params.append(until)
+
+        sql = 'SELECT * FROM state_transitions'
+        if clauses:
+            sql += ' WHERE ' + ' AND '.join(clauses)
+        sql += ' ORDER BY timestamp DESC, id DESC LIMIT ?'
+        params.append(limit)
+
+        with self.lock:
+            rows = self.conn.execute(sql, params).fetchall()
+
+        events = []
+        for row in rows:
+            event = dict(row)
+            event['time'] = datetime.fromtimestamp(event['timestamp']).strftime('%Y-%m-%d %H:%M:%S')
+            events.append(event)
+        return events
+
+class SettingsStore:
+    """JSON settings persisted in the monitor database"""
+
+    def __init__(self, db_path: str):
+        self.lock = threading.Lock()
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        with self.lock, self.conn:
+            self.conn.execute('''
+                CREATE TABLE IF NOT EXISTS settings (
+                    key TEXT PRIMARY KEY,
+                    value TEXT NOT NULL
+                )
+            ''')
+
+    def get(self, key: str, default=None):
+        with self.lock:
+            row = self.conn.execute('SELECT value FROM settings WHERE key = ?', (key,)).fetchone()
+        return json.loads(row[0]) if row else default
+
+    def set(self, key: str, value):
+        with self.lock, self.conn:
+            self.conn.execute(
+                'INSERT INTO settings (key, value) VALUES (?, ?) '
+                'ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+                (key, json.dumps(value))
+            )
+
+class PortControlStore:
+    """Operator-set port states (disabled, waiting for a new CM module, error acknowledged) shared by all clients"""
+
+    def __init__(self, db_path: str):
+        self.lock = threading.Lock()
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        self.conn.row_factory = sqlite3.Row
+        with self.lock, self.conn:
+            self.conn.execute('''
+                CREATE TABLE IF NOT EXISTS port_controls (
+                    port TEXT PRIMARY KEY,
+                    disabled INTEGER NOT NULL DEFAULT 0,
+                    disabled_since REAL,
+                    waiting INTEGER NOT NULL DEFAULT 0,
+                    waiting_since REAL,
+                    last_serial TEXT,
+                    acknowledged_serial TEXT,
+                    acknowledged_state TEXT,
+                    acknowledged_at REAL,
+                    acknowledged_reason TEXT,
+                    acknowledged_disposition TEXT,
+                    acknowledged_by TEXT
+                )
+            ''')
+            # Databases from before error acknowledgement lack its columns
+            columns = {row['name'] for row in self.conn.execute('PRAGMA table_info(port_controls)')}
+            for column, column_type in (('acknowledged_serial', 'TEXT'), ('acknowledged_state', 'TEXT'),
+                                        ('acknowledged_at', 'REAL'), ('acknowledged_reason', 'TEXT'),
+                                        ('acknowledged_disposition', 'TEXT'), ('acknowledged_by', 'TEXT')):
+                if column not in columns:
+                    self.conn.execute(f'ALTER TABLE port_controls ADD COLUMN {column} {column_type}')
+            rows = self.conn.execute('SELECT * FROM port_controls').fetchall()
+        self.controls = {row['port']: self._from_row(row) for row in rows}
+
+    @staticmethod
+    def _from_row(row) -> Dict:
+        return {
+            'port': row['port'],
+            'disabled': bool(row['disabled']),
+            'disabled_since': row['disabled_since'],
+            'waiting': bool(row['waiting']),
+            'waiting_since': row['waiting_since'],
+            'last_serial': row['last_serial'],
+            'acknowledged_serial': row['acknowledged_serial'],
+            'acknowledged_state': row['acknowledged_state'],
+            'acknowledged_at': row['acknowledged_at'],
+            'acknowledged_reason': row['acknowledged_reason'],
+            'acknowledged_disposition': row['acknowledged_disposition'],
+            'acknowledged_by': row['acknowledged_by']
+        }
+
+    # An acknowledgement that isn't there, or is dropped
+    NO_ACKNOWLEDGEMENT = {'acknowledged_serial': None, 'acknowledged_state': None, 'acknowledged_at': None,
+                          'acknowledged_reason': None, 'acknowledged_disposition': None, 'acknowledged_by': None}
+
+    @classmethod
+    def default(cls, port: str) -> Dict:
+        return {'port': port, 'disabled': False, 'disabled_since': None,
+                'waiting': False, 'waiting_since': None, 'last_serial': None, **cls.NO_ACKNOWLEDGEMENT}
+
+    @staticmethod
+    def is_set(control: Dict) -> bool:
+        return control['disabled'] or control['waiting'] or control['acknowledged_at'] is not None
+
+    def all(self) -> Dict[str, Dict]:
+        """Controls for every port that has any set"""
+        with self.lock:
+            return {port: dict(control) for port, control in self.controls.items() if self.is_set(control)}
+
+    def get(self, port: str) -> Dict:
+        with self.lock:
+            return dict(self.controls.get(port) or self.default(port))
+
+    @staticmethod
+    def validate_changes(changes: Dict):
+        """Raise ValueError unless `changes` only holds known fields with the right types"""
+        if not isinstance(changes, dict):
+            raise ValueError('Request body must be a JSON object')
+        unknown = set(changes) - {'disabled', 'waiting', 'last_serial', 'acknowledged', 'reason', 'disposition'}
+        if unknown:
+            raise ValueError(f'Unknown fields: {", ".join(sorted(unknown))}')
+        for field in ('disabled', 'waiting', 'acknowledged'):
+            if field in changes and not isinstance(changes[field], bool):
+                raise ValueError(f'"{field}" must be true or false')
+        if 'last_serial' in changes and not isinstance(changes['last_serial'], (str, type(None))):
+            raise ValueError('"last_serial" must be a string')
+
+        if changes.get('acknowledged'):
+            reason = changes.get('reason')
+            if not isinstance(reason, str) or not reason.strip():
+                raise ValueError('A failure reason is required to acknowledge an error')
+            if len(reason.strip()) > 100:
+                raise ValueError('Failure reasons are limited to 100 characters')
+            if changes.get('disposition') not in (None, *FAILURE_DISPOSITIONS):
+                raise ValueError(f'"disposition" must be one of: {", ".join(FAILURE_DISPOSITIONS)}')
+        elif 'reason' in changes or 'disposition' in changes:
+            raise ValueError('"reason" and "disposition" only go with "acknowledged": true')
+
+    def update(self, port: str, changes: Dict, port_info: Optional[Dict] = None,
+               username: Optional[str] = None) -> Dict:
+        """Apply `disabled`, `waiting`, `last_serial` and `acknowledged` changes, raising ValueError on bad input.
+
+        Acknowledging needs the port's current data, and holds for the device and error state it had then.
+        """
+        self.validate_changes(changes)
+        if changes.get('acknowledged') and not (port_info and port_info.get('category') == 'error'):
+            raise ValueError(f'Port {port} has no error to acknowledge')
+
+        now = time.time()
+        with self.lock:
+            control = dict(self.controls.get(port) or self.default(port))
+
+            if 'disabled' in changes and changes['disabled'] != control['disabled']:
+                control['disabled'] = changes['disabled']
+                control['disabled_since'] = now if changes['disabled'] else None
+
+            if 'waiting' in changes and changes['waiting'] != control['waiting']:
+                control['waiting'] = changes['waiting']
+                control['waiting_since'] = now if changes['waiting'] else None
+                if not changes['waiting']:
+                    control['last_serial'] = None
+            if 'last_serial' in changes and control['waiting']:
+                control['last_serial'] = changes['last_serial']
+
+            if changes.get('acknowledged'):
+                control.update({'acknowledged_serial': port_info['serial'], 'acknowledged_state': port_info['state'],
+                                'acknowledged_at': now, 'acknowledged_reason': changes['reason'].strip(),
+                                'acknowledged_disposition': changes.get('disposition'), 'acknowledged_by': username})
+            elif changes.get('acknowledged') is False:
+                control.update(self.NO_ACKNOWLEDGEMENT)
+
+            self._save(control)
+            return dict(control)
+
+    def _save(self, control: Dict):
+        self.controls[control['port']] = control
+        with self.conn:
+            self.conn.execute('''
+                INSERT INTO port_controls (port, disabled, disabled_since, waiting, waiting_since, last_serial,
+                                           acknowledged_serial, acknowledged_state, acknowledged_at,
+                                           acknowledged_reason, acknowledged_disposition, acknowledged_by)
+                VALUES (:port, :disabled, :disabled_since, :waiting, :waiting_since, :last_serial,
+                        :acknowledged_serial, :acknowledged_state, :acknowledged_at,
+                        :acknowledged_reason, :acknowledged_disposition, :acknowledged_by)
+                ON CONFLICT(port) DO UPDATE SET
+                    disabled = excluded.disabled, disabled_since = excluded.disabled_since,
+                    waiting = excluded.waiting, waiting_since = excluded.waiting_since,
+                    last_serial = excluded.last_serial, acknowledged_serial = excluded.acknowledged_serial,
+                    acknowledged_state = excluded.acknowledged_state, acknowledged_at = excluded.acknowledged_at,
+                    acknowledged_reason = excluded.acknowledged_reason,
+                    acknowledged_disposition = excluded.acknowledged_disposition,
+                    acknowledged_by = excluded.acknowledged_by
+            ''', control)
+
+    def clear_stale_acknowledgements(self, ports: List[Dict]) -> bool:
+        """Drop acknowledgements whose port has moved on to another device or state; True if any were dropped"""
+        current = {p['port']: p for p in ports}
+        cleared = False
+        with self.lock:
+            for control in list(self.controls.values()):
+                if control['acknowledged_at'] is None:
+                    continue
+                port_info = current.get(control['port'])
+                if (not port_info or port_info['serial'] != control['acknowledged_serial']
+                        or port_info['state'] != control['acknowledged_state']):
+                    self._save({**control, **self.NO_ACKNOWLEDGEMENT})
+                    cleared = True
+        return cleared
+
+    def check_for_new_bootstrap(self, ports: List[Dict]) -> List[Dict]:
+        """Release waiting ports where a new device (different serial) has started bootstrapping"""
+        released = []
+        with self.lock:
+            for port_info in ports:
+                control = self.controls.get(port_info['port'])
+                if not control or not control['waiting']:
+                    continue
+
+                serial = port_info.get('serial')
+                is_bootstrap = port_info.get('phase') == 'bootstrap'
+                if serial and serial != control['last_serial'] and is_bootstrap:
+                    print(f"New bootstrap detected on waiting port {control['port']}: {serial} (was {control['last_serial']})")
+                    released.append({'port': control['port'], 'serial': serial,
+                                      'previous_serial': control['last_serial']})
+                    self._save({**control, 'waiting': False, 'waiting_since': None, 'last_serial': None})
+        return released
+
+def validate_threshold_pair(value: Dict, where: str) -> Dict:
+    """Check a {warning, critical} pair of positive seconds with warning below critical"""
+    try:
+        warning = float(value['warning'])
+        critical = float(value['critical'])
+    except (KeyError, TypeError, ValueError):
+        raise ValueError(f'{where} needs numeric warning and critical values')
+    if warning <= 0 or critical <= 0:
+        raise ValueError(f'{where} thresholds must be positive')
+    if warning >= critical:
+        raise ValueError(f'{where} warning threshold must be below critical')
+    return {'warning': warning, 'critical': critical}
+
+def validate_thresholds(data: Dict) -> Dict:
+    """Validate a thresholds document, raising ValueError with a readable message"""
+    if not isinstance(data, dict):
+        raise ValueError('Thresholds must be a JSON object')
+
+    phases = data.get('phases', {})
+    validated = {'phases': {}, 'images': {}}
+    for phase in PHASES:
+        validated['phases'][phase] = validate_threshold_pair(
+            phases.get(phase, DEFAULT_THRESHOLDS['phases'][phase]), f'Phase "{phase}"')
+
+    for image, overrides in (data.get('images') or {}).items():
+        if not image or not isinstance(overrides, dict):
+            raise ValueError('Image overrides must map an image name to phase thresholds')
+        validated['images'][image] = {}
+        for phase, value in overrides.items():
+            if phase not in PHASES:
+                raise ValueError(f'Unknown phase "{phase}" for image "{image}"')
+            validated['images'][image][phase] = validate_threshold_pair(value, f'Image "{image}" {phase}')
+
+    return validated
+
+def validate_state_rules(data) -> List[Dict]:
+    """Validate an ordered list of state classification rules, raising ValueError with a readable message"""
+    if not isinstance(data, list) or not data:
+        raise ValueError('State rules must be a non-empty list')
+    if len(data) > 100:
+        raise ValueError('At most 100 state rules are supported')
+
+    validated = []
+    for number, rule in enumerate(data, start=1):
+        if not isinstance(rule, dict):
+            raise ValueError(f'Rule {number} must be an object')
+        pattern = str(rule.get('pattern') or '').strip()
+        if not pattern:
+            raise ValueError(f'Rule {number} needs a pattern')
+        if len(pattern) > MAX_RULE_PATTERN_LENGTH:
+            raise ValueError(f'Rule {number} pattern is longer than {MAX_RULE_PATTERN_LENGTH} characters')
+        try:
+            re.compile(pattern, re.IGNORECASE)
+        except re.error as e:
+            raise ValueError(f'Rule {number} pattern is not a valid regular expression: {e}')
+
+        phase = rule.get('phase') or None
+        if phase is not None and phase not in PHASES:
+            raise ValueError(f'Rule {number} has unknown phase "{phase}"')
+        category = rule.get('category')
+        if category not in STATE_CATEGORIES:
+            raise ValueError(f'Rule {number} category must be one of: {", ".join(STATE_CATEGORIES)}')
+        if phase and category != 'in-progress':
+            raise ValueError(f'Rule {number}: only in-progress states can have a phase')
+        color = str(rule.get('color') or '')
+        if not re.fullmatch(r'#[0-9A-Fa-f]{6}', color):
+            raise ValueError(f'Rule {number} color must look like #4CAF50')
+
+        validated.append({
+            'pattern': pattern,
+            'label': str(rule.get('label') or '').strip(),
+            'phase': phase,
+            'category': category,
+            'color': color.upper()
+        })
+    return validated
+
+def validate_layout(data: Dict) -> Dict:
+    """Validate a physical port layout document, raising ValueError with a readable message"""
+    if not isinstance(data, dict):
+        raise ValueError('Layout must be a JSON object')
+
+    groups = data.get('groups', [])
+    if not isinstance(groups, list):
+        raise ValueError('"groups" must be a list')
+
+    validated = {'groups': [], 'ports': {}}
+    columns_by_group = {}
+    for group in groups:
+        name = str(group.get('name', '')).strip() if isinstance(group, dict) else ''
+        if not name:
+            raise ValueError('Every group needs a name')
+        if name in columns_by_group:
+            raise ValueError(f'Duplicate group "{name}"')
+        try:
+            columns = int(group.get('columns', 4))
+        except (TypeError, ValueError):
+            raise ValueError(f'Group "{name}" columns must be a number')
+        if not 1 <= columns <= 12:
+            raise ValueError(f'Group "{name}" must have between 1 and 12 columns')
+        columns_by_group[name] = columns
+        validated['groups'].append({'name': name, 'columns': columns})
+
+    ports = data.get('ports', {})
+    if not isinstance(ports, dict):
+        raise ValueError('"ports" must map port paths to their placement')
+
+    occupied = {}
+    for port, placement in ports.items():
+        if not isinstance(placement, dict):
+            raise ValueError(f'Placement for "{port}" must be an object')
+        entry = {'label': str(placement.get('label') or '').strip()}
+
+        group = placement.get('group')
+        if group:
+            if group not in columns_by_group:
+                raise ValueError(f'Port "{port}" refers to unknown group "{group}"')
+            try:
+                row, col = int(placement['row']), int(placement['col'])
+            except (KeyError, TypeError, ValueError):
+                raise ValueError(f'Port "{port}" needs a numeric row and col')
+            if row < 1 or not 1 <= col <= columns_by_group[group]:
+                raise ValueError(f'Port "{port}" is outside the grid of group "{group}"')
+            if (group, row, col) in occupied:
+                raise ValueError(f'Ports "{occupied[(group, row, col)]}" and "{port}" share the same slot')
+            occupied[(group, row, col)] = port
+            entry.update({'group': group, 'row': row, 'col': col})
+
+        validated['ports'][port] = entry
+
+    return validated
+
+def validate_event_list(value, where: str) -> List[str]:
+    if value is None:
+        return list(INTEGRATION_EVENTS)
+    if not isinstance(value, list) or any(event not in INTEGRATION_EVENTS for event in value):
+        raise ValueError(f'{where} events must be a list drawn from: {", ".join(INTEGRATION_EVENTS)}')
+    return [event for event in INTEGRATION_EVENTS if event in value]
+
+def validate_integrations(data: Dict) -> Dict:
+    """Validate the webhook and MQTT settings, raising ValueError with a readable message"""
+    if not isinstance(data, dict):
+        raise ValueError('Integrations must be a JSON object')
+
+    webhooks = data.get('webhooks') or []
+    if not isinstance(webhooks, list):
+        raise ValueError('"webhooks" must be a list')
+    validated = {'webhooks': [], 'mqtt': dict(DEFAULT_INTEGRATIONS['mqtt'])}
+    for index, webhook in enumerate(webhooks, start=1):
+        if not isinstance(webhook, dict):
+            raise ValueError(f'Webhook {index} must be an object')
+        url = str(webhook.get('url') or '').strip()
+        if not re.match(r'^https?://[^\s/]+', url):
+            raise ValueError(f'Webhook {index} needs an http:// or https:// URL')
+        validated['webhooks'].append({
+            'url': url,
+            'events': validate_event_list(webhook.get('events'), f'Webhook {index}'),
+            'secret': str(webhook.get('secret') or ''),
+            'enabled': bool(webhook.get('enabled', True))
+        })
+
+    mqtt = data.get('mqtt') or {}
+    if not isinstance(mqtt, dict):
+        raise ValueError('"mqtt" must be an object')
+    enabled = bool(mqtt.get('enabled', False))
+    host = str(mqtt.get('host') or '').strip()
+    topic = str(mqtt.get('topic') or DEFAULT_INTEGRATIONS['mqtt']['topic']).strip().strip('/')
+    try:
+        port = int(mqtt.get('port', 1883))
+    except (TypeError, ValueError):
+        raise ValueError('MQTT port must be a number')
+    if not 1 <= port <= 65535:
+        raise ValueError('MQTT port must be between 1 and 65535')
+    if enabled and not host:
+        raise ValueError('MQTT needs a broker host when enabled')
+    if not topic or '+' in topic or '#' in topic:
+        raise ValueError('MQTT topic must be set and cannot contain wildcards')
+    validated['mqtt'] = {
+        'enabled': enabled,
+        'host': host,
+        'port': port,
+        'topic': topic,
+        'username': str(mqtt.get('username') or ''),
+        'password': str(mqtt.get('password') or ''),
+        'events': validate_event_list(mqtt.get('events'), 'MQTT')
+    }
+    return validated
+
+class UserStore:
+    """Dashboard logins and read-only kiosk tokens"""
+
+    def __init__(self, db_path: str):
+        self.lock = threading.Lock()
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        self.conn.row_factory = sqlite3.Row
+        with self.lock, self.conn:
+            self.conn.executescript('''
+                CREATE TABLE IF NOT EXISTS users (
+                    username TEXT PRIMARY KEY,
+                    password_hash TEXT NOT NULL,
+                    role TEXT NOT NULL
+                );
+                CREATE TABLE IF NOT EXISTS kiosk_tokens (
+                    name TEXT PRIMARY KEY,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    created_at REAL NOT NULL
+                );
+            ''')
+
+    def has_users(self) -> bool:
+        with self.lock:
+            return self.conn.execute('SELECT 1 FROM users LIMIT 1').fetchone() is not None
+
+    def list(self) -> List[Dict]:
+        with self.lock:
+            rows = self.conn.execute('SELECT username, role FROM users ORDER BY username').fetchall()
+        return [dict(row) for row in rows]
+
+    def set_user(self, username: str, password: str, role: str):
+        """Create a user or replace their password and role"""
+        if role not in ROLES:
+            raise ValueError(f'Role must be one of: {", ".join(ROLES)}')
+        if not username or not password:
+            raise ValueError('Username and password are required')
+        with self.lock, self.conn:
+            self.conn.execute(
+                'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?) '
+                'ON CONFLICT(username) DO UPDATE SET password_hash = excluded.password_hash, role = excluded.role',
+                (username, generate_password_hash(password), role)
+            )
+
+    def delete_user(self, username: str) -> bool:
+        with self.lock, self.conn:
+            return self.conn.execute('DELETE FROM users WHERE username = ?', (username,)).rowcount > 0
+
+    def authenticate(self, username: str, password: str) -> Optional[Dict]:
+        with self.lock:
+            row = self.conn.execute('SELECT * FROM users WHERE username = ?', (username,)).fetchone()
+        if row and check_password_hash(row['password_hash'], password):
+            return {'username': row['username'], 'role': row['role']}
+        return None
+
+    def role_of(self, username: str) -> Optional[str]:
+        """Current role of a logged-in user, so role changes and deletions apply immediately"""
+        with self.lock:
+            row = self.conn.execute('SELECT role FROM users WHERE username = ?', (username,)).fetchone()
+        return row['role'] if row else None
+
+    @staticmethod
+    def _hash_token(token: str) -> str:
+        return hashlib.sha256(token.encode()).hexdigest()
+
+    def create_token(self, name: str) -> str:
+        """Create a kiosk token; only its hash is stored, so it is shown once"""
+        token = secrets.token_urlsafe(24)
+        with self.lock, self.conn:
+            self.conn.execute(
+                'INSERT INTO kiosk_tokens (name, token_hash, created_at) VALUES (?, ?, ?) '
+                'ON CONFLICT(name) DO UPDATE SET token_hash = excluded.token_hash, created_at = excluded.created_at',
+                (name, self._hash_token(token), time.time())
+            )
+        return token
+
+    def delete_token(self, name: str) -> bool:
+        with self.lock, self.conn:
+            return self.conn.execute('DELETE FROM kiosk_tokens WHERE name = ?', (name,)).rowcount > 0
+
+    def list_tokens(self) -> List[Dict]:
+        with self.lock:
+            rows = self.conn.execute('SELECT name, created_at FROM kiosk_tokens ORDER BY name').fetchall()
+        return [dict(row) for row in rows]
+
+    def token_name(self, token: str) -> Optional[str]:
+        with self.lock:
+            row = self.conn.execute('SELECT name FROM kiosk_tokens WHERE token_hash = ?',
+                                    (self._hash_token(token),)).fetchone()
+        return row['name'] if row else None
+
+class AuditLog:
+    """Who changed what and when, for every state-changing action"""
+
+    def __init__(self, db_path: str):
+        self.lock = threading.Lock()
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        self.conn.row_factory = sqlite3.Row
+        with self.lock, self.conn:
+            self.conn.executescript('''
+                CREATE TABLE IF NOT EXISTS audit_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp REAL NOT NULL,
+                    username TEXT NOT NULL,
+                    role TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    details TEXT,
+                    remote_addr TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_audit_timestamp ON audit_log (timestamp);
+            ''')
+
+    def record(self, user: Dict, action: str, target: Optional[str] = None, details=None,
+               remote_addr: Optional[str] = None):
+        with self.lock, self.conn:
+            self.conn.execute('''
+                INSERT INTO audit_log (timestamp, username, role, action, target, details, remote_addr)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            ''', (time.time(), user['username'], user['role'], action, target,
+                  json.dumps(details) if details is not None else None, remote_addr))
+
+    def query(self, limit: int = 500) -> List[Dict]:
+        """Newest entries first"""
+        with self.lock:
+            rows = self.conn.execute('SELECT * FROM audit_log ORDER BY id DESC LIMIT ?', (limit,)).fetchall()
+        return [
+            {**dict(row), 'details': json.loads(row['details']) if row['details'] else None,
+             'time': datetime.fromtimestamp(row['timestamp']).strftime('%Y-%m-%d %H:%M:%S')}
+            for row in rows
+        ]
+
+class FailureLog:
+    """The reason an operator gave for each failed device they acknowledged, and what became of the unit"""
+
+    def __init__(self, db_path: str):
+        self.lock = threading.Lock()
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        self.conn.row_factory = sqlite3.Row
+        with self.lock, self.conn:
+            self.conn.executescript('''
+                CREATE TABLE IF NOT EXISTS failures (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    timestamp REAL NOT NULL,
+                    port TEXT NOT NULL,
+                    serial TEXT NOT NULL,
+                    state TEXT NOT NULL,
+                    reason TEXT NOT NULL,
+                    disposition TEXT,
+                    username TEXT
+                );
+                CREATE INDEX IF NOT EXISTS idx_failures_timestamp ON failures (timestamp);
+            ''')
+
+    def record(self, control: Dict, amend: bool = False):
+        """Log an acknowledgement from a port's controls; `amend` replaces the reason given for the same error"""
+        values = (control['port'], control['acknowledged_serial'], control['acknowledged_state'])
+        details = (control['acknowledged_reason'], control['acknowledged_disposition'], control['acknowledged_by'])
+        with self.lock, self.conn:
+            if amend:
+                row = self.conn.execute('''
+                    SELECT id FROM failures WHERE port = ? AND serial = ? AND state = ? ORDER BY id DESC LIMIT 1
+                ''', values).fetchone()
+                if row:
+                    self.conn.execute('UPDATE failures SET reason = ?, disposition = ?, username = ? WHERE id = ?',
+                                      (*details, row['id']))
+                    return
+            self.conn.execute('''
+                INSERT INTO failures (timestamp, port, serial, state, reason, disposition, username)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            ''', (control['acknowledged_at'], *values, *details))
+
+    def between(self, since: float, until: float) -> List[Dict]:
+        """Failures acknowledged in a time range, newest first"""
+        with self.lock:
+            rows = self.conn.execute('''
+                SELECT * FROM failures WHERE timestamp >= ? AND timestamp < ? ORDER BY id DESC
+            ''', (since, until)).fetchall()
+        return [{**dict(row), 'time': datetime.fromtimestamp(row['timestamp']).strftime('%Y-%m-%d %H:%M:%S')}
+                for row in rows]
+
+    def reasons(self) -> List[str]:
+        """Reasons to offer: the most used first, then the defaults not used yet"""
+        with self.lock:
+            rows = self.conn.execute('''
+                SELECT reason FROM failures GROUP BY reason COLLATE NOCASE ORDER BY COUNT(*) DESC, MAX(id) DESC LIMIT 20
+            ''').fetchall()
+        used = [row['reason'] for row in rows]
+        seen = {reason.casefold() for reason in used}
+        return used + [reason for reason in DEFAULT_FAILURE_REASONS if reason.casefold() not in seen]
+
+class BatchStore:
+    """Work orders: a named run with an expected image and target quantity that completions count toward"""
+
+    def __init__(self, db_path: str):
+        self.lock = threading.Lock()
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        self.conn.row_factory = sqlite3.Row
+        with self.lock, self.conn:
+            self.conn.executescript('''
+                CREATE TABLE IF NOT EXISTS batches (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT NOT NULL,
+                    image TEXT NOT NULL,
+                    target INTEGER NOT NULL,
+                    started_at REAL NOT NULL,
+                    closed_at REAL
+                );
+                CREATE TABLE IF NOT EXISTS batch_devices (
+                    batch_id INTEGER NOT NULL REFERENCES batches (id),
+                    serial TEXT NOT NULL,
+                    port TEXT NOT NULL,
+                    image TEXT,
+                    timestamp REAL NOT NULL,
+                    image_mismatch INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (batch_id, serial)
+                );
+            ''')
+
+    def active(self) -> Optional[Dict]:
+        """The open batch with its progress, or None"""
+        with self.lock:
+            row = self.conn.execute('SELECT * FROM batches WHERE closed_at IS NULL ORDER BY id DESC LIMIT 1').fetchone()
+        return self.progress(dict(row)) if row else None
+
+    def get(self, batch_id: int) -> Optional[Dict]:
+        with self.lock:
+            row = self.conn.execute('SELECT * FROM batches WHERE id = ?', (batch_id,)).fetchone()
+        return self.progress(dict(row)) if row else None
+
+    def recent(self, limit: int = 20) -> List[Dict]:
+        with self.lock:
+            rows = self.conn.execute('SELECT * FROM batches ORDER BY id DESC LIMIT ?', (limit,)).fetchall()
+        return [self.progress(dict(row)) for row in rows]
+
+    def devices(self, batch_id: int) -> List[Dict]:
+        with self.lock:
+            rows = self.conn.execute(
+                'SELECT * FROM batch_devices WHERE batch_id = ? ORDER BY timestamp ASC', (batch_id,)
+            ).fetchall()
+        return [{**dict(row), 'image_mismatch': bool(row['image_mismatch'])} for row in rows]
+
+    def progress(self, batch: Dict) -> Dict:
+        """Add completion counts, throughput and ETA to a batch row"""
+        with self.lock:
+            row = self.conn.execute(
+                'SELECT COUNT(*), COALESCE(SUM(image_mismatch), 0) FROM batch_devices WHERE batch_id = ?',
+                (batch['id'],)
+            ).fetchone()
+        completed, mismatched = row[0], row[1]
+        elapsed = (batch['closed_at'] or time.time()) - batch['started_at']
+        rate = completed / (elapsed / 3600) if completed and elapsed > 0 else 0
+        remaining = max(batch['target'] - completed, 0)
+
+        return {
+            **batch,
+            'completed': completed,
+            'mismatched': mismatched,
+            'remaining': remaining,
+            'percent': round(min(completed / batch['target'], 1) * 100, 1),
+            'rate_per_hour': round(rate, 2),
+            # Only estimate once there is throughput to go on, and never for a closed batch
+            'eta_seconds': round(remaining / rate * 3600) if rate and remaining and not batch['closed_at'] else None
+        }
+
+    def start(self, data: Dict) -> Dict:
+        """Open a new batch, raising ValueError on bad input or if one is already open"""
+        if not isinstance(data, dict):
+            raise ValueError('Request body must be a JSON object')
+        name = str(data.get('name') or '').strip()
+        image = str(data.get('image') or '').strip()
+        if not name:
+            raise ValueError('The batch needs a name')
+        try:
+            target = int(data.get('target'))
+        except (TypeError, ValueError):
+            raise ValueError('"target" must be a number')
+        if target < 1:
+            raise ValueError('"target" must be at least 1')
+
+        with self.lock, self.conn:
+            if self.conn.execute('SELECT 1 FROM batches WHERE closed_at IS NULL').fetchone():
+                raise ValueError('A batch is already running; close it first')
+            cursor = self.conn.execute(
+                'INSERT INTO batches (name, image, target, started_at) VALUES (?, ?, ?, ?)',
+                (name, image, target, time.time())
+            )
+        return self.get(cursor.lastrowid)
+
+    def close(self, batch_id: int) -> Optional[Dict]:
+        with self.lock, self.conn:
+            self.conn.execute('UPDATE batches SET closed_at = ? WHERE id = ? AND closed_at IS NULL',
+                              (time.time(), batch_id))
+        return self.get(batch_id)
+
+    def record_completions(self, completions: List[Dict]) -> List[Dict]:
+        """Count transitions into a complete state toward the open batch; returns the devices newly counted"""
+        if not completions:
+            return []
+
+        counted = []
+        with self.lock, self.conn:
+            batch = self.conn.execute('SELECT * FROM batches WHERE closed_at IS NULL ORDER BY id DESC LIMIT 1').fetchone()
+            if not batch:
+                return []
+            for transition in completions:
+                image = transition['image'] if transition['image'] not in (None, 'N/A') else None
+                mismatch = batch_image_mismatch(batch['image'], image)
+                cursor = self.conn.execute('''
+                    INSERT OR IGNORE INTO batch_devices (batch_id, serial, port, image, timestamp, image_mismatch)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                ''', (batch['id'], transition['serial'], transition['port'], image, transition['timestamp'], mismatch))
+                # A serial re-provisioned within the same batch only counts once
+                if cursor.rowcount:
+                    counted.append({'batch_id': batch['id'], 'serial': transition['serial'], 'port': transition['port'],
+                                    'image': image, 'expected_image': batch['image'], 'image_mismatch': mismatch})
+        return counted
+
+class IntegrationDispatcher:
+    """Delivers events to webhooks and MQTT from a persistent queue, retrying failures with backoff"""
+
+    def __init__(self, db_path: str):
+        self.lock = threading.Lock()
+        self.wakeup = threading.Event()
+        self.config = DEFAULT_INTEGRATIONS
+        self.thread: Optional[threading.Thread] = None
+        self.last_prune = 0.0
+        self.conn = sqlite3.connect(db_path, check_same_thread=False)
+        self.conn.row_factory = sqlite3.Row
+        with self.lock, self.conn:
+            self.conn.executescript('''
+                CREATE TABLE IF NOT EXISTS deliveries (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    event TEXT NOT NULL,
+                    target_type TEXT NOT NULL,
+                    target TEXT NOT NULL,
+                    payload TEXT NOT NULL,
+                    status TEXT NOT NULL,
+                    attempts INTEGER NOT NULL DEFAULT 0,
+                    last_error TEXT,
+                    response_code INTEGER,
+                    created_at REAL NOT NULL,
+                    updated_at REAL NOT NULL,
+                    next_attempt REAL
+                );
+                CREATE INDEX IF NOT EXISTS idx_deliveries_due ON deliveries (status, next_attempt);
+            ''')
+
+    def configure(self, config: Dict):
+        self.config = config
+
+    def targets(self, event: str) -> List[tuple]:
+        """(type, target) pairs subscribed to an event; a test event goes to every enabled target"""
+        targets = [('webhook', hook['url']) for hook in self.config['webhooks']
+                   if hook['enabled'] and (event == 'test' or event in hook['events'])]
+        mqtt = self.config['mqtt']
+        if mqtt['enabled'] and (event == 'test' or event in mqtt['events']):
+            targets.append(('mqtt', self.mqtt_target(event)))
+        return targets
+
+    def mqtt_target(self, event: str) -> str:
+        """Where an event goes on the configured broker, as shown in the delivery log"""
+        mqtt = self.config['mqtt']
+        return f"{mqtt['host']}:{mqtt['port']}/{mqtt['topic']}/{event}"
+
+    def emit(self, event: str, payload: Dict) -> int:
+        """Queue an event for every target subscribed to it; returns the number of deliveries queued"""
+        targets = self.targets(event)
+        if not targets:
+            return 0
+        now = time.time()
+        body = json.dumps(payload)
+        with self.lock, self.conn:
+            self.conn.executemany('''
+                INSERT INTO deliveries (event, target_type, target, payload, status, created_at, updated_at, next_attempt)
+                VALUES (?, ?, ?, ?, 'pending', ?, ?, ?)
+            ''', [(event, target_type, target, body, now, now, now) for target_type, target in targets])
+        self.wakeup.set()
+        return len(targets)
+
+    def start(self):
+        """Start the background sender if it isn't running yet"""
+        with self.lock:
+            if self.thread and self.thread.is_alive():
+                return
+            self.thread = threading.Thread(target=self._run, name='integration-sender', daemon=True)
+            self.thread.start()
+
+    def _run(self):
+        while True:
+            try:
+                self.deliver_due()
+                self.prune()
+            except Exception as e:
+                print(f"Error in integration sender: {e}")
+            # Wake early when something is queued, otherwise check for due retries every few seconds
+            self.wakeup.wait(5)
+            self.wakeup.clear()
+
+    def deliver_due(self):
+        with self.lock:
+            rows = self.conn.execute('''
+                SELECT * FROM deliveries WHERE status IN ('pending', 'retrying') AND next_attempt <= ?
+                ORDER BY id ASC LIMIT 50
+            ''', (time.time(),)).fetchall()
+        for row in rows:
+            self._attempt(dict(row))
+
+    def prune(self):
+        """Delete finished deliveries older than DELIVERY_RETENTION, at most once an hour"""
+        now = time.time()
+        if now - self.last_prune < 3600:
+            return
+        self.last_prune = now
+        with self.lock, self.conn:
+            self.conn.execute('''
+                DELETE FROM deliveries WHERE status IN ('delivered', 'failed') AND updated_at < ?
+            ''', (now - DELIVERY_RETENTION,))
+
+    def _attempt(self, delivery: Dict):
+        attempts = delivery['attempts'] + 1
+        response_code = None
+        try:
+            response_code = self._send(delivery)
+            status, error, next_attempt = 'delivered', None, None
+        except LookupError as e:
+            # The target left the settings after this was queued; sending it anyway would go out unsigned
+            status, error, next_attempt = 'failed', str(e), None
+        except Exception as e:
+            error = str(e)[:500]
+            if attempts <= len(DELIVERY_RETRY_DELAYS):
+                status, next_attempt = 'retrying', time.time() + DELIVERY_RETRY_DELAYS[attempts - 1]
+            else:
+                status, next_attempt = 'failed', None
+            response_code = getattr(getattr(e, 'response', None), 'status_code', None)
+
+        with self.lock, self.conn:
+            self.conn.execute('''
+                UPDATE deliveries SET status = ?, attempts = ?, last_error = ?, response_code = ?,
+                    updated_at = ?, next_attempt = ?
+                WHERE id = ?
+            ''', (status, attempts, error, response_code, time.time(), next_attempt, delivery['id']))
+
+    def _send(self, delivery: Dict) -> Optional[int]:
+        """Send one delivery with the current settings, raising on failure"""
+        body = delivery['payload']
+        if delivery['target_type'] == 'webhook':
+            hook = next((h for h in self.config['webhooks'] if h['url'] == delivery['target'] and h['enabled']), None)
+            if hook is None:
+                raise LookupError('The webhook was removed, disabled or changed its URL since this was queued')
+            headers = {'Content-Type': 'application/json', 'X-Monitor-Event': delivery['event'],
+                       'X-Monitor-Delivery': str(delivery['id'])}
+            if hook.get('secret'):
+                # Lets the receiver check the body came from this monitor and wasn't altered
+                digest = hmac.new(hook['secret'].encode(), body.encode(), hashlib.sha256).hexdigest()
+                headers['X-Monitor-Signature'] = f'sha256={digest}'
+            response = requests.post(delivery['target'], data=body, headers=headers, timeout=5)
+            response.raise_for_status()
+            return response.status_code
+
+        mqtt = self.config['mqtt']
+        if not mqtt['enabled'] or delivery['target'] != self.mqtt_target(delivery['event']):
+            raise LookupError('MQTT was disabled or moved to another broker or topic since this was queued')
+        try:
+            from paho.mqtt import publish
+        except ImportError:
+            raise RuntimeError('paho-mqtt is not installed (pip install paho-mqtt)')
+        auth = {'username': mqtt['username'], 'password': mqtt['password'] or None} if mqtt['username'] else None
+        publish.single(f"{mqtt['topic']}/{delivery['event']}", payload=body, qos=1,
+                       hostname=mqtt['host'], port=mqtt['port'], auth=auth, keepalive=10)
+        return None
+
+    def retry(self, delivery_id: int) -> bool:
+        """Send a failed delivery again as soon as possible"""
+        with self.lock, self.conn:
+            cursor = self.conn.execute('''
+                UPDATE deliveries SET status = 'pending', next_attempt = ?, updated_at = ?
+                WHERE id = ? AND status IN ('failed', 'retrying')
+            ''', (time.time(), time.time(), delivery_id))
+        self.wakeup.set()
+        return bool(cursor.rowcount)
+
+    def log(self, status: Optional[str] = None, limit: int = 200) -> List[Dict]:
+        """Deliveries, newest first"""
+        sql, params = 'SELECT * FROM deliveries', []
+        if status:
+            sql += ' WHERE status = ?'
+            params.append(status)
+        sql += ' ORDER BY id DESC LIMIT ?'
+        params.append(limit)
+        with self.lock:
+            rows = self.conn.execute(sql, params).fetchall()
+
+        stamp = lambda t: datetime.fromtimestamp(t).strftime('%Y-%m-%d %H:%M:%S') if t else None
+        return [
+            {**dict(row), 'payload': json.loads(row['payload']), 'time': stamp(row['created_at']),
+             'updated': stamp(row['updated_at']), 'next_attempt_time': stamp(row['next_attempt'])}
+            for row in rows
+        ]
+
+class Metrics:
+    """In-process counters and histograms for /metrics; like any Prometheus counter they restart at zero"""
+
+    def __init__(self):
+        self.lock = threading.Lock()
+        self.completions: Dict[tuple, int] = defaultdict(int)  # (port, image) -> count
+        self.errors: Dict[tuple, int] = defaultdict(int)
+        self.phase_durations = {phase: self._histogram(PHASE_DURATION_BUCKETS) for phase in PHASES}
+        self.fetch_durations: Dict[str, Dict] = {}  # provisioner -> histogram
+        self.fetch_failures: Dict[str, int] = defaultdict(int)
+        # Last request to each provisioner: {ok, time, duration, error, last_success}
+        self.fetches: Dict[str, Dict] = {}
+
+    @staticmethod
+    def _histogram(buckets: tuple) -> Dict:
+        return {'buckets': buckets, 'counts': [0] * len(buckets), 'sum': 0.0, 'count': 0}
+
+    @staticmethod
+    def _observe(histogram: Dict, value: float):
+        for index, bound in enumerate(histogram['buckets']):
+            if value <= bound:
+                histogram['counts'][index] += 1
+        histogram['sum'] += value
+        histogram['count'] += 1
+
+    def record_fetch(self, provisioner: str, duration: float, error: Optional[str] = None):
+        """One request to a provisioner's device list, failed when `error` is given"""
+        now = time.time()
+        with self.lock:
+            histogram = self.fetch_durations.setdefault(provisioner, self._histogram(FETCH_DURATION_BUCKETS))
+            self._observe(histogram, duration)
+            previous = self.fetches.get(provisioner, {})
+            if error:
+                self.fetch_failures[provisioner] += 1
+            self.fetches[provisioner] = {
+                'ok': error is None, 'time': now, 'duration': duration, 'error': error,
+                'last_success': now if error is None else previous.get('last_success')
+            }
+
+    def record_transitions(self, transitions: List[Dict]):
+        """Count completions and errors"""
+        with self.lock:
+            for transition in transitions:
+                if monitor.is_complete_state(transition['state']):
+                    self.completions[(transition['port'], transition['image'] or '')] += 1
+                elif monitor.is_error_state(transition['state']):
+                    self.errors[(transition['port'], transition['image'] or '')] += 1
+
+    def record_phase(self, phase: str, seconds: float):
+        """A phase a device moved on from, timed from its `phase_since`"""
+        with self.lock:
+            self._observe(self.phase_durations[phase], seconds)
+
+    def last_fetches(self) -> Dict[str, Dict]:
+        """The last device list request to each provisioner"""
+        with self.lock:
+            return {name: dict(fetch) for name, fetch in self.fetches.items()}
+
+    def render(self, port_counts: Dict[str, int], clients: int, provisioners: List[Dict]) -> str:
+        """Everything in the Prometheus text exposition format"""
+        lines = []
+
+        def family(name: str, kind: str, help_text: str):
+            lines.append(f'# HELP usb_port_monitor_{name} {help_text}')
+            lines.append(f'# TYPE usb_port_monitor_{name} {kind}')
+
+        def sample(name: str, labels: Dict[str, str], value):
+            label_text = ','.join(f'{key}="{prometheus_escape(str(val))}"' for key, val in labels.items())
+            lines.append(f'usb_port_monitor_{name}{{{label_text}}} {value}' if label_text
+                         else f'usb_port_monitor_{name} {value}')
+
+        def histogram(name: str, labels: Dict[str, str], data: Dict):
+            for bound, count in zip(data['buckets'], data['counts']):
+                sample(f'{name}_bucket', {**labels, 'le': bound}, count)
+            sample(f'{name}_bucket', {**labels, 'le': '+Inf'}, data['count'])
+            sample(f'{name}_sum', labels, round(data['sum'], 3))
+            sample(f'{name}_count', labels, data['count'])
+
+        with self.lock:
+            family('ports', 'gauge', 'Ports currently reported, by status class')
+            for status in PORT_STATUS_CLASSES:
+                sample('ports', {'status': status}, port_counts.get(status, 0))
+
+            family('completions_total', 'counter', 'Devices that finished provisioning, by port and image')
+            for (port, image), count in sorted(self.completions.items()):
+                sample('completions_total', {'port': port, 'image': image}, count)
+
+            family('errors_total', 'counter', 'Devices that failed or aborted, by port and image')
+            for (port, image), count in sorted(self.errors.items()):
+                sample('errors_total', {'port': port, 'image': image}, count)
+
+            family('phase_duration_seconds', 'histogram', 'Time devices spent in each provisioning phase')
+            for phase, data in self.phase_durations.items():
+                histogram('phase_duration_seconds', {'phase': phase}, data)
+
+            family('provisioner_up', 'gauge', 'Whether the last device list request to the provisioner succeeded')
+            for provisioner in provisioners:
+                fetch = self.fetches.get(provisioner['name'])
+                sample('provisioner_up', {'provisioner': provisioner['name']}, 1 if fetch and fetch['ok'] else 0)
+
+            family('provisioner_fetch_duration_seconds', 'histogram', 'Time taken by device list requests to the provisioner')
+            for name, data in sorted(self.fetch_durations.items()):
+                histogram('provisioner_fetch_duration_seconds', {'provisioner': name}, data)
+
+            family('provisioner_fetch_failures_total', 'counter', 'Device list requests to the provisioner that failed')
+            for provisioner in provisioners:
+                sample('provisioner_fetch_failures_total', {'provisioner': provisioner['name']},
+                       self.fetch_failures.get(provisioner['name'], 0))
+
+        family('connected_clients', 'gauge', 'Browsers connected to the live update stream')
+        sample('connected_clients', {}, clients)
+        return '\n'.join(lines) + '\n'
+
+def prometheus_escape(value: str) -> str:
+    """Escape a label value for the Prometheus text format"""
+    return value.replace('\\', '\\\\').replace('"', '\\"').replace('\n', '\\n')
+
+class DeviceStreamBroker:
+    """Polls the provisioner once and pushes per-port diffs to every connected client"""
+
+    def __init__(self, monitor: USBPortMonitorAPI, history: HistoryStore, port_controls: PortControlStore,
+                 batches: BatchStore, integrations: Optional[IntegrationDispatcher] = None,
+                 thresholds: Optional[Dict] = None, poll_interval: float = 2.0, metrics: Optional[Metrics] = None):
+        self.monitor = monitor
+        self.history = history
+        self.port_controls = port_controls
+        self.batches = batches
+        self.integrations = integrations
+        self.thresholds = thresholds or DEFAULT_THRESHOLDS
+        self.poll_interval = poll_interval
+        self.metrics = metrics
+        self.last_poll: Optional[float] = None  # When the provisioners were last asked, for /healthz
+        self.subscribers: List[queue.Queue] = []
+        self.lock = threading.Lock()
+        # One poll at a time: the poller thread and a request's first snapshot share the phase bookkeeping
+        self.poll_lock = threading.Lock()
+        self.latest: Optional[Dict] = None
+        self.raw_devices: Dict[str, List[Dict]] = {}  # Device records exactly as each provisioner last sent them
+        self.thread: Optional[threading.Thread] = None
+        # Per (port, serial): the current phase with when it started, and the slow levels already announced
+        self.phase_started: Dict[tuple, tuple] = {}
+        self.slow_alerted: Dict[tuple, str] = {}
+
+    def start(self):
+        """Start the background poller if it isn't running yet"""
+        if self.integrations:
+            self.integrations.start()
+        with self.lock:
+            if self.thread and self.thread.is_alive():
+                return
+            self.thread = threading.Thread(target=self._run, name='provisioner-poller', daemon=True)
+            self.thread.start()
+
+    def _run(self):
+        while True:
+            try:
+                self.poll_once()
+            except Exception as e:
+                print(f"Error in provisioner poller: {e}")
+            time.sleep(self.poll_interval)
+
+    def poll_once(self) -> Dict:
+        """Fetch from every provisioner, publish the changes and return the new snapshot"""
+        with self.poll_lock:
+            return self._poll()
+
+    def _poll(self) -> Dict:
+        results = self.monitor.fetch_all_devices_data()
+        self.last_poll = time.time()
+        timestamp = datetime.now().strftime('%H:%M:%S')
+        with self.lock:
+            previous_ports = (self.latest or {}).get('ports', [])
+            # Filled in as a copy and swapped in whole, since requests read it from other threads
+            raw_devices = dict(self.raw_devices)
+
+        ports = []
+        hosts = []
+        for provisioner in self.monitor.provisioners:
+            name = provisioner['name']
+            raw_data = results[name]
+            processed_host = self.monitor.process_devices_data(raw_data, name) if isinstance(raw_data, dict) else None
+
+            if processed_host is None or processed_host['status'] != 'success':
+                # Keep the host's last known ports so an outage doesn't read as every device unplugging
+                ports.extend(p for p in previous_ports if p.get('host') == name)
+                hosts.append({'name': name, 'url': provisioner['url'], 'status': 'error',
+                              'message': 'Not responding' if raw_data is None else 'Unexpected response'})
+                continue
+
+            raw_devices[name] = raw_data.get('devices', [])
+            ports.extend(processed_host['ports'])
+            hosts.append({'name': name, 'url': provisioner['url'], 'status': 'connected',
+                          'message': processed_host['message']})
+        with self.lock:
+            self.raw_devices = raw_devices
+
+        offline = [host for host in hosts if host['status'] == 'error']
+        if len(offline) == len(hosts):
+            payload = {
+                'ports': [],
+                'hosts': hosts,
+                'status': 'error',
+                'message': 'Failed to connect to provisioner service',
+                'timestamp': timestamp
+            }
+            with self.lock:
+                # Keep the last good port list so reconnecting clients still see it
+                if self.latest is None or self.latest['status'] == 'error':
+                    self.latest = payload
+                else:
+                    self.latest = {**self.latest, 'status': 'error', 'hosts': hosts,
+                                   'message': payload['message'], 'timestamp': payload['timestamp']}
+            self.publish('provisioner-error', payload)
+            return payload
+
+        message = f'{len(ports)} ports monitored'
+        if offline:
+            message += f" ({len(offline)} of {len(hosts)} hosts offline: {', '.join(h['name'] for h in offline)})"
+        processed = {'ports': ports, 'hosts': hosts, 'status': 'success', 'message': message, 'timestamp': timestamp}
+
+        transitions = self.history.record_transitions(processed['ports'])
+        if self.metrics:
+            self.metrics.record_transitions(transitions)
+        counted = self.batches.record_completions(
+            [t for t in transitions if t['serial'] and self.monitor.is_complete_state(t['state'])])
+        # Runs here rather than in the browser so waiting ports advance with no page open
+        released = self.port_controls.check_for_new_bootstrap(processed['ports'])
+        acknowledgements_cleared = self.port_controls.clear_stale_acknowledgements(processed['ports'])
+        self.track_phases(processed['ports'], {host['name'] for host in offline})
+        if self.integrations:
+            self.emit_integration_events(transitions, processed['ports'])
+            self.check_slow_phases(processed['ports'], {host['name'] for host in offline})
+        with self.lock:
+            previous = self.latest
+            self.latest = processed
+        self.publish('diff', self.diff(previous, processed))
+
+        for release in released:
+            self.publish('port-released', release)
+        if released or acknowledgements_cleared:
+            self.publish('port-controls', self.port_controls.all())
+        for device in counted:
+            if device['image_mismatch']:
+                self.publish('batch-mismatch', device)
+        if counted:
+            self.publish('batch', {'active': self.batches.active()})
+        return processed
+
+    def integration_payload(self, event: str, port_info: Dict, batch: Optional[Dict]) -> Dict:
+        """Event body sent to webhooks and MQTT for a device on a port"""
+        now = time.time()
+        classification = self.monitor.classify_state(port_info['state'])
+        events = self.history.device_events(port_info['port'], port_info['serial']) if port_info['serial'] else []
+        return {
+            'event': event,
+            'id': secrets.token_hex(8),
+            'timestamp': now,
+            'time': datetime.fromtimestamp(now).isoformat(timespec='seconds'),
+            'port': port_info['port'],
+            'host': port_info.get('host'),
+            'serial': port_info['serial'],
+            'image': port_info.get('image'),
+            'ip_address': port_info.get('ip_address'),
+            'state': port_info['state'],
+            'status_text': port_info.get('status_text'),
+            'previous_state': port_info.get('previous_state'),
+            'phase': classification['phase'],
+            'category': classification['category'],
+            'phase_durations': phase_durations(events, now),
+            'batch': batch['name'] if batch else None
+        }
+
+    def emit_integration_events(self, transitions: List[Dict], ports: List[Dict]):
+        """Queue transition, complete and error events for the changes in one poll"""
+        wanted = [event for event in ('transition', 'complete', 'error') if self.integrations.targets(event)]
+        if not transitions or not wanted:
+            return
+
+        batch = self.batches.active()
+        hosts = {p['port']: p.get('host') for p in ports}
+        for transition in transitions:
+            port_info = {**transition, 'host': hosts.get(transition['port'])}
+            category = self.monitor.classify_state(transition['state'])['category']
+            for event in ('transition', category):
+                if event in wanted:
+                    self.integrations.emit(event, self.integration_payload(event, port_info, batch))
+
+    def track_phases(self, ports: List[Dict], offline_hosts: set):
+        """Annotate each device in a timed phase with `phase_since`, when it entered that phase.
+
+        Every browser, the slow events and /metrics time phases from this, so they agree
+        with each other and survive page reloads. A phase the device moved on from goes into
+        the /metrics phase duration histogram.
+        """
+        now = time.time()
+        active = set()
+        devices = {(port_info['port'], port_info['serial']): port_info for port_info in ports if port_info['has_device']}
+        for port_info in ports:
+            phase = self.monitor.get_phase(port_info['state']) if port_info['has_device'] else None
+            if not phase:
+                continue
+            key = (port_info['port'], port_info['serial'])
+            active.add(key)
+            # Offline hosts' ports are the last poll's, already annotated
+            if port_info.get('host') in offline_hosts:
+                continue
+            started = self.phase_started.get(key)
+            if not started or started[0] != phase:
+                previous = started
+                started = self.phase_started[key] = (phase, self.recorded_phase_start(port_info, phase) or now)
+                self.slow_alerted.pop(key, None)
+                if previous and self.metrics:
+                    self.metrics.record_phase(previous[0], started[1] - previous[1])
+            port_info['phase_since'] = started[1]
+
+        # Forget devices that left their phase, so the dictionaries don't grow forever
+        for key in [key for key in self.phase_started if key not in active]:
+            phase, since = self.phase_started.pop(key)
+            self.slow_alerted.pop(key, None)
+            # Finished or failed counts; unplugging mid-phase or a different device on the port doesn't
+            port_info = devices.get(key)
+            if port_info and port_info['state'] != 'disconnected' and self.metrics:
+                self.metrics.record_phase(phase, port_info.get('state_since', now) - since)
+
+    def recorded_phase_start(self, port_info: Dict, phase: str) -> Optional[float]:
+        """When the recorded history has the device entering its current phase, e.g. before a restart"""
+        since = port_info.get('state_since')
+        for event in reversed(self.history.device_events(port_info['port'], port_info['serial'])):
+            if self.monitor.get_phase(event['state']) != phase:
+                break
+            since = event['timestamp']
+        return since
+
+    def check_slow_phases(self, ports: List[Dict], offline_hosts: set):
+        """Queue a slow event the first time a device passes the warning and critical limits of a phase"""
+        now = time.time()
+        for port_info in ports:
+            phase = self.monitor.get_phase(port_info['state']) if port_info['has_device'] else None
+            if not phase or 'phase_since' not in port_info or port_info.get('host') in offline_hosts:
+                continue
+            key = (port_info['port'], port_info['serial'])
+
+            # Per-image overrides win over the per-phase defaults, as on the dashboard
+            threshold = self.thresholds['images'].get(port_info['image'], {}).get(phase) or self.thresholds['phases'][phase]
+            elapsed = now - port_info['phase_since']
+            level = 'critical' if elapsed > threshold['critical'] else 'warning' if elapsed > threshold['warning'] else None
+            if not level or self.slow_alerted.get(key) in (level, 'critical'):
+                continue
+            self.slow_alerted[key] = level
+            payload = self.integration_payload('slow', port_info, self.batches.active())
+            payload.update({'level': level, 'elapsed_seconds': round(elapsed), 'threshold_seconds': threshold[level]})
+            self.integrations.emit('slow', payload)
+
+    def diff(self, old: Optional[Dict], new: Dict) -> Dict:
+        """Describe the ports that changed between two snapshots"""
+        old_ports = {p['port']: p for p in (old or {}).get('ports', [])}
+        new_ports = {p['port']: p for p in new['ports']}
+
+        return {
+            'changed': [p for key, p in new_ports.items() if old_ports.get(key) != p],
+            'removed': [key for key in old_ports if key not in new_ports],
+            'order': [p['port'] for p in new['ports']],
+            'hosts': new.get('hosts', []),
+            'status': new['status'],
+            'message': new['message'],
+            'timestamp': new['timestamp']
+        }
+
+    def find_port(self, port: str) -> Optional[Dict]:
+        """A port as of the last poll"""
+        with self.lock:
+            ports = (self.latest or {}).get('ports', [])
+        return next((p for p in ports if p['port'] == port), None)
+
+    def find_device(self, serial: str):
+        """Provisioner name and raw record of the device with a serial, from the last poll"""
+        with self.lock:
+            raw_devices = self.raw_devices
+        for host, devices in raw_devices.items():
+            for device in devices:
+                if device.get('serial') == serial:
+                    return host, device
+        return None, None
+
+    def status_counts(self) -> Dict[str, int]:
+        """Reported ports per status class: disabled and waiting first, then slow phases, then the state category"""
+        with self.lock:
+            ports = (self.latest or {}).get('ports', [])
+        controls = self.port_controls.all()
+        now = time.time()
+        counts = {status: 0 for status in PORT_STATUS_CLASSES}
+        for port_info in ports:
+            control = controls.get(port_info['port'], {})
+            phase = self.monitor.get_phase(port_info['state']) if port_info['has_device'] else None
+            if control.get('disabled'):
+                status = 'disabled'
+            elif control.get('waiting'):
+                status = 'waiting'
+            elif phase and self.is_slow(port_info, phase, now):
+                status = 'slow'
+            elif port_info['has_device'] and port_info['category'] in ('in-progress', 'complete', 'error'):
+                status = port_info['category']
+            else:
+                status = 'empty'
+            counts[status] += 1
+        return counts
+
+    def is_slow(self, port_info: Dict, phase: str, now: float) -> bool:
+        """Whether a device has been in its phase past the warning limit"""
+        started = port_info.get('phase_since', now)
+        threshold = self.thresholds['images'].get(port_info['image'], {}).get(phase) or self.thresholds['phases'][phase]
+        return now - started > threshold['warning']
+
+    def current(self) -> Dict:
+        """Latest snapshot, polling synchronously if nothing has been fetched yet"""
+        self.start()
+        with self.lock:
+            latest = self.latest
+        if latest is not None:
+            return latest
+        with self.poll_lock:
+            # The poller may have finished its first poll while this request waited
+            with self.lock:
+                latest = self.latest
+            return latest if latest is not None else self._poll()
+
+    def subscribe(self) -> queue.Queue:
+        client_queue = queue.Queue(maxsize=100)
+        with self.lock:
+            self.subscribers.append(client_queue)
+        return client_queue
+
+    def unsubscribe(self, client_queue: queue.Queue):
+        with self.lock:
+            if client_queue in self.subscribers:
+                self.subscribers.remove(client_queue)
+
+    def publish(self, event: str, payload: Dict):
+        with self.lock:
+            subscribers = list(self.subscribers)
+        for client_queue in subscribers:
+            try:
+                client_queue.put_nowait((event, payload))
+            except queue.Full:
+                # Slow client: discard its backlog and resync it with a full snapshot
+                with client_queue.mutex:
+                    client_queue.queue.clear()
+                client_queue.put_nowait(('snapshot', self.latest))
+
+def format_sse(event: str, payload: Dict) -> str:
+    """Serialize a payload as a Server-Sent Events message"""
+    return f"event: {event}\ndata: {json.dumps(payload)}\n\n"
+
+def percentile(values: List[float], fraction: float) -> float:
+    """Nearest-rank percentile of a non-empty list"""
+    ordered = sorted(values)
+    return ordered[max(0, math.ceil(fraction * len(ordered)) - 1)]
+
+def phase_durations(events: List[Dict], until: float) -> Dict[str, float]:
+    """Seconds one device spent in each phase of its latest run, counting an open phase up to `until`"""
+    durations: Dict[str, float] = {}
+    current = None
+    ended = False
+    for event in events:
+        # Unplugging ends the run; plugging the device in again starts counting from scratch
+        if ended:
+            durations, ended = {}, False
+        ended = event['state'] == 'disconnected'
+        phase = None if ended else monitor.get_phase(event['state'])
+        if current and current[0] != phase:
+            durations[current[0]] = durations.get(current[0], 0) + event['timestamp'] - current[1]
+            current = None
+        if phase and not current:
+            current = (phase, event['timestamp'])
+    if current:
+        durations[current[0]] = durations.get(current[0], 0) + until - current[1]
+    return {phase: round(seconds, 1) for phase, seconds in durations.items()}
+
+def compute_statistics(events: List[Dict], since: float, until: float) -> Dict:
+    """Production statistics (throughput, yield, phase durations) from ordered transitions"""
+    phases = {'bootstrap': [], 'triage': [], 'provisioning': []}
+    ports = defaultdict(lambda: {'completed': 0, 'errors': 0})
+    hour_start = math.floor(since / 3600) * 3600
+    buckets = {hour: {'completed': 0, 'errors': 0} for hour in range(int(hour_start), int(until) + 1, 3600)}
+    # Current phase and when it started, per device on a port
+    active_phases: Dict[tuple, tuple] = {}
+
+    for event in events:
+        key = (event['port'], event['serial'])
+        phase = monitor.get_phase(event['state'])
+        current = active_phases.get(key)
+
+        # A phase ends when the device moves on; unplugging mid-phase isn't a real duration
+        if current and current[0] != phase:
+            if event['state'] != 'disconnected':
+                phases[current[0]].append(event['timestamp'] - current[1])
+            del active_phases[key]
+        if phase and (not current or current[0] != phase):
+            active_phases[key] = (phase, event['timestamp'])
+
+        bucket = buckets.get(int(math.floor(event['timestamp'] / 3600) * 3600))
+        if monitor.is_complete_state(event['state']):
+            ports[event['port']]['completed'] += 1
+            if bucket:
+                bucket['completed'] += 1
+        elif monitor.is_error_state(event['state']):
+            ports[event['port']]['errors'] += 1
+            if bucket:
+                bucket['errors'] += 1
+
+    completed = sum(p['completed'] for p in ports.values())
+    errors = sum(p['errors'] for p in ports.values())
+    hours = max((until - since) / 3600, 1 / 60)
+
+    return {
+        'window': {'since': since, 'until': until, 'hours': round(hours, 2)},
+        'totals': {
+            'completed': completed,
+            'errors': errors,
+            'error_rate': round(errors / (completed + errors), 4) if completed + errors else 0,
+            'completed_per_hour': round(completed / hours, 2)
+        },
+        'throughput': [
+            {'hour': hour, 'label': datetime.fromtimestamp(hour).strftime('%H:00'), **counts}
+            for hour, counts in sorted(buckets.items())
+        ],
+        'phases': {
+            name: {
+                'count': len(durations),
+                'median': round(median(durations), 1) if durations else None,
+                'p95': round(percentile(durations, 0.95), 1) if durations else None
+            }
+            for name, durations in phases.items()
+        },
+        'ports': [
+            {
+                'port': port,
+                'completed': counts['completed'],
+                'errors': counts['errors'],
+                'yield': round(counts['completed'] / (counts['completed'] + counts['errors']), 4)
+            }
+            for port, counts in sorted(ports.items())
+        ],
+        'status': 'success'
+    }
+
+# Devices finishing inside an export window may have started before it
+EXPORT_LOOKBACK = 24 * 3600
+
+def failure_pareto(failures: List[Dict]) -> List[Dict]:
+    """Failure causes by count, largest first, with each one's share and the running total"""
+    causes: Dict[str, Dict] = {}
+    for failure in failures:
+        # "bad module" and "Bad module" are the same cause; show the most recent spelling
+        cause = causes.setdefault(failure['reason'].casefold(),
+                                  {'reason': failure['reason'], 'count': 0, 'retry': 0, 'scrapped': 0})
+        cause['count'] += 1
+        if failure['disposition']:
+            cause[failure['disposition']] += 1
+
+    pareto = sorted(causes.values(), key=lambda cause: (-cause['count'], cause['reason'].casefold()))
+    cumulative = 0
+    for cause in pareto:
+        cumulative += cause['count']
+        cause['percent'] = round(cause['count'] / len(failures) * 100, 1)
+        cause['cumulative_percent'] = round(cumulative / len(failures) * 100, 1)
+    return pareto
+
+EXPORT_FIELDS = ('serial', 'port', 'port_label', 'image', 'ip_address', 'started_at', 'finished_at',
+                 'duration_seconds', 'final_status', 'final_state')
+
+def build_manifest(events: List[Dict], since: float, until: float, labels: Dict[str, str]) -> List[Dict]:
+    """One record per provisioning run (a serial on a port) that ended or was last seen in a time range"""
+    runs = []
+    open_runs: Dict[tuple, Dict] = {}
+
+    def close(key, event, final_status):
+        run = open_runs.pop(key)
+        run['finished_at'] = event['timestamp']
+        run['final_status'] = final_status
+        runs.append(run)
+
+    for event in events:
+        if not event['serial']:
+            continue
+        key = (event['port'], event['serial'])
+
+        # Unplugging ends an unfinished run; after a finished run it is just the board being removed
+        if event['state'] == 'disconnected':
+            if key in open_runs:
+                close(key, event, 'DISCONNECTED')
+            continue
+
+        run = open_runs.get(key)
+        if not run:
+            run = open_runs[key] = {
+                'serial': event['serial'],
+                'port': event['port'],
+                'port_label': labels.get(event['port'], ''),
+                'image': None,
+                'ip_address': None,
+                'started_at': event['timestamp'],
+                'finished_at': None,
+                'final_status': 'IN PROGRESS'
+            }
+        for field in ('image', 'ip_address'):
+            if event[field] and event[field] != 'N/A':
+                run[field] = event[field]
+        run['final_state'] = event['state']
+        run['last_seen'] = event['timestamp']
+
+        if monitor.is_complete_state(event['state']):
+            close(key, event, 'COMPLETE')
+        elif monitor.is_error_state(event['state']):
+            close(key, event, 'ERROR')
+
+    runs.extend(open_runs.values())
+    manifest = []
+    for run in sorted(runs, key=lambda r: r['started_at']):
+        last_seen = run.pop('last_seen')
+        if since <= (run['finished_at'] or last_seen) <= until:
+            run['duration_seconds'] = round(run['finished_at'] - run['started_at'], 1) if run['finished_at'] else None
+            manifest.append(run)
+    return manifest
+
+def batch_image_mismatch(expected: Optional[str], image: Optional[str]) -> bool:
+    """Whether a device ran another image than its batch expects"""
+    # No expected image, or no reported image, means nothing to compare
+    image = image if image not in (None, 'N/A') else None
+    return bool(expected and image and image != expected)
+
+def batch_report(batch: Dict, devices: List[Dict], events: List[Dict]) -> Dict:
+    """Summary of a batch: progress, failures of its devices while it ran and every counted device"""
+    until = batch['closed_at'] or time.time()
+    # Other work on the line meanwhile, on another image, isn't the batch's failure
+    errors = [
+        {'serial': e['serial'], 'port': e['port'], 'state': e['state'], 'time': format_timestamp(e['timestamp'])}
+        for e in events
+        if e['serial'] and monitor.is_error_state(e['state']) and batch['started_at'] <= e['timestamp'] <= until
+        and not batch_image_mismatch(batch['image'], e['image'])
+    ]
+    attempts = batch['completed'] + len(errors)
+
+    return {
+        'batch': batch,
+        'started_at': format_timestamp(batch['started_at']),
+        'closed_at': format_timestamp(batch['closed_at']),
+        'duration_seconds': round(until - batch['started_at']),
+        'errors': errors,
+        'yield': round(batch['completed'] / attempts, 4) if attempts else None,
+        'mismatches': [d for d in devices if d['image_mismatch']],
+        'devices': [{**d, 'time': format_timestamp(d['timestamp'])} for d in devices],
+        'status': 'success'
+    }
+
+def format_timestamp(timestamp: Optional[float]) -> str:
+    """Local ISO 8601 time for exports, or an empty string"""
+    return datetime.fromtimestamp(timestamp).isoformat(timespec='seconds') if timestamp else ''
+
+def parse_time_param(value: Optional[str]) -> Optional[float]:
+    """Parse a query parameter given as epoch seconds or an ISO 8601 date/time"""
+    if not value:
+        return None
+    try:
+        return float(value)
+    except ValueError:
+        return datetime.fromisoformat(value).timestamp()
+
+def parse_limit(args, default: int, maximum: int) -> int:
+    """The `limit` parameter, kept between 1 and a maximum so it never reaches SQLite as a negative LIMIT"""
+    return max(1, min(int(args.get('limit', default)), maximum))
+
+def parse_time_window(args, default_hours: float = 8) -> tuple:
+    """(since, until) from the `since`/`until` parameters, or `hours` back from `until` (default now)"""
+    until = parse_time_param(args.get('until')) or time.time()
+    since = parse_time_param(args.get('since'))
+    if since is None:
+        hours = float(args.get('hours', default_hours))
+        if not math.isfinite(hours) or hours <= 0:
+            raise ValueError('"hours" must be a positive number')
+        since = until - min(hours, MAX_WINDOW_HOURS) * 3600
+    if not math.isfinite(since) or not math.isfinite(until):
+        raise ValueError('times must be finite')
+    if since >= until:
+        raise ValueError('the window must start before it ends')
+    if until - since > MAX_WINDOW_HOURS * 3600:
+        raise ValueError(f'the window covers at most {MAX_WINDOW_HOURS // 24} days')
+    return since, until
 
 # Initialize the monitor API
-monitor = USBPortMonitorAPI()
+# Several provisioning hosts: MONITOR_PROVISIONERS="pi-a=http://10.0.0.11:3142,pi-b=http://10.0.0.12:3142"
+metrics = Metrics()
+monitor = USBPortMonitorAPI(parse_provisioners(os.environ['MONITOR_PROVISIONERS'])
+                            if os.environ.get('MONITOR_PROVISIONERS') else None, metrics)
+db_path = os.environ.get('MONITOR_DB') or os.path.join(os.path.dirname(os.path.abspath(__file__)), 'monitor.db')
+history = HistoryStore(db_path)
+settings = SettingsStore(db_path)
+port_controls = PortControlStore(db_path)
+monitor.set_state_rules(settings.get('state_rules', DEFAULT_STATE_RULES))
+batches = BatchStore(db_path)
+users = UserStore(db_path)
+audit = AuditLog(db_path)
+failures = FailureLog(db_path)
+integrations = IntegrationDispatcher(db_path)
+integrations.configure(settings.get('integrations', DEFAULT_INTEGRATIONS))
+broker = DeviceStreamBroker(monitor, history, port_controls, batches, integrations,
+                            settings.get('thresholds', DEFAULT_THRESHOLDS), metrics=metrics)
+
+# Session signing key, generated once so logins survive restarts
+if not settings.get('secret_key'):
+    settings.set('secret_key', secrets.token_hex(32))
+app.secret_key = settings.get('secret_key')
+
+def has_role(role: str) -> bool:
+    """Whether the current user has at least the given role"""
+    return ROLES.index(g.user['role']) >= ROLES.index(role)
+
+def require_role(role: str):
+    """Decorator rejecting requests from users below a role with 403"""
+    def decorator(view):
+        @wraps(view)
+        def wrapped(*args, **kwargs):
+            if not has_role(role):
+                return jsonify({'status': 'error', 'message': f'This action needs the {role} role'}), 403
+            return view(*args, **kwargs)
+        return wrapped
+    return decorator
+
+def record_audit(action: str, target: Optional[str] = None, details=None):
+    audit.record(g.user, action, target, details, request.remote_addr)
+
+@app.before_request
+def authenticate():
+    """Resolve the current user; with no users configured the dashboard stays open"""
+    # Prometheus and uptime checks can't log in; /metrics has its own optional token
+    if request.endpoint in ('static', 'login', 'logout', 'service_worker', 'prometheus_metrics', 'healthz'):
+        return None
+
+    if not users.has_users():
+        g.user = {'username': 'anonymous', 'role': 'admin'}
+        return None
+
+    # Wall displays open /?token=... once and keep a read-only session
+    token = request.args.get('token')
+    if token:
+        name = users.token_name(token)
+        if name:
+            session.clear()
+            session['kiosk'] = name
+        else:
+            session.clear()
+
+    if session.get('kiosk'):
+        g.user = {'username': f"kiosk:{session['kiosk']}", 'role': 'viewer'}
+        return None
+
+    role = users.role_of(session['username']) if session.get('username') else None
+    if role:
+        g.user = {'username': session['username'], 'role': role}
+        return None
+
+    session.clear()
+    if request.path.startswith('/api/'):
+        return jsonify({'status': 'error', 'message': 'Login required'}), 401
+    return redirect(url_for('login', next=request.full_path if request.query_string else request.path))
+
+@app.route('/login', methods=['GET', 'POST'])
+def login():
+    """Login form"""
+    error = None
+    next_url = request.values.get('next') or '/'
+    # Only redirect within this site after logging in
+    if not next_url.startswith('/') or next_url.startswith('//'):
+        next_url = '/'
+
+    if request.method == 'POST':
+        user = users.authenticate(request.form.get('username', '').strip(), request.form.get('password', ''))
+        if user:
+            session.clear()
+            session['username'] = user['username']
+            audit.record(user, 'login', remote_addr=request.remote_addr)
+            return redirect(next_url)
+        error = 'Invalid username or password'
+
+    return render_template('login.html', error=error, next_url=next_url), 401 if error else 200
+
+@app.route('/logout', methods=['POST'])
+def logout():
+    session.clear()
+    return redirect(url_for('login'))
 
 @app.route('/')
 def index():
     """Main page"""
-    return render_template('index.html')
+    return render_template('index.html', user=g.user, auth_enabled=users.has_users(),
+                           device_actions=DEVICE_ACTIONS_ENABLED)
+
+@app.route('/service-worker.js')
+def service_worker():
+    """Service worker that caches the static assets for offline use; served from / so it covers the whole app"""
+    static_dir = os.path.join(os.path.dirname(os.path.abspath(__file__)), 'static')
+    assets, fingerprint = [], hashlib.sha256()
+    for directory, _, files in sorted(os.walk(static_dir)):
+        for name in sorted(files):
+            path = os.path.join(directory, name)
+            relative = os.path.relpath(path, static_dir).replace(os.sep, '/')
+            stat = os.stat(path)
+            assets.append(f'/static/{relative}')
+            fingerprint.update(f'{relative}:{stat.st_size}:{stat.st_mtime}'.encode())
+
+    script = render_template('service-worker.js', assets=assets, version=fingerprint.hexdigest()[:12])
+    return Response(script, mimetype='application/javascript', headers={'Cache-Control': 'no-cache'})
+
+@app.route('/metrics')
+def prometheus_metrics():
+    """Prometheus scrape endpoint; set MONITOR_METRICS_TOKEN to require it as a bearer token"""
+    token = os.environ.get('MONITOR_METRICS_TOKEN')
+    if token and not hmac.compare_digest(request.headers.get('Authorization', ''), f'Bearer {token}'):
+        return Response('Unauthorized\n', status=401, mimetype='text/plain')
+
+    broker.current()
+    with broker.lock:
+        clients = len(broker.subscribers)
+    body = metrics.render(broker.status_counts(), clients, monitor.provisioners)
+    return Response(body, mimetype='text/plain; version=0.0.4')
+
+@app.route('/healthz')
+def healthz():
+    """Whether the poller is running and every provisioner answers; 503 otherwise, for uptime alerting"""
+    broker.current()
+    now = time.time()
+    # Three missed polls, each allowed the full request timeout, means the poller is stuck
+    poll_age = now - broker.last_poll if broker.last_poll else None
+    poller_ok = poll_age is not None and poll_age < 3 * (broker.poll_interval + 5)
+
+    fetches = metrics.last_fetches()
+    provisioners = []
+    for provisioner in monitor.provisioners:
+        fetch = fetches.get(provisioner['name'], {})
+        provisioners.append({
+            'name': provisioner['name'],
+            'reachable': bool(fetch.get('ok')),
+            'last_success': format_timestamp(fetch.get('last_success')) or None,
+            'latency_seconds': round(fetch['duration'], 3) if fetch else None,
+            'error': fetch.get('error')
+        })
+
+    reachable = sum(1 for provisioner in provisioners if provisioner['reachable'])
+    if not poller_ok or reachable == 0:
+        status = 'down'
+    elif reachable < len(provisioners):
+        status = 'degraded'
+    else:
+        status = 'ok'
+    return jsonify({
+        'status': status,
+        'poller': {'ok': poller_ok, 'last_poll': format_timestamp(broker.last_poll) or None,
+                   'age_seconds': round(poll_age, 1) if poll_age is not None else None},
+        'provisioners': provisioners
+    }), 200 if status == 'ok' else 503
+
+@app.route('/api/me')
+def api_me():
+    """API endpoint for the current user and role"""
+    return jsonify({**g.user, 'roles': list(ROLES), 'auth_enabled': users.has_users()})
+
+@app.route('/api/audit')
+@require_role('admin')
+def api_audit():
+    """API endpoint for the audit log of state-changing actions"""
+    try:
+        limit = parse_limit(request.args, 500, 5000)
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': f'Invalid query parameter: {e}'}), 400
+    entries = audit.query(limit)
+    return jsonify({'entries': entries, 'count': len(entries), 'status': 'success'})
 
 @app.route('/api/devices')
 def api_devices():
-    """API endpoint to get device data"""
-    raw_data = monitor.fetch_devices_data()
-    
-    if raw_data is None:
-        return jsonify({
-            'ports': [],
-            'status': 'error',
-            'message': 'Failed to connect to provisioner service',
-            'timestamp': datetime.now().strftime('%H:%M:%S')
-        }), 500
+    """API endpoint to get device data (served from the shared poller)"""
+    data = {**broker.current(), 'port_controls': port_controls.all(), 'batch': batches.active()}
     
-    processed_data = monitor.process_devices_data(raw_data)
-    return jsonify(processed_data)
+    if data['status'] == 'error':
+        return jsonify(data), 500
+    
+    return jsonify(data)
+
+@app.route('/api/stream')
+def api_stream():
+    """Server-Sent Events stream: a full snapshot, then per-port diffs"""
+    def generate():
+        client_queue = broker.subscribe()
+        try:
+            snapshot = broker.current()
+            yield format_sse('provisioner-error' if snapshot['status'] == 'error' else 'snapshot', snapshot)
+            yield format_sse('port-controls', port_controls.all())
+            yield format_sse('batch', {'active': batches.active()})
+            while True:
+                try:
+                    event, payload = client_queue.get(timeout=15)
+                    yield format_sse(event, payload)
+                except queue.Empty:
+                    # Comment line keeps proxies from closing an idle stream
+                    yield ': keep-alive\n\n'
+        finally:
+            broker.unsubscribe(client_queue)
+
+    return Response(stream_with_context(generate()), mimetype='text/event-stream',
+                    headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'})
+
+@app.route('/api/ports', methods=['GET'])
+def api_get_port_controls():
+    """API endpoint to get every disabled, waiting or acknowledged port"""
+    return jsonify(port_controls.all())
+
+def apply_port_control(port: str, changes: Dict, port_info: Optional[Dict]) -> Dict:
+    """Update one port's controls, logging the failure reason when its error is acknowledged"""
+    previous = port_controls.get(port)
+    control = port_controls.update(port, changes, port_info, g.user['username'])
+    if changes.get('acknowledged'):
+        # Acknowledging the same error again corrects its reason rather than counting it twice
+        same_error = (previous['acknowledged_at'] is not None
+                      and previous['acknowledged_serial'] == control['acknowledged_serial']
+                      and previous['acknowledged_state'] == control['acknowledged_state'])
+        failures.record(control, amend=same_error)
+    return control
+
+@app.route('/api/ports/bulk', methods=['POST'])
+@require_role('operator')
+def api_bulk_port_controls():
+    """API endpoint to apply the same change to several ports, e.g. marking a finished jig waiting at shift change"""
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        return jsonify({'status': 'error', 'message': 'Request body must be a JSON object'}), 400
+    ports, changes = data.get('ports'), data.get('changes')
+    if not isinstance(ports, list) or not ports or not all(isinstance(port, str) and port for port in ports):
+        return jsonify({'status': 'error', 'message': '"ports" must be a non-empty list of port names'}), 400
+    if len(ports) > 500:
+        return jsonify({'status': 'error', 'message': 'At most 500 ports at a time'}), 400
+    if not isinstance(changes, dict) or not changes:
+        return jsonify({'status': 'error', 'message': '"changes" must be a non-empty JSON object'}), 400
+    try:
+        port_controls.validate_changes(changes)
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    updated, skipped = [], []
+    for port in dict.fromkeys(ports):
+        port_info = broker.find_port(port)
+        port_changes = dict(changes)
+        # Each waiting port waits for a module other than the one on it now
+        if changes.get('waiting') and 'last_serial' not in changes:
+            port_changes['last_serial'] = port_info['serial'] if port_info and port_info['has_device'] else None
+        try:
+            apply_port_control(port, port_changes, port_info)
+            updated.append(port)
+        except ValueError as e:
+            # Ports the change doesn't apply to, such as acknowledging a port without an error
+            skipped.append({'port': port, 'message': str(e)})
+
+    record_audit('port-control-bulk', f'{len(updated)} port{"" if len(updated) == 1 else "s"}',
+                 {'ports': updated, 'changes': changes})
+    controls = port_controls.all()
+    broker.publish('port-controls', controls)
+    return jsonify({'updated': updated, 'skipped': skipped, 'controls': controls})
+
+@app.route('/api/ports/<path:port>', methods=['GET'])
+def api_get_port_control(port):
+    """API endpoint to get the disabled/waiting state of one port"""
+    return jsonify(port_controls.get(port))
+
+@app.route('/api/ports/<path:port>', methods=['PUT'])
+@require_role('operator')
+def api_put_port_control(port):
+    """API endpoint to disable/enable a port, mark it waiting for a new CM module or acknowledge its error"""
+    changes = request.get_json(silent=True)
+    try:
+        control = apply_port_control(port, changes, broker.find_port(port))
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    record_audit('port-control', port, changes)
+    broker.publish('port-controls', port_controls.all())
+    return jsonify(control)
+
+# Serials are passed through to provisioner URLs, so keep them to safe characters
+SERIAL_PATTERN = re.compile(r'^[A-Za-z0-9_-]{1,64}$')
+
+@app.route('/api/devices/<serial>')
+def api_device_detail(serial):
+    """API endpoint with the full provisioner record and state timeline for one device"""
+    if not SERIAL_PATTERN.match(serial):
+        return jsonify({'status': 'error', 'message': 'Invalid serial number'}), 400
+
+    # Prefer the provisioner's per-device record, fall back to the last /devices entry
+    host, listed = broker.find_device(serial)
+    device = None
+    for candidate in monitor.hosts_to_ask(host):
+        device = monitor.fetch_device_detail(serial, candidate)
+        if device is not None:
+            host = candidate
+            break
+    source = 'provisioner'
+    if device is None:
+        device = listed
+        source = 'device-list'
+
+    timeline = [event for event in history.query(serial=serial, limit=500) if event['serial'] == serial]
+    timeline.reverse()
+
+    if device is None and not timeline:
+        return jsonify({'status': 'error', 'message': f'Unknown device {serial}'}), 404
+
+    return jsonify({
+        'serial': serial,
+        'device': device or {},
+        'source': source if device else None,
+        'host': host,
+        'timeline': timeline,
+        'log_types': list(monitor.log_types),
+        'status': 'success'
+    })
+
+@app.route('/api/devices/<serial>/log')
+def api_device_log(serial):
+    """API endpoint with the tail of one of a device's provisioning logs"""
+    if not SERIAL_PATTERN.match(serial):
+        return jsonify({'status': 'error', 'message': 'Invalid serial number'}), 400
+
+    log_type = request.args.get('type', 'provisioner')
+    if log_type not in monitor.log_types:
+        return jsonify({'status': 'error', 'message': f'Unknown log type "{log_type}"'}), 400
+    try:
+        lines = int(request.args.get('lines', 200))
+    except ValueError:
+        return jsonify({'status': 'error', 'message': '"lines" must be a number'}), 400
+    if not 1 <= lines <= 2000:
+        return jsonify({'status': 'error', 'message': '"lines" must be between 1 and 2000'}), 400
+
+    host, _ = broker.find_device(serial)
+    log = None
+    for candidate in monitor.hosts_to_ask(host):
+        log = monitor.fetch_device_log(serial, log_type, candidate)
+        if log is not None:
+            host = candidate
+            break
+    if log is None:
+        return jsonify({'status': 'error', 'message': f'No provisioner has a {log_type} log for {serial}'}), 502
+
+    return jsonify({
+        'serial': serial,
+        'type': log_type,
+        'host': host,
+        'lines': log[-lines:],
+        'total_lines': len(log),
+        'status': 'success'
+    })
+
+@app.route('/api/devices/<serial>/actions/<action>', methods=['POST'])
+@require_role('operator')
+def api_device_action(serial, action):
+    """API endpoint to retry, re-provision or abort a device through the provisioner it is on"""
+    if not DEVICE_ACTIONS_ENABLED:
+        return jsonify({'status': 'error', 'message': 'Device actions are off; set MONITOR_DEVICE_ACTIONS=1 if the provisioner supports them'}), 404
+    if not SERIAL_PATTERN.match(serial):
+        return jsonify({'status': 'error', 'message': 'Invalid serial number'}), 400
+    if action not in DEVICE_ACTIONS:
+        return jsonify({'status': 'error', 'message': f'Unknown action "{action}". Choose from: {", ".join(DEVICE_ACTIONS)}'}), 400
+
+    host, device = broker.find_device(serial)
+    if device is None:
+        return jsonify({'status': 'error', 'message': f'{serial} is not reported by any provisioner'}), 404
+    # The card may be a poll behind; check against the state the provisioner last reported
+    state = device.get('state') or ''
+    if monitor.classify_state(state)['category'] not in DEVICE_ACTIONS[action]:
+        return jsonify({'status': 'error', 'message': f'Can\'t {action} {serial} while it is {monitor.get_status_text(state)}'}), 409
+
+    result = monitor.send_device_action(serial, action, host)
+    record_audit(f'device-{action}', serial, {'host': host, 'state': state, 'ok': result['ok'], 'message': result['message']})
+    if not result['ok']:
+        return jsonify({'status': 'error', 'message': result['message']}), 502
+    return jsonify({'serial': serial, 'action': action, 'host': host, 'message': result['message'], 'status': 'success'})
+
+@app.route('/api/history')
+def api_history():
+    """API endpoint to query recorded state transitions"""
+    try:
+        since = parse_time_param(request.args.get('since'))
+        until = parse_time_param(request.args.get('until'))
+        limit = parse_limit(request.args, 500, 5000)
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': f'Invalid query parameter: {e}'}), 400
+
+    events = history.query(
+        serial=request.args.get('serial'),
+        port=request.args.get('port'),
+        state=request.args.get('state'),
+        since=since,
+        until=until,
+        limit=limit
+    )
+    return jsonify({'events': events, 'count': len(events), 'status': 'success'})
+
+@app.route('/api/stats')
+def api_stats():
+    """API endpoint for production statistics over a time window"""
+    try:
+        since, until = parse_time_window(request.args)
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': f'Invalid query parameter: {e}'}), 400
+
+    return jsonify(compute_statistics(history.events_between(since, until), since, until))
+
+@app.route('/api/failures')
+def api_failures():
+    """API endpoint for acknowledged failures over a time window and their Pareto breakdown by reason"""
+    try:
+        since, until = parse_time_window(request.args)
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': f'Invalid query parameter: {e}'}), 400
+
+    acknowledged = failures.between(since, until)
+    # Errors in the window that nobody has given a reason for yet
+    explained = {(failure['port'], failure['serial'], failure['state']) for failure in acknowledged}
+    unexplained = {
+        (event['port'], event['serial'], event['state']) for event in history.events_between(since, until)
+        if monitor.is_error_state(event['state'])
+    } - explained
+
+    return jsonify({
+        'window': {'since': format_timestamp(since), 'until': format_timestamp(until)},
+        'total': len(acknowledged),
+        'unexplained': len(unexplained),
+        'pareto': failure_pareto(acknowledged),
+        'failures': acknowledged[:200]
+    })
+
+@app.route('/api/failures/reasons')
+def api_failure_reasons():
+    """API endpoint for the failure reasons and dispositions to offer when acknowledging an error"""
+    return jsonify({'reasons': failures.reasons(), 'dispositions': list(FAILURE_DISPOSITIONS)})
+
+@app.route('/api/export')
+def api_export():
+    """Download a manifest of provisioned devices over a time window as CSV or JSON"""
+    export_format = request.args.get('format', 'csv')
+    status_filter = request.args.get('status', 'all').upper()
+    if export_format not in ('csv', 'json'):
+        return jsonify({'status': 'error', 'message': 'format must be "csv" or "json"'}), 400
+    if status_filter not in ('ALL', 'COMPLETE', 'ERROR'):
+        return jsonify({'status': 'error', 'message': 'status must be "all", "complete" or "error"'}), 400
+
+    batch = None
+    try:
+        if request.args.get('batch'):
+            batch = batches.get(int(request.args['batch']))
+            if batch is None:
+                return jsonify({'status': 'error', 'message': f'Unknown batch {request.args["batch"]}'}), 404
+            since, until = batch['started_at'], batch['closed_at'] or time.time()
+        else:
+            since, until = parse_time_window(request.args)
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': f'Invalid query parameter: {e}'}), 400
+
+    labels = {port: entry.get('label', '') for port, entry in settings.get('layout', {'ports': {}})['ports'].items()}
+    devices = build_manifest(history.events_between(since - EXPORT_LOOKBACK, until), since, until, labels)
+    if status_filter != 'ALL':
+        devices = [device for device in devices if device['final_status'] == status_filter]
+    if request.args.get('ports'):
+        # Comma-separated port names, for exporting a selection of ports
+        selected_ports = {port.strip() for port in request.args['ports'].split(',') if port.strip()}
+        devices = [device for device in devices if device['port'] in selected_ports]
+    if batch:
+        # Only the devices the batch counted, not everything else finishing on the line meanwhile
+        counted = {device['serial'] for device in batches.devices(batch['id'])}
+        devices = [device for device in devices if device['final_status'] != 'COMPLETE' or device['serial'] in counted]
+    for device in devices:
+        device['started_at'] = format_timestamp(device['started_at'])
+        device['finished_at'] = format_timestamp(device['finished_at'])
+
+    if batch:
+        filename = f"batch-{batch['id']}-{re.sub(r'[^A-Za-z0-9_-]+', '-', batch['name'])}.{export_format}"
+    else:
+        filename = f"provisioning-manifest-{datetime.fromtimestamp(until).strftime('%Y%m%d-%H%M')}.{export_format}"
+    headers = {'Content-Disposition': f'attachment; filename={filename}'}
+
+    if export_format == 'json':
+        body = {
+            'window': {'since': format_timestamp(since), 'until': format_timestamp(until)},
+            'batch': batch,
+            'count': len(devices),
+            'devices': devices
+        }
+        return Response(json.dumps(body, indent=2), mimetype='application/json', headers=headers)
+
+    output = io.StringIO()
+    writer = csv.DictWriter(output, fieldnames=EXPORT_FIELDS)
+    writer.writeheader()
+    writer.writerows(devices)
+    return Response(output.getvalue(), mimetype='text/csv', headers=headers)
+
+@app.route('/api/batches', methods=['GET'])
+def api_get_batches():
+    """API endpoint for the running batch and recent ones"""
+    return jsonify({'active': batches.active(), 'batches': batches.recent(), 'status': 'success'})
+
+@app.route('/api/batches', methods=['POST'])
+@require_role('operator')
+def api_start_batch():
+    """API endpoint to start a batch and push it to every client"""
+    try:
+        batch = batches.start(request.get_json(silent=True))
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    record_audit('batch-start', batch['name'], {'id': batch['id'], 'image': batch['image'], 'target': batch['target']})
+    broker.publish('batch', {'active': batch})
+    return jsonify(batch), 201
+
+@app.route('/api/batches/<int:batch_id>')
+def api_batch_report(batch_id):
+    """API endpoint for a batch's summary report"""
+    batch = batches.get(batch_id)
+    if batch is None:
+        return jsonify({'status': 'error', 'message': f'Unknown batch {batch_id}'}), 404
+
+    events = history.events_between(batch['started_at'], batch['closed_at'] or time.time())
+    return jsonify(batch_report(batch, batches.devices(batch_id), events))
+
+@app.route('/api/batches/<int:batch_id>/close', methods=['POST'])
+@require_role('operator')
+def api_close_batch(batch_id):
+    """API endpoint to close a batch, returning its summary report"""
+    batch = batches.close(batch_id)
+    if batch is None:
+        return jsonify({'status': 'error', 'message': f'Unknown batch {batch_id}'}), 404
+
+    record_audit('batch-close', batch['name'], {'id': batch_id, 'completed': batch['completed']})
+    broker.publish('batch', {'active': batches.active()})
+    events = history.events_between(batch['started_at'], batch['closed_at'])
+    return jsonify(batch_report(batch, batches.devices(batch_id), events))
+
+@app.route('/api/settings/thresholds', methods=['GET'])
+def api_get_thresholds():
+    """API endpoint to get per-phase and per-image slow thresholds"""
+    return jsonify(settings.get('thresholds', DEFAULT_THRESHOLDS))
+
+@app.route('/api/settings/thresholds', methods=['PUT'])
+@require_role('admin')
+def api_put_thresholds():
+    """API endpoint to replace the thresholds and push them to every client"""
+    try:
+        thresholds = validate_thresholds(request.get_json(silent=True))
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    record_audit('thresholds-update', details=thresholds)
+    settings.set('thresholds', thresholds)
+    broker.thresholds = thresholds
+    broker.publish('thresholds', thresholds)
+    return jsonify(thresholds)
+
+@app.route('/api/layout', methods=['GET'])
+def api_get_layout():
+    """API endpoint to get the physical port layout"""
+    return jsonify(settings.get('layout', {'groups': [], 'ports': {}}))
+
+@app.route('/api/layout', methods=['PUT'])
+@require_role('admin')
+def api_put_layout():
+    """API endpoint to replace the physical port layout and push it to every client"""
+    try:
+        layout = validate_layout(request.get_json(silent=True))
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    record_audit('layout-update', details={'groups': len(layout['groups']), 'ports': len(layout['ports'])})
+    settings.set('layout', layout)
+    broker.publish('layout', layout)
+    return jsonify(layout)
+
+@app.route('/api/layout/export')
+def api_export_layout():
+    """Download the physical port layout as a JSON file"""
+    layout = settings.get('layout', {'groups': [], 'ports': {}})
+    return Response(json.dumps(layout, indent=2), mimetype='application/json',
+                    headers={'Content-Disposition': 'attachment; filename=port-layout.json'})
+
+@app.route('/api/states', methods=['GET'])
+def api_get_state_rules():
+    """API endpoint for the state classification rules, in match order"""
+    return jsonify({
+        'rules': [rule for rule, _ in monitor.state_rules],
+        'defaults': DEFAULT_STATE_RULES,
+        'phases': list(PHASES),
+        'categories': list(STATE_CATEGORIES)
+    })
+
+@app.route('/api/states', methods=['PUT'])
+@require_role('admin')
+def api_put_state_rules():
+    """API endpoint to replace the state classification rules and push them to every client"""
+    body = request.get_json(silent=True)
+    try:
+        # Accept {"rules": [...]} or a bare list
+        rules = validate_state_rules(body.get('rules') if isinstance(body, dict) else body)
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    record_audit('state-rules-update', details={'rules': len(rules)})
+    settings.set('state_rules', rules)
+    monitor.set_state_rules(rules)
+    broker.publish('states', {'rules': rules})
+    return jsonify({'rules': rules})
+
+@app.route('/api/states/test', methods=['POST'])
+@require_role('admin')
+def api_test_state_rules():
+    """Classify sample states with draft rules (or the saved ones) without saving anything"""
+    data = request.get_json(silent=True)
+    if not isinstance(data, dict):
+        return jsonify({'status': 'error', 'message': 'Request body must be a JSON object'}), 400
+    states = data.get('states')
+    if not isinstance(states, list) or not all(isinstance(state, str) for state in states):
+        return jsonify({'status': 'error', 'message': '"states" must be a list of strings'}), 400
+    if len(states) > MAX_TEST_STATES or any(len(state) > MAX_STATE_LENGTH for state in states):
+        return jsonify({'status': 'error', 'message':
+                        f'Test at most {MAX_TEST_STATES} states of up to {MAX_STATE_LENGTH} characters each'}), 400
+
+    rules = None
+    if data.get('rules') is not None:
+        try:
+            rules = [(rule, re.compile(rule['pattern'], re.IGNORECASE)) for rule in validate_state_rules(data['rules'])]
+        except ValueError as e:
+            return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    return jsonify({'results': [{'state': state, **monitor.classify_state(state, rules)} for state in states]})
+
+@app.route('/api/integrations', methods=['GET'])
+@require_role('admin')
+def api_get_integrations():
+    """API endpoint for the webhook and MQTT settings"""
+    return jsonify({**integrations.config, 'events': list(INTEGRATION_EVENTS)})
+
+@app.route('/api/integrations', methods=['PUT'])
+@require_role('admin')
+def api_put_integrations():
+    """API endpoint to replace the webhook and MQTT settings"""
+    try:
+        config = validate_integrations(request.get_json(silent=True))
+    except ValueError as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+
+    # Secrets and passwords stay out of the audit log
+    record_audit('integrations-update', details={
+        'webhooks': [hook['url'] for hook in config['webhooks']],
+        'mqtt': f"{config['mqtt']['host']}:{config['mqtt']['port']}" if config['mqtt']['enabled'] else None
+    })
+    settings.set('integrations', config)
+    integrations.configure(config)
+    return jsonify({**config, 'events': list(INTEGRATION_EVENTS)})
+
+@app.route('/api/integrations/test', methods=['POST'])
+@require_role('admin')
+def api_test_integrations():
+    """Queue a test event to every enabled webhook and MQTT broker"""
+    now = time.time()
+    queued = integrations.emit('test', {
+        'event': 'test',
+        'id': secrets.token_hex(8),
+        'timestamp': now,
+        'time': datetime.fromtimestamp(now).isoformat(timespec='seconds'),
+        'message': 'Test event from USB Port Monitor'
+    })
+    if not queued:
+        return jsonify({'status': 'error', 'message': 'No webhook or MQTT broker is enabled'}), 400
+    return jsonify({'status': 'success', 'queued': queued})
+
+def redact_delivery(delivery: Dict) -> Dict:
+    """A delivery without secrets: webhook URLs often carry tokens in their credentials or query string"""
+    target = delivery['target']
+    if delivery['target_type'] == 'webhook':
+        parts = urlsplit(target)
+        netloc = parts.hostname or ''
+        if parts.port:
+            netloc += f':{parts.port}'
+        target = urlunsplit((parts.scheme, netloc, parts.path, '', ''))
+    last_error = delivery['last_error']
+    if last_error:
+        # Connection errors quote the URL they tried
+        last_error = re.sub(r'\?[^\s\'")]*', '?…', last_error.replace(delivery['target'], target))
+    return {
+        **delivery,
+        'target': target,
+        'last_error': last_error,
+        'payload': {key: delivery['payload'].get(key) for key in ('event', 'port', 'serial')}
+    }
+
+@app.route('/api/integrations/deliveries')
+@require_role('operator')
+def api_integration_deliveries():
+    """API endpoint for the delivery log, newest first; full targets and payloads for admins only"""
+    status = request.args.get('status') or None
+    try:
+        limit = parse_limit(request.args, 200, 1000)
+    except ValueError:
+        return jsonify({'status': 'error', 'message': '"limit" must be a number'}), 400
+    deliveries = integrations.log(status, limit)
+    if not has_role('admin'):
+        deliveries = [redact_delivery(delivery) for delivery in deliveries]
+    return jsonify({'deliveries': deliveries})
+
+@app.route('/api/integrations/deliveries/<int:delivery_id>/retry', methods=['POST'])
+@require_role('operator')
+def api_retry_delivery(delivery_id):
+    """Send a failed or retrying delivery again now"""
+    if not integrations.retry(delivery_id):
+        return jsonify({'status': 'error', 'message': f'Delivery {delivery_id} is not waiting to be retried'}), 404
+    record_audit('delivery-retry', str(delivery_id))
+    return jsonify({'status': 'success'})
 
 @app.route('/api/colors')
 def api_colors():
     """API endpoint to get color scheme"""
     return jsonify(monitor.colors)
 
+def manage_users(args: List[str]) -> int:
+    """Command line user and kiosk token management"""
+    usage = (
+        'Usage:\n'
+        '  python3 app.py adduser <username> <viewer|operator|admin>   (prompts for the password)\n'
+        '  python3 app.py deluser <username>\n'
+        '  python3 app.py users\n'
+        '  python3 app.py addtoken <name>      (read-only kiosk URL)\n'
+        '  python3 app.py deltoken <name>\n'
+        '  python3 app.py tokens'
+    )
+    command, params = args[0], args[1:]
+
+    try:
+        if command == 'adduser' and len(params) == 2:
+            password = getpass.getpass(f'Password for {params[0]}: ')
+            if password != getpass.getpass('Repeat password: '):
+                print('Passwords do not match')
+                return 1
+            users.set_user(params[0], password, params[1])
+            print(f'Saved {params[0]} ({params[1]}). Login is now required.')
+        elif command == 'deluser' and len(params) == 1:
+            print('Deleted' if users.delete_user(params[0]) else 'No such user')
+        elif command == 'users' and not params:
+            for user in users.list():
+                print(f"{user['username']}\t{user['role']}")
+        elif command == 'addtoken' and len(params) == 1:
+            token = users.create_token(params[0])
+            print(f'Kiosk URL (shown once): http://<host>:5000/?token={token}')
+        elif command == 'deltoken' and len(params) == 1:
+            print('Deleted' if users.delete_token(params[0]) else 'No such token')
+        elif command == 'tokens' and not params:
+            for token in users.list_tokens():
+                print(f"{token['name']}\tcreated {datetime.fromtimestamp(token['created_at']):%Y-%m-%d %H:%M}")
+        else:
+            print(usage)
+            return 1
+    except ValueError as e:
+        print(f'Error: {e}')
+        return 1
+    return 0
+
 if __name__ == '__main__':
+    if len(sys.argv) > 1:
+        sys.exit(manage_users(sys.argv[1:]))
+
     print("Starting USB Port Monitor Web UI...")
-    print("Access the application at: http://localhost:5000")
+    web_port = int(os.environ.get('MONITOR_PORT', 5000))
+    print(f"Access the application at: http://localhost:{web_port}")
     print("Make sure the RPI SB Provisioner service is running on localhost")
-    app.run(host='0.0.0.0', port=5000, debug=True) 
\ No newline at end of file
+    if not users.has_users():
+        print("No users configured: the dashboard is open to everyone. Add one with: python3 app.py adduser <name> admin")
+    debug = os.environ.get('MONITOR_DEBUG') == '1'
+    # Poll from startup so integrations hear about devices with no dashboard open
+    # (under the debug reloader, only in the child process that serves requests)
+    if not debug or os.environ.get('WERKZEUG_RUN_MAIN'):
+        broker.start()
+    # The Werkzeug debugger allows running code from the browser, so it is opt-in
+    app.run(host='0.0.0.0', port=web_port, debug=debug, threaded=True)
\ No newline at end of file
@@ -1,8 +1,16 @@
 #!/bin/bash
 # USB Port Monitor Web UI Launcher Script
 
+# ./launch.sh --simulate [scenario] runs against the built-in provisioner simulator
+SIMULATE=""
+if [ "$1" == "--simulate" ]; then
+    SIMULATE="${2:-normal}"
+fi
+
 echo "Starting USB Port Monitor Web UI..."
-echo "Make sure the RPI SB Provisioner service is running on localhost"
+if [ -z "$SIMULATE" ]; then
+    echo "Make sure the RPI SB Provisioner service is running on localhost"
+fi
 echo ""
 
 # Check if Python 3 is available
@@ -33,8 +41,18 @@ echo ""
 echo "Once started, access the web interface at:"
 echo "  http://localhost:5000"
 echo ""
-echo "The application will automatically refresh every 2 seconds"
+echo "Connected browsers receive live updates as port states change"
 echo "Press Ctrl+C to stop the server"
 echo ""
 
-python3 app.py 
\ No newline at end of file
+if [ -n "$SIMULATE" ]; then
+    # Port 3143 leaves a real provisioner on 3142 undisturbed
+    python3 simulator.py --scenario "$SIMULATE" --port 3143 &
+    SIMULATOR_PID=$!
+    trap 'kill $SIMULATOR_PID 2>/dev/null' EXIT
+    export MONITOR_PROVISIONERS="simulator=http://localhost:3143"
+    echo "Simulating the provisioner (scenario: $SIMULATE)"
+    echo ""
+fi
+
+python3 app.py
@@ -0,0 +1,415 @@
+#!/usr/bin/env python3
+"""
+Mock RPI SB Provisioner for demos, operator training and UI tests
+
+Serves the same /devices, /devices/<serial> and /devices/<serial>/log/<type> endpoints
+as rpi-sb-provisioner, and POST /devices/<serial>/retry, /reprovision and /abort for the
+operator actions, driven by scripted scenarios instead of real hardware:
+- normal: staggered devices running bootstrap, triage and provisioning, then swapped
+- slow-bootstrap: one device stuck in bootstrap long enough to trip the timeouts
+- provisioning-error: devices failing and aborting mid-provisioning
+- module-swap: a completed module replaced by a new one, and one reseated with the same serial
+- hub-disconnect: a hub whose ports drop out of the device list and come back
+- stale-records: finished modules still listed on their port after the next one is plugged in
+
+Scenario time runs at --speed times real time. With --speed 0 it only moves when
+POST /simulator/advance is called, which keeps automated tests deterministic.
+An operator action takes its port off the scenario script until the scenario is reloaded.
+
+It also stands in for a webhook receiver (such as an MES): point a monitor webhook at
+http://localhost:<port>/webhook and GET the same URL to see what arrived.
+"""
+
+from flask import Flask, jsonify, request
+import argparse
+import threading
+import time
+from collections import deque
+from datetime import datetime
+from typing import Dict, List, Optional
+
+DEFAULT_IMAGE = 'raspios-bookworm-arm64.img'
+
+# One device from plug-in to completion: (state, seconds in that state).
+# A None state means no device on the port, i.e. the module was removed.
+NORMAL_RUN = [
+    ('bootstrap-started', 20),
+    ('bootstrap-firmware-updating', 15),
+    ('bootstrap-finished', 3),
+    ('triage-started', 10),
+    ('triage-finished', 3),
+    ('provisioner-started', 60),
+    ('provisioner-finished', 30),
+    (None, 5)
+]
+
+# Operator actions: the device states each one applies to, as the provisioner checks them
+ACTION_STATES = {
+    'retry': ('-error', '-aborted'),
+    'reprovision': ('-finished', '-error', '-aborted'),
+    'abort': ('-started', '-updating', 'bootstrap-finished', 'triage-finished')
+}
+
+SCENARIOS = {
+    'normal': {
+        'description': 'Four ports on one hub provisioning staggered devices, swapped after completion',
+        'ports': {
+            'usb:1-1.1': {'start': 0, 'script': NORMAL_RUN},
+            'usb:1-1.2': {'start': 25, 'script': NORMAL_RUN},
+            'usb:1-1.3': {'start': 50, 'script': NORMAL_RUN},
+            'usb:1-1.4': {'start': 75, 'script': NORMAL_RUN, 'image': 'raspios-lite-arm64.img'}
+        }
+    },
+    'slow-bootstrap': {
+        'description': 'One device stays in bootstrap for 20 minutes, past the warning and critical limits',
+        'ports': {
+            'usb:1-1.1': {'start': 0, 'script': NORMAL_RUN},
+            'usb:1-1.2': {'start': 0, 'loop': False, 'script': [
+                ('bootstrap-started', 1200),
+                *NORMAL_RUN[1:-1]
+            ]}
+        }
+    },
+    'provisioning-error': {
+        'description': 'One device fails and one aborts partway through provisioning',
+        'ports': {
+            'usb:1-1.1': {'start': 0, 'script': NORMAL_RUN},
+            'usb:1-1.2': {'start': 0, 'script': [
+                *NORMAL_RUN[:5],
+                ('provisioner-started', 30),
+                ('provisioner-error', 300),
+                (None, 5)
+            ]},
+            'usb:1-1.3': {'start': 10, 'script': [
+                *NORMAL_RUN[:5],
+                ('provisioner-started', 20),
+                ('provisioner-aborted', 300),
+                (None, 5)
+            ]}
+        }
+    },
+    'module-swap': {
+        'description': 'Completed modules are swapped for new ones; usb:1-1.2 is reseated with the same module',
+        'ports': {
+            'usb:1-1.1': {'start': 0, 'script': [
+                ('bootstrap-started', 5),
+                ('triage-started', 5),
+                ('provisioner-started', 10),
+                ('provisioner-finished', 60),
+                (None, 10)
+            ]},
+            'usb:1-1.2': {'start': 0, 'reseat': True, 'script': [
+                ('bootstrap-started', 5),
+                ('triage-started', 5),
+                ('provisioner-started', 10),
+                ('provisioner-finished', 60),
+                (None, 10)
+            ]}
+        }
+    },
+    'hub-disconnect': {
+        'description': 'Hub usb:1-1 drops off the bus from 90 s to 150 s; hub usb:1-2 keeps running',
+        'ports': {
+            'usb:1-1.1': {'start': 0, 'script': NORMAL_RUN},
+            'usb:1-1.2': {'start': 20, 'script': NORMAL_RUN},
+            'usb:1-1.3': {'start': 40, 'script': NORMAL_RUN},
+            'usb:1-2.1': {'start': 0, 'script': NORMAL_RUN},
+            'usb:1-2.2': {'start': 30, 'script': NORMAL_RUN}
+        },
+        'outages': [{'hub': 'usb:1-1', 'start': 90, 'end': 150}]
+    },
+    'stale-records': {
+        'description': 'usb:1-1.1 keeps listing its finished module after removal and alongside the next one',
+        'ports': {
+            'usb:1-1.1': {'start': 0, 'keep_previous': True, 'script': [
+                ('bootstrap-started', 5),
+                ('triage-started', 5),
+                ('provisioner-started', 10),
+                ('provisioner-finished', 60),
+                (None, 10)
+            ]},
+            'usb:1-1.2': {'start': 0, 'script': NORMAL_RUN}
+        }
+    }
+}
+
+class ProvisionerSimulator:
+    """Works out every port's device from the scenario script and the scenario clock"""
+
+    def __init__(self, scenario: str = 'normal', speed: float = 1.0):
+        self.lock = threading.Lock()
+        self.speed = speed
+        self.load(scenario)
+
+    def load(self, scenario: str):
+        """Switch scenario and restart its clock from zero"""
+        if scenario not in SCENARIOS:
+            raise ValueError(f'Unknown scenario "{scenario}". Choose from: {", ".join(SCENARIOS)}')
+        with self.lock:
+            self.scenario = scenario
+            self.offset = 0.0
+            self.started = time.monotonic()
+            self.offline = False
+            self.webhook_failing = False
+            # Ports taken over by an operator action: port -> one-off script for the same module
+            self.overrides: Dict[str, Dict] = {}
+
+    def elapsed(self) -> float:
+        """Scenario seconds since the scenario was loaded"""
+        return (time.monotonic() - self.started) * self.speed + self.offset
+
+    def advance(self, seconds: float):
+        """Move the scenario clock forward without waiting"""
+        if seconds < 0:
+            raise ValueError('Can only advance the clock forward')
+        with self.lock:
+            self.offset += seconds
+
+    def status(self) -> Dict:
+        return {
+            'scenario': self.scenario,
+            'description': SCENARIOS[self.scenario]['description'],
+            'elapsed': round(self.elapsed(), 1),
+            'speed': self.speed,
+            'offline': self.offline,
+            'webhook_failing': self.webhook_failing,
+            'actions': {port: override['action'] for port, override in self.overrides.items()},
+            'scenarios': {name: scenario['description'] for name, scenario in SCENARIOS.items()}
+        }
+
+    @staticmethod
+    def serial_for(port_index: int, cycle: int) -> str:
+        # 16 hex digits like a real CM serial, unique per port and module
+        return f'100000{port_index:02x}{cycle:08x}'
+
+    def _hub_is_down(self, port: str, now: float) -> bool:
+        for outage in SCENARIOS[self.scenario].get('outages', []):
+            if port.startswith(outage['hub'] + '.') and outage['start'] <= now < outage['end']:
+                return True
+        return False
+
+    def device_on(self, port_index: int, port: str, config: Dict, now: float) -> Optional[Dict]:
+        """The device on a port at scenario time `now`, with the states it has been through"""
+        position = now - config['start']
+        script = config['script']
+        length = sum(seconds for _, seconds in script)
+        if position < 0 or self._hub_is_down(port, now):
+            return None
+
+        cycle = 0
+        if config.get('loop', True):
+            cycle, position = divmod(position, length)
+        else:
+            position = min(position, length - 0.001)
+
+        # Walk the script to the current step, remembering when each state began
+        step_start = 0.0
+        passed = []
+        for state, seconds in script:
+            if state is not None:
+                passed.append((state, step_start))
+            if position < step_start + seconds:
+                break
+            step_start += seconds
+        if state is None:
+            if not config.get('keep_previous'):
+                return None
+            # The provisioner still lists the removed module in its final state
+            state = passed[-1][0]
+
+        # Log timestamps: that many scenario seconds ago, in real time
+        wall_now = time.time()
+        module = 0 if config.get('reseat') else int(cycle)
+        serial = config.get('serial') or self.serial_for(port_index, module)
+        has_network = any(s.startswith(('triage', 'provision')) for s, _ in passed)
+        return {
+            'serial': serial,
+            'port': port,
+            'state': state,
+            'image': config.get('image', DEFAULT_IMAGE),
+            'ip_address': f'192.168.50.{10 + port_index}' if has_network else 'N/A',
+            'model': 'CM5',
+            'history': [
+                {'state': s, 'timestamp': wall_now - (position - offset) / max(self.speed, 1)}
+                for s, offset in passed
+            ]
+        }
+
+    def previous_module(self, port_index: int, port: str, config: Dict, now: float) -> Optional[Dict]:
+        """The module before the current one on a keep_previous port, as the provisioner still lists it"""
+        script = config['script']
+        length = sum(seconds for _, seconds in script)
+        position = now - config['start']
+        if not config.get('keep_previous') or position < length or self._hub_is_down(port, now):
+            return None
+
+        cycle, position = divmod(position, length)
+        final_state, final_offset = None, 0.0
+        step_start = 0.0
+        for state, seconds in script:
+            if state is not None:
+                final_state, final_offset = state, step_start
+            step_start += seconds
+        return {
+            'serial': self.serial_for(port_index, int(cycle) - 1),
+            'port': port,
+            'state': final_state,
+            'image': config.get('image', DEFAULT_IMAGE),
+            'ip_address': f'192.168.50.{10 + port_index}',
+            'model': 'CM5',
+            'history': [
+                {'state': final_state, 'timestamp': time.time() - (position + length - final_offset) / max(self.speed, 1)}
+            ]
+        }
+
+    def devices(self) -> List[Dict]:
+        now = self.elapsed()
+        devices = []
+        for index, (port, config) in enumerate(SCENARIOS[self.scenario]['ports'].items()):
+            config = self.overrides.get(port, config)
+            # Listed ahead of the current module, as the provisioner lists older records first
+            for device in (self.previous_module(index, port, config, now), self.device_on(index, port, config, now)):
+                if device:
+                    devices.append(device)
+        return devices
+
+    def find(self, serial: str) -> Optional[Dict]:
+        return next((device for device in self.devices() if device['serial'] == serial), None)
+
+    def act(self, serial: str, action: str) -> Dict:
+        """Retry, re-provision or abort a device; it then follows a one-off script from now on"""
+        device = self.find(serial)
+        if device is None:
+            raise LookupError(f'Unknown device {serial}')
+        if not device['state'].endswith(ACTION_STATES[action]):
+            raise ValueError(f'Can\'t {action} {serial} in state {device["state"]}')
+
+        phase = device['state'].split('-')[0]
+        run = NORMAL_RUN[:-1]  # Stays finished on the port afterwards
+        if action == 'retry':
+            # Back to the start of the phase that failed
+            script = next((run[i:] for i, (state, _) in enumerate(run) if state.startswith(phase)), run)
+        elif action == 'reprovision':
+            script = run
+        else:
+            script = [(f'{phase}-aborted', 1)]
+
+        with self.lock:
+            self.overrides[device['port']] = {
+                'start': self.elapsed(), 'loop': False, 'script': script, 'serial': serial,
+                'image': device['image'], 'action': action
+            }
+        return {'serial': serial, 'action': action, 'message': f'{action} started for {serial}'}
+
+    def log(self, device: Dict, log_type: str) -> List[str]:
+        """Plausible log lines for the states a device has been through"""
+        prefixes = {'bootstrap': 'bootstrap', 'triage': 'triage', 'provisioner': 'provision'}
+        lines = []
+        for entry in device['history']:
+            if not entry['state'].startswith(prefixes[log_type]):
+                continue
+            stamp = datetime.fromtimestamp(entry['timestamp']).strftime('%Y-%m-%d %H:%M:%S')
+            lines.append(f"{stamp} {device['serial']} {entry['state']}")
+            if entry['state'].endswith(('error', 'aborted')):
+                lines.append(f"{stamp} {device['serial']} simulated failure: fastboot: error: Command failed")
+        return lines
+
+simulator = ProvisionerSimulator()
+sim_app = Flask(__name__)
+# Webhook calls received, newest last
+received_webhooks = deque(maxlen=500)
+
+@sim_app.route('/devices')
+def devices():
+    """Device list in the provisioner's format"""
+    if simulator.offline:
+        return jsonify({'error': 'simulated outage'}), 503
+    return jsonify({'devices': [{k: v for k, v in d.items() if k != 'history'} for d in simulator.devices()]})
+
+@sim_app.route('/devices/<serial>')
+def device(serial):
+    if simulator.offline:
+        return jsonify({'error': 'simulated outage'}), 503
+    found = simulator.find(serial)
+    if found is None:
+        return jsonify({'error': f'Unknown device {serial}'}), 404
+    return jsonify(found)
+
+@sim_app.route('/devices/<serial>/log/<log_type>')
+def device_log(serial, log_type):
+    if simulator.offline:
+        return jsonify({'error': 'simulated outage'}), 503
+    found = simulator.find(serial)
+    if found is None or log_type not in ('bootstrap', 'triage', 'provisioner'):
+        return jsonify({'error': 'No such log'}), 404
+    return jsonify({'lines': simulator.log(found, log_type)})
+
+@sim_app.route('/devices/<serial>/<action>', methods=['POST'])
+def device_action(serial, action):
+    """Operator actions: retry the failed phase, provision again from the start, or abort the run"""
+    if simulator.offline:
+        return jsonify({'error': 'simulated outage'}), 503
+    if action not in ACTION_STATES:
+        return jsonify({'error': f'Unknown action {action}'}), 404
+    try:
+        return jsonify(simulator.act(serial, action))
+    except LookupError as e:
+        return jsonify({'error': str(e)}), 404
+    except ValueError as e:
+        return jsonify({'error': str(e)}), 409
+
+@sim_app.route('/simulator')
+def simulator_status():
+    """Current scenario, scenario clock and the scenarios available"""
+    return jsonify(simulator.status())
+
+@sim_app.route('/simulator', methods=['POST'])
+def simulator_control():
+    """Control the simulation: {"scenario": "...", "advance": seconds, "offline": true, "webhook_failing": true}"""
+    body = request.get_json(silent=True) or {}
+    try:
+        if 'scenario' in body:
+            simulator.load(body['scenario'])
+        if 'advance' in body:
+            simulator.advance(float(body['advance']))
+        if 'offline' in body:
+            simulator.offline = bool(body['offline'])
+        if 'webhook_failing' in body:
+            simulator.webhook_failing = bool(body['webhook_failing'])
+    except (TypeError, ValueError) as e:
+        return jsonify({'status': 'error', 'message': str(e)}), 400
+    return jsonify(simulator.status())
+
+@sim_app.route('/webhook', methods=['POST'])
+def webhook_receive():
+    """Stand-in webhook receiver; answers 500 while webhook_failing is set to exercise retries"""
+    if simulator.webhook_failing:
+        return jsonify({'error': 'simulated receiver failure'}), 500
+    received_webhooks.append({
+        'received_at': time.time(),
+        'headers': {k: v for k, v in request.headers.items() if k.lower().startswith('x-monitor-')},
+        'body': request.get_json(silent=True)
+    })
+    return jsonify({'status': 'ok'})
+
+@sim_app.route('/webhook')
+def webhook_list():
+    return jsonify({'received': list(received_webhooks)})
+
+@sim_app.route('/webhook', methods=['DELETE'])
+def webhook_clear():
+    received_webhooks.clear()
+    return jsonify({'status': 'ok'})
+
+if __name__ == '__main__':
+    parser = argparse.ArgumentParser(description='Mock RPI SB Provisioner for demos and UI tests')
+    parser.add_argument('--scenario', default='normal', choices=list(SCENARIOS))
+    parser.add_argument('--speed', type=float, default=1.0,
+                        help='scenario seconds per real second; 0 freezes the clock for tests')
+    parser.add_argument('--port', type=int, default=3142)
+    args = parser.parse_args()
+
+    simulator.speed = args.speed
+    simulator.load(args.scenario)
+    print(f"Simulating the provisioner at http://localhost:{args.port} ({args.scenario}: {SCENARIOS[args.scenario]['description']})")
+    sim_app.run(host='0.0.0.0', port=args.port, threaded=True)
@@ -0,0 +1,154 @@
+/**
+ * Operator alerts: synthesized sounds and desktop notifications
+ * Preferences are kept per browser, so each station opts in separately
+ */
+
+class AlertManager {
+    constructor() {
+        this.audioContext = null;
+        this.lastAlerts = new Map(); // "type:port" -> identity of the last alert, for de-duplication
+        this.prefs = {
+            sound: true,
+            desktop: false, // Opt-in: needs browser permission
+            muted: false,
+            events: { complete: true, error: true, slow: true }
+        };
+
+        this.loadPrefs();
+
+        // Browsers only allow audio after a user gesture, so unlock on the first one
+        const unlock = () => this.unlockAudio();
+        document.addEventListener('click', unlock);
+        document.addEventListener('keydown', unlock);
+    }
+
+    loadPrefs() {
+        try {
+            const saved = localStorage.getItem('alertPrefs');
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                this.prefs = { ...this.prefs, ...parsed, events: { ...this.prefs.events, ...parsed.events } };
+            }
+        } catch (e) {
+            console.warn('Failed to load alert preferences from localStorage:', e);
+        }
+    }
+
+    savePrefs() {
+        try {
+            localStorage.setItem('alertPrefs', JSON.stringify(this.prefs));
+        } catch (e) {
+            console.warn('Failed to save alert preferences to localStorage:', e);
+        }
+    }
+
+    async setDesktopEnabled(enabled) {
+        if (enabled) {
+            if (!('Notification' in window)) {
+                throw new Error('Desktop notifications are not supported by this browser');
+            }
+            const permission = await Notification.requestPermission();
+            if (permission !== 'granted') {
+                throw new Error('Desktop notification permission was denied');
+            }
+        }
+        this.prefs.desktop = enabled;
+        this.savePrefs();
+    }
+
+    setSoundEnabled(enabled) {
+        this.prefs.sound = enabled;
+        this.savePrefs();
+    }
+
+    setEventEnabled(type, enabled) {
+        this.prefs.events[type] = enabled;
+        this.savePrefs();
+    }
+
+    toggleMuted() {
+        this.prefs.muted = !this.prefs.muted;
+        this.savePrefs();
+        return this.prefs.muted;
+    }
+
+    unlockAudio() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContextClass();
+        }
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    }
+
+    /**
+     * Raise an alert of a type (complete, error, slow) for a port.
+     * The same identity is only alerted once, so a port that stays in error stays quiet.
+     */
+    notify(type, port, identity, title, body = '') {
+        const key = `${type}:${port}`;
+        if (this.lastAlerts.get(key) === identity) {
+            return false;
+        }
+        this.lastAlerts.set(key, identity);
+
+        if (!this.prefs.events[type]) {
+            return false;
+        }
+
+        if (this.prefs.sound && !this.prefs.muted) {
+            this.playSound(type);
+        }
+
+        if (this.prefs.desktop && 'Notification' in window && Notification.permission === 'granted') {
+            // The tag replaces an older notification for the same port instead of stacking
+            new Notification(title, { body, tag: key });
+        }
+
+        return true;
+    }
+
+    playSound(type) {
+        if (!this.audioContext || this.audioContext.state !== 'running') return;
+
+        switch (type) {
+            case 'complete':
+                // Rising two-note chime
+                this.playTone(660, 0, 0.15, 'sine');
+                this.playTone(880, 0.15, 0.25, 'sine');
+                break;
+            case 'error':
+                // Three low buzzes
+                [0, 0.25, 0.5].forEach(start => this.playTone(220, start, 0.18, 'square'));
+                break;
+            case 'slow':
+                // Two soft mid beeps
+                this.playTone(440, 0, 0.12, 'triangle');
+                this.playTone(440, 0.2, 0.12, 'triangle');
+                break;
+        }
+    }
+
+    playTone(frequency, start, duration, waveform) {
+        const ctx = this.audioContext;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const startTime = ctx.currentTime + start;
+
+        oscillator.type = waveform;
+        oscillator.frequency.value = frequency;
+
+        // Short attack and release to avoid clicks
+        gain.gain.setValueAtTime(0, startTime);
+        gain.gain.linearRampToValueAtTime(0.2, startTime + 0.01);
+        gain.gain.linearRampToValueAtTime(0, startTime + duration);
+
+        oscillator.connect(gain);
+        gain.connect(ctx.destination);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration + 0.02);
+    }
+}
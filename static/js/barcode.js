@@ -0,0 +1,96 @@
+/**
+ * Code 128 barcodes rendered as SVG
+ * Generated locally so labels print on networks without internet access
+ */
+
+class Code128 {
+    // Bar/space module widths for symbol values 0-106 (106 is the stop pattern)
+    static PATTERNS = [
+        '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+        '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+        '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+        '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+        '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+        '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+        '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+        '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+        '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+        '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+        '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+    ];
+
+    static START_B = 104;
+    static START_C = 105;
+    static CODE_B = 100;
+    static CODE_C = 99;
+    static STOP = 106;
+
+    /**
+     * Symbol values for printable ASCII text, using code set C for runs of
+     * four or more digits so numeric serials stay short
+     */
+    static encode(text) {
+        if (!/^[\x20-\x7E]*$/.test(text)) {
+            throw new Error('Code 128 labels only support printable ASCII');
+        }
+
+        const values = [];
+        let set = null;
+        let i = 0;
+
+        while (i < text.length) {
+            const digits = text.slice(i).match(/^\d+/)?.[0].length || 0;
+            // Set C packs digit pairs; worth switching only for longer runs
+            const useC = digits >= 4 || (digits >= 2 && digits === text.length - i && set === 'C');
+
+            if (useC) {
+                if (set !== 'C') {
+                    values.push(set === null ? Code128.START_C : Code128.CODE_C);
+                    set = 'C';
+                }
+                const pairs = Math.floor(digits / 2);
+                for (let p = 0; p < pairs; p++) {
+                    values.push(Number(text.substr(i, 2)));
+                    i += 2;
+                }
+            } else {
+                if (set !== 'B') {
+                    values.push(set === null ? Code128.START_B : Code128.CODE_B);
+                    set = 'B';
+                }
+                values.push(text.charCodeAt(i) - 32);
+                i++;
+            }
+        }
+
+        if (set === null) {
+            values.push(Code128.START_B);
+        }
+
+        const checksum = values.reduce((sum, value, index) => sum + value * Math.max(index, 1), 0) % 103;
+        values.push(checksum, Code128.STOP);
+        return values;
+    }
+
+    /**
+     * Render text as an SVG barcode that scales to its container.
+     * Includes the 10-module quiet zone on each side.
+     */
+    static toSVG(text) {
+        const modules = Code128.encode(text).map(value => Code128.PATTERNS[value]).join('');
+        const quietZone = 10;
+        let x = quietZone;
+        let bars = '';
+
+        [...modules].forEach((width, index) => {
+            // Even positions are bars, odd positions are spaces
+            if (index % 2 === 0) {
+                bars += `<rect x="${x}" y="0" width="${width}" height="1"/>`;
+            }
+            x += Number(width);
+        });
+
+        const totalWidth = x + quietZone;
+        return `<svg class="barcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} 1" preserveAspectRatio="none" shape-rendering="crispEdges">${bars}</svg>`;
+    }
+}
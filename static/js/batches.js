@@ -0,0 +1,269 @@
+/**
+ * Batch / work-order mode
+ * Tracks completions toward a named run with an expected image and target quantity
+ */
+
+class BatchTracker {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.active = null; // Open batch with progress as sent by the server
+
+        this.panel = document.getElementById('batch-panel');
+        this.nameElement = document.getElementById('batch-name');
+        this.progressBar = document.getElementById('batch-progress-bar');
+        this.statsElement = document.getElementById('batch-stats');
+        this.modal = document.getElementById('batch-modal');
+        this.startForm = document.getElementById('batch-start-form');
+        this.imageOptions = document.getElementById('batch-image-options');
+        this.recentElement = document.getElementById('batch-recent');
+        this.reportElement = document.getElementById('batch-report');
+
+        this.initializeEventListeners();
+        this.load();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('batch-btn').addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('batch-close-btn').addEventListener('click', () => {
+            this.closeBatch();
+        });
+
+        this.startForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.startBatch();
+        });
+
+        this.recentElement.addEventListener('click', (e) => {
+            const reportBtn = e.target.closest('[data-batch-report]');
+            if (reportBtn) {
+                this.showReport(Number(reportBtn.dataset.batchReport));
+            }
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+    }
+
+    async load() {
+        try {
+            const response = await fetch('/api/batches');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.apply(data.active);
+            return data;
+        } catch (error) {
+            console.warn('Failed to load batches:', error);
+            return null;
+        }
+    }
+
+    apply(batch) {
+        this.active = batch;
+        this.panel.hidden = !batch;
+        if (!batch) return;
+
+        const escape = (text) => this.monitor.escapeHtml(text);
+        this.nameElement.textContent = batch.image ? `${batch.name} (${batch.image})` : batch.name;
+        this.progressBar.style.width = `${batch.percent}%`;
+        this.progressBar.classList.toggle('complete', batch.remaining === 0);
+
+        let eta = 'ETA: waiting for the first completion';
+        if (batch.remaining === 0) {
+            eta = 'Target reached';
+        } else if (batch.eta_seconds !== null) {
+            const finish = new Date(Date.now() + batch.eta_seconds * 1000).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            eta = `ETA: ${this.monitor.formatDuration(batch.eta_seconds)} (about ${finish})`;
+        }
+
+        this.statsElement.innerHTML = `
+            <span><strong>${batch.completed}</strong> / ${batch.target} (${batch.percent}%)</span>
+            <span>${batch.rate_per_hour} per hour</span>
+            <span>${escape(eta)}</span>
+            ${batch.mismatched ? `<span class="batch-mismatch"><i class="fas fa-exclamation-triangle"></i> ${batch.mismatched} with wrong image</span>` : ''}
+        `;
+    }
+
+    onMismatch(device) {
+        const message = `Port ${device.port}: serial ${device.serial} was provisioned with ${device.image}, but batch expects ${device.expected_image}`;
+        this.monitor.alerts.notify('error', device.port, `${device.serial}:mismatch`, 'Wrong image for batch', message);
+        this.monitor.showNotification(this.monitor.escapeHtml(message), 'warning');
+    }
+
+    async open() {
+        this.reportElement.innerHTML = '';
+
+        // Suggest the images currently on the line
+        const images = new Set();
+        (this.monitor.currentData?.ports || []).forEach(port => {
+            if (port.image && port.image !== 'N/A') {
+                images.add(port.image);
+            }
+        });
+        this.imageOptions.innerHTML = [...images].map(image => `<option value="${this.monitor.escapeHtml(image)}">`).join('');
+        this.startForm.hidden = Boolean(this.active);
+
+        this.modal.style.display = 'block';
+        const data = await this.load();
+        if (data) {
+            this.startForm.hidden = Boolean(data.active);
+            this.renderRecent(data.batches);
+        }
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    renderRecent(batches) {
+        if (batches.length === 0) {
+            this.recentElement.innerHTML = '<p class="history-empty">No batches yet</p>';
+            return;
+        }
+
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const rows = batches.map(batch => `
+            <tr>
+                <td><strong>${escape(batch.name)}</strong></td>
+                <td>${escape(batch.image || '-')}</td>
+                <td>${batch.completed} / ${batch.target}</td>
+                <td>${new Date(batch.started_at * 1000).toLocaleString()}</td>
+                <td>${batch.closed_at ? new Date(batch.closed_at * 1000).toLocaleString() : '<em>Running</em>'}</td>
+                <td><button type="button" class="btn btn-secondary" data-batch-report="${batch.id}"><i class="fas fa-file-alt"></i> Report</button></td>
+            </tr>
+        `).join('');
+
+        this.recentElement.innerHTML = `
+            <table class="history-table">
+                <thead><tr><th>Batch</th><th>Image</th><th>Completed</th><th>Started</th><th>Closed</th><th></th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    async startBatch() {
+        const form = new FormData(this.startForm);
+        try {
+            const response = await fetch('/api/batches', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: form.get('name'),
+                    image: form.get('image'),
+                    target: Number(form.get('target'))
+                })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.startForm.reset();
+            this.apply(data);
+            this.close();
+            this.monitor.showNotification(`Batch ${this.monitor.escapeHtml(data.name)} started`, 'success');
+        } catch (error) {
+            console.error('Error starting batch:', error);
+            this.monitor.showNotification(`Failed to start batch: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async closeBatch() {
+        if (!this.active || !confirm(`Close batch "${this.active.name}"? Completions will stop counting toward it.`)) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/batches/${this.active.id}/close`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.apply(null);
+            this.modal.style.display = 'block';
+            this.startForm.hidden = false;
+            this.recentElement.innerHTML = '';
+            this.renderReport(data);
+        } catch (error) {
+            console.error('Error closing batch:', error);
+            this.monitor.showNotification(`Failed to close batch: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async showReport(batchId) {
+        try {
+            const response = await fetch(`/api/batches/${batchId}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.renderReport(data);
+        } catch (error) {
+            console.error('Error fetching batch report:', error);
+            this.reportElement.innerHTML = `<p class="history-empty">Failed to load report: ${this.monitor.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderReport(report) {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const batch = report.batch;
+        const summary = [
+            ['Completed', `${batch.completed} / ${batch.target}`],
+            ['Failures', report.errors.length],
+            ['Yield', report.yield === null ? '-' : `${(report.yield * 100).toFixed(1)}%`],
+            ['Wrong image', report.mismatches.length],
+            ['Duration', this.monitor.formatDuration(report.duration_seconds)],
+            ['Per hour', batch.rate_per_hour]
+        ];
+
+        const mismatchRows = report.mismatches.map(device => `
+            <tr>
+                <td class="history-serial">${escape(device.serial)}</td>
+                <td>${escape(device.port)}</td>
+                <td>${escape(device.image)}</td>
+            </tr>
+        `).join('');
+
+        const errorRows = report.errors.map(error => `
+            <tr>
+                <td>${escape(error.time)}</td>
+                <td class="history-serial">${escape(error.serial)}</td>
+                <td>${escape(error.port)}</td>
+                <td>${escape(error.state)}</td>
+            </tr>
+        `).join('');
+
+        this.reportElement.innerHTML = `
+            <h4 class="stats-heading">Report: ${escape(batch.name)} <small>${escape(report.started_at)} to ${escape(report.closed_at || 'now')}</small></h4>
+            <div class="stats-summary">
+                ${summary.map(([label, value]) => `
+                    <div class="stats-tile"><div class="stats-value">${escape(String(value))}</div><div class="stats-label">${label}</div></div>
+                `).join('')}
+            </div>
+            ${mismatchRows ? `
+                <h4 class="stats-heading">Wrong image (expected ${escape(batch.image)})</h4>
+                <table class="history-table"><thead><tr><th>Serial</th><th>Port</th><th>Image</th></tr></thead><tbody>${mismatchRows}</tbody></table>
+            ` : ''}
+            ${errorRows ? `
+                <h4 class="stats-heading">Failures</h4>
+                <table class="history-table"><thead><tr><th>Time</th><th>Serial</th><th>Port</th><th>State</th></tr></thead><tbody>${errorRows}</tbody></table>
+            ` : ''}
+            <div class="batch-report-actions">
+                <a class="btn btn-secondary" href="/api/export?batch=${batch.id}&format=csv&status=all"><i class="fas fa-file-csv"></i> Download CSV</a>
+                <a class="btn btn-secondary" href="/api/export?batch=${batch.id}&format=json&status=all"><i class="fas fa-file-code"></i> Download JSON</a>
+            </div>
+        `;
+    }
+}
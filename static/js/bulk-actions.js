@@ -0,0 +1,203 @@
+/**
+ * Bulk port actions
+ * Selects several port cards (click, shift-click for a range) and applies one action to all of them,
+ * e.g. marking a whole jig waiting at shift change
+ */
+
+// Bulk actions and the port control changes they send; acknowledging asks for a reason first
+const BULK_ACTIONS = {
+    waiting: { changes: { waiting: true }, done: 'marked waiting for new CM modules' },
+    disable: { changes: { disabled: true }, done: 'disabled' },
+    enable: { changes: { disabled: false }, done: 'enabled' },
+    acknowledge: { changes: { acknowledged: true }, done: 'acknowledged' }
+};
+
+// Keys that run a command while selecting; S toggles select mode itself
+const BULK_SHORTCUTS = {
+    a: 'all',
+    c: 'complete',
+    w: 'waiting',
+    d: 'disable',
+    e: 'enable',
+    k: 'acknowledge',
+    x: 'export'
+};
+
+class BulkSelection {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.active = false;
+        this.selected = new Set();
+        this.anchor = null; // Last card clicked without shift; ranges start here
+
+        this.selectBtn = document.getElementById('select-btn');
+        this.bar = document.getElementById('bulk-bar');
+        this.count = document.getElementById('bulk-count');
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        this.selectBtn.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        this.bar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk]');
+            if (button) {
+                this.command(button.dataset.bulk);
+            }
+        });
+    }
+
+    toggle() {
+        if (this.active) {
+            this.exit();
+        } else {
+            this.enter();
+        }
+    }
+
+    enter() {
+        if (!this.monitor.can('operator')) return;
+        this.active = true;
+        this.monitor.portsContainer.classList.add('selecting');
+        this.selectBtn.classList.add('active');
+        this.bar.hidden = false;
+        this.refresh();
+    }
+
+    exit() {
+        if (!this.active) return;
+        this.active = false;
+        this.selected.clear();
+        this.anchor = null;
+        this.monitor.portsContainer.classList.remove('selecting');
+        this.selectBtn.classList.remove('active');
+        this.bar.hidden = true;
+        this.refresh();
+    }
+
+    // Ports in the order their cards appear, across layout groups; cards the toolbar filters out don't count
+    visiblePorts() {
+        return [...this.monitor.portsContainer.querySelectorAll('.port-card:not([hidden])')].map(card => card.dataset.port);
+    }
+
+    // Card click while selecting; shift-click selects everything between it and the previous click
+    click(port, shiftKey) {
+        const visible = this.visiblePorts();
+        if (shiftKey && this.anchor !== null && visible.includes(this.anchor)) {
+            const from = visible.indexOf(this.anchor);
+            const to = visible.indexOf(port);
+            visible.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(p => this.selected.add(p));
+        } else {
+            if (this.selected.has(port)) {
+                this.selected.delete(port);
+            } else {
+                this.selected.add(port);
+            }
+            this.anchor = port;
+        }
+        this.refresh();
+    }
+
+    selectAll() {
+        this.selected = new Set(this.visiblePorts());
+        this.refresh();
+    }
+
+    selectComplete() {
+        const ports = this.monitor.currentData ? this.monitor.currentData.ports : [];
+        const visible = new Set(this.visiblePorts());
+        this.selected = new Set(ports.filter(port =>
+            visible.has(port.port) && port.has_device && port.category === 'complete'
+            && !this.monitor.waitingPorts.has(port.port) && !this.monitor.disabledPorts.has(port.port)
+        ).map(port => port.port));
+        this.refresh();
+    }
+
+    clear() {
+        this.selected.clear();
+        this.anchor = null;
+        this.refresh();
+    }
+
+    refresh() {
+        // Drop ports that have gone away since they were selected
+        const visible = new Set(this.visiblePorts());
+        this.selected.forEach(port => {
+            if (!visible.has(port)) {
+                this.selected.delete(port);
+            }
+        });
+
+        for (const [port, entry] of this.monitor.portCards) {
+            entry.element.classList.toggle('selected', this.selected.has(port));
+        }
+        this.count.textContent = `${this.selected.size} selected`;
+        this.bar.querySelectorAll('[data-bulk-needs-selection]').forEach(button => {
+            button.disabled = this.selected.size === 0;
+        });
+    }
+
+    command(name) {
+        if (!this.active) return;
+        if (name === 'all') {
+            this.selectAll();
+        } else if (name === 'complete') {
+            this.selectComplete();
+        } else if (name === 'clear') {
+            this.clear();
+        } else if (name === 'done') {
+            this.exit();
+        } else if (name === 'export') {
+            if (this.selected.size > 0) {
+                this.monitor.showExport([...this.selected]);
+            }
+        } else if (name === 'acknowledge') {
+            if (this.selected.size > 0) {
+                this.monitor.failureTracker.open(this.selectedErrorPorts());
+            }
+        } else if (BULK_ACTIONS[name]) {
+            this.apply(name);
+        }
+    }
+
+    selectedErrorPorts() {
+        const ports = this.monitor.currentData ? this.monitor.currentData.ports : [];
+        return ports.filter(port => this.selected.has(port.port) && port.has_device && port.category === 'error')
+            .map(port => port.port);
+    }
+
+    // `extra` adds to the action's changes, e.g. the failure reason when acknowledging
+    async apply(name, extra = {}, ports = [...this.selected]) {
+        if (ports.length === 0) return;
+        const action = BULK_ACTIONS[name];
+
+        try {
+            const response = await fetch('/api/ports/bulk', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ports, changes: { ...action.changes, ...extra } })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.monitor.applyPortControls(data.controls);
+            this.refresh();
+            const updated = `${data.updated.length} port${data.updated.length === 1 ? '' : 's'} ${action.done}`;
+            if (data.skipped.length > 0) {
+                const skipped = data.skipped.map(entry => entry.port).join(', ');
+                this.monitor.showNotification(`${updated}; skipped ${this.monitor.escapeHtml(skipped)}: ${this.monitor.escapeHtml(data.skipped[0].message)}`, 'warning');
+            } else {
+                this.monitor.showNotification(updated, 'success');
+            }
+        } catch (error) {
+            console.error('Error applying bulk action:', error);
+            this.monitor.showNotification(`Failed to update ${ports.length} ports: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+}
@@ -0,0 +1,207 @@
+/**
+ * Minimal canvas charts for the statistics view
+ * Drawn locally so the dashboard works on networks without internet access
+ */
+
+class MiniChart {
+    static prepare(canvas) {
+        // Scale the backing store for sharp lines on high-DPI displays
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px "Segoe UI", Tahoma, sans-serif';
+        return { ctx, width, height };
+    }
+
+    static drawEmpty(ctx, width, height, message) {
+        ctx.fillStyle = '#9E9E9E';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(message, width / 2, height / 2);
+    }
+
+    /**
+     * Vertical stacked bars, one column per label
+     * series: [{label, color, values: [number per label]}]
+     */
+    static drawStackedBars(canvas, { labels, series }) {
+        const { ctx, width, height } = MiniChart.prepare(canvas);
+        const padding = { top: 24, right: 10, bottom: 24, left: 34 };
+        const totals = labels.map((_, i) => series.reduce((sum, s) => sum + s.values[i], 0));
+        const maxValue = Math.max(...totals, 0);
+
+        if (labels.length === 0 || maxValue === 0) {
+            MiniChart.drawEmpty(ctx, width, height, 'No data in this time range');
+            return;
+        }
+
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const slot = plotWidth / labels.length;
+        const barWidth = Math.max(2, slot * 0.7);
+
+        // Y axis gridlines
+        ctx.strokeStyle = '#eeeeee';
+        ctx.fillStyle = '#757575';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        const step = Math.max(1, Math.ceil(maxValue / 4));
+        for (let value = 0; value <= maxValue; value += step) {
+            const y = padding.top + plotHeight - (value / maxValue) * plotHeight;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.fillText(String(value), padding.left - 6, y);
+        }
+
+        // Bars
+        labels.forEach((label, i) => {
+            const x = padding.left + i * slot + (slot - barWidth) / 2;
+            let y = padding.top + plotHeight;
+            series.forEach(s => {
+                const barHeight = (s.values[i] / maxValue) * plotHeight;
+                ctx.fillStyle = s.color;
+                ctx.fillRect(x, y - barHeight, barWidth, barHeight);
+                y -= barHeight;
+            });
+        });
+
+        // X labels, thinned out so they don't overlap
+        ctx.fillStyle = '#757575';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const every = Math.ceil(labels.length / Math.max(1, Math.floor(plotWidth / 40)));
+        labels.forEach((label, i) => {
+            if (i % every === 0) {
+                ctx.fillText(label, padding.left + i * slot + slot / 2, padding.top + plotHeight + 6);
+            }
+        });
+
+        // Legend
+        let legendX = padding.left;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        series.forEach(s => {
+            ctx.fillStyle = s.color;
+            ctx.fillRect(legendX, 6, 10, 10);
+            ctx.fillStyle = '#424242';
+            ctx.fillText(s.label, legendX + 14, 11);
+            legendX += ctx.measureText(s.label).width + 30;
+        });
+    }
+
+    /**
+     * Pareto chart: bars for counts, largest first, and a line for the cumulative percentage
+     */
+    static drawPareto(canvas, { labels, counts, cumulative }) {
+        const { ctx, width, height } = MiniChart.prepare(canvas);
+        const padding = { top: 14, right: 40, bottom: 24, left: 34 };
+        const maxValue = Math.max(...counts, 0);
+
+        if (labels.length === 0 || maxValue === 0) {
+            MiniChart.drawEmpty(ctx, width, height, 'No failure reasons recorded in this time range');
+            return;
+        }
+
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const slot = plotWidth / labels.length;
+        const barWidth = Math.max(2, slot * 0.6);
+        const bottom = padding.top + plotHeight;
+
+        // Count axis on the left, percentage axis on the right
+        ctx.strokeStyle = '#eeeeee';
+        ctx.fillStyle = '#757575';
+        ctx.textBaseline = 'middle';
+        const step = Math.max(1, Math.ceil(maxValue / 4));
+        for (let value = 0; value <= maxValue; value += step) {
+            const y = bottom - (value / maxValue) * plotHeight;
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(width - padding.right, y);
+            ctx.stroke();
+            ctx.textAlign = 'right';
+            ctx.fillText(String(value), padding.left - 6, y);
+        }
+        ctx.textAlign = 'left';
+        [0, 50, 100].forEach(percent => {
+            ctx.fillText(`${percent}%`, width - padding.right + 6, bottom - (percent / 100) * plotHeight);
+        });
+
+        ctx.fillStyle = '#F44336';
+        counts.forEach((count, i) => {
+            const barHeight = (count / maxValue) * plotHeight;
+            ctx.fillRect(padding.left + i * slot + (slot - barWidth) / 2, bottom - barHeight, barWidth, barHeight);
+        });
+
+        const points = cumulative.map((percent, i) => [padding.left + i * slot + slot / 2, bottom - (percent / 100) * plotHeight]);
+        ctx.strokeStyle = '#424242';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+        ctx.lineWidth = 1;
+        ctx.fillStyle = '#424242';
+        points.forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // Reasons can be long; cut them to their slot
+        ctx.fillStyle = '#757575';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        labels.forEach((label, i) => {
+            let text = label;
+            while (text.length > 1 && ctx.measureText(text).width > slot - 4) {
+                text = text.slice(0, -2) + '…';
+            }
+            ctx.fillText(text, padding.left + i * slot + slot / 2, bottom + 6);
+        });
+    }
+
+    /**
+     * Horizontal bars for ratios between 0 and 1, one row per label
+     * colorFor(value) picks the fill color for each bar
+     */
+    static drawRatioBars(canvas, { labels, values, colorFor, format }) {
+        const { ctx, width, height } = MiniChart.prepare(canvas);
+
+        if (labels.length === 0) {
+            MiniChart.drawEmpty(ctx, width, height, 'No completed or failed devices yet');
+            return;
+        }
+
+        const labelWidth = Math.min(140, width * 0.35);
+        const valueWidth = 50;
+        const rowHeight = height / labels.length;
+        const barHeight = Math.min(18, rowHeight * 0.7);
+        const plotWidth = width - labelWidth - valueWidth;
+
+        ctx.textBaseline = 'middle';
+        labels.forEach((label, i) => {
+            const centerY = i * rowHeight + rowHeight / 2;
+
+            ctx.fillStyle = '#424242';
+            ctx.textAlign = 'right';
+            ctx.fillText(label, labelWidth - 8, centerY);
+
+            ctx.fillStyle = '#eeeeee';
+            ctx.fillRect(labelWidth, centerY - barHeight / 2, plotWidth, barHeight);
+            ctx.fillStyle = colorFor(values[i]);
+            ctx.fillRect(labelWidth, centerY - barHeight / 2, plotWidth * values[i], barHeight);
+
+            ctx.fillStyle = '#424242';
+            ctx.textAlign = 'left';
+            ctx.fillText(format(values[i]), labelWidth + plotWidth + 6, centerY);
+        });
+    }
+}
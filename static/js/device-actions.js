@@ -0,0 +1,93 @@
+/**
+ * Operator actions passed on to the provisioner
+ * Retry a failed phase, provision a module again or abort a run that hangs, from buttons on the
+ * card. Each asks for confirmation first and shows on the card until the provisioner answers
+ */
+
+// Same categories as DEVICE_ACTIONS in app.py, which checks them again against the provisioner's last report
+const DEVICE_ACTIONS = {
+    retry: {
+        categories: ['error'],
+        icon: 'fa-redo',
+        title: 'Retry the failed phase',
+        pending: 'Retrying',
+        done: 'retry started',
+        confirm: (serial, port) => `Retry the failed phase for ${serial} on ${port}?`
+    },
+    reprovision: {
+        categories: ['complete', 'error'],
+        icon: 'fa-sync-alt',
+        title: 'Provision this module again from the start',
+        pending: 'Re-provisioning',
+        done: 're-provisioning started',
+        confirm: (serial, port) => `Provision ${serial} on ${port} again from the start? Anything written to it so far is overwritten.`
+    },
+    abort: {
+        categories: ['in-progress'],
+        icon: 'fa-stop-circle',
+        title: 'Abort this run',
+        pending: 'Aborting',
+        done: 'aborted',
+        confirm: (serial, port) => `Abort provisioning ${serial} on ${port}? The module is left part-provisioned.`
+    }
+};
+
+class DeviceActions {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.pending = new Map(); // Actions waiting for the provisioner's answer: port -> action
+        this.enabled = document.body.dataset.deviceActions === '1'; // MONITOR_DEVICE_ACTIONS on the server
+    }
+
+    // Actions that apply to a port's device as shown now
+    available(port) {
+        if (!this.enabled || !port.has_device || !port.serial || !this.monitor.can('operator')) {
+            return [];
+        }
+        return Object.keys(DEVICE_ACTIONS).filter(action => DEVICE_ACTIONS[action].categories.includes(port.category));
+    }
+
+    renderButtons(port) {
+        const pending = this.pending.has(port.port);
+        return this.available(port).map(action => `
+            <button class="port-history-btn device-action-btn" data-card-action="device" data-action="${action}" ${pending ? 'disabled' : ''}
+                title="${DEVICE_ACTIONS[action].title}">
+                <i class="fas ${DEVICE_ACTIONS[action].icon}"></i>
+            </button>
+        `).join('');
+    }
+
+    renderPending(port) {
+        const action = this.pending.get(port.port);
+        if (!action) return '';
+        return `<div class="device-action-pending"><i class="fas fa-spinner fa-spin"></i> ${DEVICE_ACTIONS[action].pending}...</div>`;
+    }
+
+    async run(portKey, action) {
+        const port = (this.monitor.currentData?.ports || []).find(entry => entry.port === portKey);
+        if (!port || this.pending.has(portKey) || !this.available(port).includes(action)) return;
+
+        const label = this.monitor.getPortLabel(portKey) || portKey;
+        if (!confirm(DEVICE_ACTIONS[action].confirm(port.serial, label))) return;
+
+        this.pending.set(portKey, action);
+        this.monitor.rerender();
+        try {
+            const response = await fetch(`/api/devices/${encodeURIComponent(port.serial)}/actions/${action}`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.monitor.showNotification(`${this.monitor.escapeHtml(label)}: ${DEVICE_ACTIONS[action].done}`, 'success');
+        } catch (error) {
+            console.error(`Error sending ${action} for ${port.serial}:`, error);
+            this.monitor.showNotification(`Failed to ${action} ${this.monitor.escapeHtml(label)}: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        } finally {
+            this.pending.delete(portKey);
+            // The new state arrives with the next update; don't wait for it to re-enable the buttons
+            this.monitor.rerender();
+        }
+    }
+}
@@ -0,0 +1,203 @@
+/**
+ * Per-device detail drawer
+ * Shows the full provisioner record, state timeline and log tail for the device on a port
+ */
+
+class DeviceDrawer {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.port = null;
+        this.serial = null;
+
+        this.drawer = document.getElementById('detail-drawer');
+        this.title = document.getElementById('detail-title');
+        this.summary = document.getElementById('detail-summary');
+        this.record = document.getElementById('detail-record');
+        this.timeline = document.getElementById('detail-timeline');
+        this.logSection = document.getElementById('detail-log-section');
+        this.logType = document.getElementById('detail-log-type');
+        this.logOutput = document.getElementById('detail-log');
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('detail-close-btn').addEventListener('click', () => {
+            this.close();
+        });
+
+        document.getElementById('detail-refresh-btn').addEventListener('click', () => {
+            this.load();
+        });
+
+        document.getElementById('detail-log-refresh-btn').addEventListener('click', () => {
+            this.loadLog();
+        });
+
+        this.logType.addEventListener('change', () => {
+            this.loadLog();
+        });
+    }
+
+    isOpen() {
+        return this.drawer.classList.contains('open');
+    }
+
+    open(portKey) {
+        const port = this.monitor.portsByKey.get(portKey) || this.monitor.emptySlot(portKey);
+        this.port = portKey;
+        this.serial = port.serial || null;
+
+        const label = this.monitor.getPortLabel(portKey);
+        this.title.textContent = label ? `${label} (${portKey})` : `Port: ${portKey}`;
+        this.renderSummary(port);
+        this.drawer.classList.add('open');
+        this.load();
+    }
+
+    close() {
+        this.drawer.classList.remove('open');
+        this.port = null;
+        this.serial = null;
+    }
+
+    renderSummary(port) {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const rows = [
+            ...(this.monitor.hosts.length > 1 ? [['Provisioner', port.host], ['USB path', port.usb_port]] : []),
+            ['Port', port.port],
+            ['Serial', port.serial || '-'],
+            ['State', port.state || '-'],
+            ['Status', port.status_text],
+            ['IP', port.ip_address || '-'],
+            ['Image', port.image || '-']
+        ];
+
+        this.summary.innerHTML = `
+            <table class="history-table detail-table">
+                <tbody>
+                    ${rows.map(([name, value]) => `<tr><th>${name}</th><td class="history-serial">${escape(value)}</td></tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async load() {
+        const loading = '<p class="history-empty"><i class="fas fa-spinner fa-spin"></i> Loading...</p>';
+        this.timeline.innerHTML = loading;
+
+        // Without a device there is only the port's own history to show
+        if (!this.serial) {
+            this.record.innerHTML = '<p class="history-empty">No device on this port</p>';
+            this.logSection.hidden = true;
+            await this.loadPortTimeline();
+            return;
+        }
+
+        this.record.innerHTML = loading;
+        this.logSection.hidden = false;
+        const serial = this.serial;
+
+        try {
+            const response = await fetch(`/api/devices/${encodeURIComponent(serial)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            // Ignore responses for a device that was swapped out while loading
+            if (serial !== this.serial) return;
+
+            this.renderRecord(data.device, data.source);
+            this.renderTimeline(data.timeline);
+        } catch (error) {
+            console.error('Error fetching device details:', error);
+            const message = `<p class="history-empty">Failed to load device details: ${this.monitor.escapeHtml(error.message)}</p>`;
+            this.record.innerHTML = message;
+            this.timeline.innerHTML = '';
+        }
+
+        this.loadLog();
+    }
+
+    async loadPortTimeline() {
+        try {
+            const response = await fetch(`/api/history?port=${encodeURIComponent(this.port)}&limit=100`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            // Exact port matches only, oldest first like the device timeline
+            this.renderTimeline(data.events.filter(event => event.port === this.port).reverse());
+        } catch (error) {
+            console.error('Error fetching port history:', error);
+            this.timeline.innerHTML = `<p class="history-empty">Failed to load history: ${this.monitor.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async loadLog() {
+        if (!this.serial) return;
+
+        const serial = this.serial;
+        const params = new URLSearchParams({ type: this.logType.value, lines: 200 });
+        this.logOutput.textContent = 'Loading...';
+
+        try {
+            const response = await fetch(`/api/devices/${encodeURIComponent(serial)}/log?${params}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            if (serial !== this.serial) return;
+
+            this.logOutput.textContent = data.lines.length ? data.lines.join('\n') : '(log is empty)';
+            // Keep the newest lines in view
+            this.logOutput.scrollTop = this.logOutput.scrollHeight;
+        } catch (error) {
+            console.error('Error fetching device log:', error);
+            this.logOutput.textContent = `Failed to load log: ${error.message}`;
+        }
+    }
+
+    renderRecord(device, source) {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const fields = Object.keys(device).sort();
+
+        if (fields.length === 0) {
+            this.record.innerHTML = '<p class="history-empty">The provisioner has no record for this device</p>';
+            return;
+        }
+
+        const rows = fields.map(field => {
+            const value = device[field];
+            const text = typeof value === 'object' && value !== null ? JSON.stringify(value, null, 2) : String(value);
+            return `<tr><th>${escape(field)}</th><td class="history-serial detail-value">${escape(text)}</td></tr>`;
+        }).join('');
+
+        this.record.innerHTML = `
+            <table class="history-table detail-table"><tbody>${rows}</tbody></table>
+            ${source === 'device-list' ? '<p class="detail-note">Per-device endpoint unavailable; showing the entry from the device list.</p>' : ''}
+        `;
+    }
+
+    renderTimeline(events) {
+        if (events.length === 0) {
+            this.timeline.innerHTML = '<p class="history-empty">No recorded state changes</p>';
+            return;
+        }
+
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const items = events.map(event => `
+            <li class="${this.monitor.isErrorState(event.state) ? 'timeline-error' : ''}">
+                <span class="timeline-time">${escape(event.time)}</span>
+                <strong>${escape(event.status_text)}</strong>
+                <small>${escape(event.state)}${event.port !== this.port ? ` on ${escape(event.port)}` : ''}</small>
+            </li>
+        `).join('');
+
+        this.timeline.innerHTML = `<ol class="detail-timeline">${items}</ol>`;
+    }
+}
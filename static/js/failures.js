@@ -0,0 +1,162 @@
+/**
+ * Failure reasons
+ * Asks for a reason (and optionally scrapped/retry) when errors are acknowledged, and draws the
+ * Pareto breakdown of failure causes in the statistics view
+ */
+
+class FailureTracker {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.ports = []; // Ports the open dialog acknowledges
+
+        this.modal = document.getElementById('ack-modal');
+        this.form = document.getElementById('ack-form');
+        this.title = document.getElementById('ack-title');
+        this.presets = document.getElementById('ack-reason-presets');
+        this.reasonOptions = document.getElementById('ack-reason-options');
+        this.paretoChart = document.getElementById('stats-pareto-chart');
+        this.failureResults = document.getElementById('stats-failures');
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+
+        // Preset buttons fill in the reason; typing one works as well
+        this.presets.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-reason]');
+            if (button) {
+                this.form.elements.reason.value = button.dataset.reason;
+                this.form.elements.reason.focus();
+            }
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+    }
+
+    async open(ports) {
+        if (ports.length === 0) {
+            this.monitor.showNotification('None of the selected ports has an error to acknowledge', 'warning');
+            return;
+        }
+
+        this.ports = ports;
+        this.form.reset();
+        this.title.textContent = ports.length === 1
+            ? `Acknowledge error on ${this.monitor.getPortLabel(ports[0]) || ports[0]}`
+            : `Acknowledge errors on ${ports.length} ports`;
+        this.modal.style.display = 'block';
+        this.form.elements.reason.focus();
+        await this.loadReasons();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    async loadReasons() {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        try {
+            const response = await fetch('/api/failures/reasons');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.presets.innerHTML = data.reasons.slice(0, 8).map(reason =>
+                `<button type="button" class="btn btn-secondary" data-reason="${escape(reason)}">${escape(reason)}</button>`
+            ).join('');
+            this.reasonOptions.innerHTML = data.reasons.map(reason => `<option value="${escape(reason)}"></option>`).join('');
+        } catch (error) {
+            // The reason can still be typed in
+            console.warn('Failed to load failure reasons:', error);
+        }
+    }
+
+    async submit() {
+        const fields = {
+            reason: this.form.elements.reason.value.trim(),
+            disposition: this.form.elements.disposition.value || null
+        };
+        if (!fields.reason) {
+            this.monitor.showNotification('Pick or type a failure reason', 'warning');
+            return;
+        }
+
+        if (this.ports.length > 1) {
+            await this.monitor.bulkSelection.apply('acknowledge', fields, this.ports);
+            this.close();
+            return;
+        }
+
+        const port = this.ports[0];
+        try {
+            await this.monitor.updatePortControl(port, { acknowledged: true, ...fields });
+            this.close();
+        } catch (error) {
+            console.error('Error acknowledging port:', error);
+            this.monitor.showNotification(`Failed to acknowledge port ${this.monitor.escapeHtml(port)}: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async loadPareto(hours) {
+        try {
+            const response = await fetch(`/api/failures?hours=${encodeURIComponent(hours)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.renderPareto(data);
+        } catch (error) {
+            console.error('Error fetching failure reasons:', error);
+            this.failureResults.innerHTML = `<p class="history-empty">Failed to load failure reasons: ${this.monitor.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderPareto(data) {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        MiniChart.drawPareto(this.paretoChart, {
+            labels: data.pareto.map(cause => cause.reason),
+            counts: data.pareto.map(cause => cause.count),
+            cumulative: data.pareto.map(cause => cause.cumulative_percent)
+        });
+
+        const unexplained = data.unexplained > 0
+            ? `<p class="export-count">${data.unexplained} error${data.unexplained === 1 ? '' : 's'} in this range ${data.unexplained === 1 ? 'has' : 'have'} no reason yet</p>`
+            : '';
+        if (data.pareto.length === 0) {
+            this.failureResults.innerHTML = unexplained;
+            return;
+        }
+
+        const rows = data.pareto.map(cause => `
+            <tr>
+                <td><strong>${escape(cause.reason)}</strong></td>
+                <td>${cause.count}</td>
+                <td>${cause.percent}%</td>
+                <td>${cause.cumulative_percent}%</td>
+                <td>${cause.retry}</td>
+                <td>${cause.scrapped}</td>
+            </tr>
+        `).join('');
+
+        this.failureResults.innerHTML = `
+            ${unexplained}
+            <table class="history-table">
+                <thead>
+                    <tr><th>Reason</th><th>Failures</th><th>Share</th><th>Cumulative</th><th>Retried</th><th>Scrapped</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+}
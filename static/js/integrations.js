@@ -0,0 +1,275 @@
+/**
+ * Integrations
+ * Edits the webhook and MQTT targets that provisioning events are sent to, and shows the delivery log
+ */
+
+class IntegrationsEditor {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.webhooks = [];
+        this.events = [];
+
+        this.modal = document.getElementById('integrations-modal');
+        this.webhookRows = document.getElementById('webhook-rows');
+        this.mqttForm = document.getElementById('mqtt-form');
+        this.mqttEvents = document.getElementById('mqtt-events');
+        this.statusFilter = document.getElementById('delivery-status-filter');
+        this.deliveryResults = document.getElementById('delivery-results');
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('integrations-btn').addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('webhook-add-btn').addEventListener('click', () => {
+            this.webhooks.push({ url: '', events: [...this.events], secret: '', enabled: true });
+            this.renderWebhooks();
+        });
+
+        document.getElementById('integrations-save-btn').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('integrations-test-btn').addEventListener('click', () => {
+            this.sendTest();
+        });
+
+        document.getElementById('delivery-refresh-btn').addEventListener('click', () => {
+            this.loadDeliveries();
+        });
+
+        this.statusFilter.addEventListener('change', () => {
+            this.loadDeliveries();
+        });
+
+        // Field edits update the webhook list in place
+        this.webhookRows.addEventListener('change', (e) => {
+            const index = e.target.closest('tr')?.dataset.index;
+            if (index === undefined) return;
+
+            const webhook = this.webhooks[Number(index)];
+            if (e.target.dataset.event) {
+                webhook.events = this.events.filter(event =>
+                    event === e.target.dataset.event ? e.target.checked : webhook.events.includes(event));
+            } else if (e.target.name === 'enabled') {
+                webhook.enabled = e.target.checked;
+            } else if (e.target.name) {
+                webhook[e.target.name] = e.target.value.trim();
+            }
+        });
+
+        this.webhookRows.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-webhook-remove]');
+            if (button) {
+                this.webhooks.splice(Number(button.closest('tr').dataset.index), 1);
+                this.renderWebhooks();
+            }
+        });
+
+        this.deliveryResults.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-delivery-retry]');
+            if (button) {
+                this.retry(Number(button.dataset.deliveryRetry));
+            }
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+    }
+
+    async open() {
+        this.modal.style.display = 'block';
+        // Targets can hold secrets, so only admins load them
+        if (this.monitor.can('admin')) {
+            await this.loadConfig();
+        }
+        this.loadDeliveries();
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    async loadConfig() {
+        try {
+            const response = await fetch('/api/integrations');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.apply(await response.json());
+        } catch (error) {
+            console.error('Error loading integrations:', error);
+            this.monitor.showNotification(`Failed to load integrations: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    apply(config) {
+        this.events = config.events;
+        this.webhooks = config.webhooks;
+        this.renderWebhooks();
+
+        const mqtt = config.mqtt;
+        this.mqttForm.elements.enabled.checked = mqtt.enabled;
+        for (const field of ['host', 'port', 'topic', 'username', 'password']) {
+            this.mqttForm.elements[field].value = mqtt[field];
+        }
+        this.mqttEvents.innerHTML = this.eventCheckboxes(mqtt.events);
+    }
+
+    eventCheckboxes(selected) {
+        return this.events.map(event => `
+            <label><input type="checkbox" data-event="${this.monitor.escapeHtml(event)}" ${selected.includes(event) ? 'checked' : ''}> ${this.monitor.escapeHtml(event)}</label>
+        `).join('');
+    }
+
+    renderWebhooks() {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        if (this.webhooks.length === 0) {
+            this.webhookRows.innerHTML = '<tr><td colspan="5" class="history-empty">No webhooks</td></tr>';
+            return;
+        }
+
+        this.webhookRows.innerHTML = this.webhooks.map((webhook, index) => `
+            <tr data-index="${index}">
+                <td><input type="checkbox" name="enabled" ${webhook.enabled ? 'checked' : ''}></td>
+                <td><input type="url" name="url" value="${escape(webhook.url)}" placeholder="https://mes.example/api/provisioning"></td>
+                <td class="settings-checkboxes integration-events">${this.eventCheckboxes(webhook.events)}</td>
+                <td><input type="password" name="secret" value="${escape(webhook.secret)}" placeholder="(none)" autocomplete="new-password"></td>
+                <td><button type="button" class="port-disable-btn" data-webhook-remove title="Remove webhook"><i class="fas fa-trash"></i></button></td>
+            </tr>
+        `).join('');
+    }
+
+    collect() {
+        const form = this.mqttForm.elements;
+        return {
+            webhooks: this.webhooks,
+            mqtt: {
+                enabled: form.enabled.checked,
+                host: form.host.value.trim(),
+                port: Number(form.port.value) || 1883,
+                topic: form.topic.value.trim(),
+                username: form.username.value.trim(),
+                password: form.password.value,
+                events: [...this.mqttEvents.querySelectorAll('[data-event]:checked')].map(input => input.dataset.event)
+            }
+        };
+    }
+
+    async save() {
+        try {
+            const response = await fetch('/api/integrations', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.collect())
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.apply(data);
+            this.monitor.showNotification('Integrations saved', 'success');
+        } catch (error) {
+            console.error('Error saving integrations:', error);
+            this.monitor.showNotification(`Failed to save integrations: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async sendTest() {
+        try {
+            const response = await fetch('/api/integrations/test', { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.monitor.showNotification(`Test event queued for ${data.queued} target${data.queued === 1 ? '' : 's'}; save first to test unsaved changes`, 'success');
+            // Give the sender a moment before showing the outcome
+            setTimeout(() => this.loadDeliveries(), 1500);
+        } catch (error) {
+            this.monitor.showNotification(`Failed to send test event: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+
+    async loadDeliveries() {
+        const params = new URLSearchParams({ limit: 200 });
+        if (this.statusFilter.value) {
+            params.set('status', this.statusFilter.value);
+        }
+
+        this.deliveryResults.innerHTML = '<p class="history-empty">Loading...</p>';
+        try {
+            const response = await fetch(`/api/integrations/deliveries?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.renderDeliveries(data.deliveries);
+        } catch (error) {
+            console.error('Error fetching deliveries:', error);
+            this.deliveryResults.innerHTML = `<p class="history-empty">Failed to load deliveries: ${this.monitor.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderDeliveries(deliveries) {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        if (deliveries.length === 0) {
+            this.deliveryResults.innerHTML = '<p class="history-empty">Nothing sent yet</p>';
+            return;
+        }
+
+        const canRetry = this.monitor.can('operator');
+        const rows = deliveries.map(delivery => {
+            const payload = delivery.payload;
+            const retryable = canRetry && ['failed', 'retrying'].includes(delivery.status);
+            return `
+                <tr>
+                    <td>${escape(delivery.time)}</td>
+                    <td>${escape(delivery.event)}</td>
+                    <td>${escape(payload.port || '-')}</td>
+                    <td class="history-serial">${escape(payload.serial || '-')}</td>
+                    <td class="history-serial">${escape(delivery.target_type)}: ${escape(delivery.target)}</td>
+                    <td>
+                        <span class="delivery-status ${escape(delivery.status)}">${escape(delivery.status)}</span>
+                        ${delivery.next_attempt_time && delivery.status === 'retrying' ? `<br><small>next ${escape(delivery.next_attempt_time)}</small>` : ''}
+                        ${delivery.last_error ? `<br><span class="delivery-error">${escape(delivery.last_error)}</span>` : ''}
+                    </td>
+                    <td>${delivery.attempts}</td>
+                    <td>${retryable ? `<button class="port-history-btn" data-delivery-retry="${delivery.id}" title="Send again now"><i class="fas fa-redo"></i></button>` : ''}</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.deliveryResults.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr><th>Time</th><th>Event</th><th>Port</th><th>Serial</th><th>Target</th><th>Status</th><th>Attempts</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    async retry(deliveryId) {
+        try {
+            const response = await fetch(`/api/integrations/deliveries/${deliveryId}/retry`, { method: 'POST' });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            setTimeout(() => this.loadDeliveries(), 1500);
+        } catch (error) {
+            this.monitor.showNotification(`Failed to retry delivery: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+}
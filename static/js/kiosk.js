@@ -0,0 +1,131 @@
+/**
+ * Wall display mode (?kiosk=1)
+ * Drops the controls, sizes the cards so every enabled port fits on one screen, and rotates a
+ * summary banner. The whole page drifts by a few pixels now and then so nothing burns into the panel
+ */
+
+// Space between cards, in pixels; matches the kiosk grid gap in style.css
+const KIOSK_GAP = 12;
+
+// Cards read best at about this width:height; extra room in either direction is left empty
+const KIOSK_CARD_RATIO = 1.6;
+
+// How long each banner message stays up
+const KIOSK_BANNER_INTERVAL = 8000;
+
+// How often the completed-today count is refreshed
+const KIOSK_STATS_INTERVAL = 60000;
+
+// Burn-in protection: one step around a small square every minute
+const KIOSK_SHIFT_PIXELS = 4;
+const KIOSK_SHIFT_INTERVAL = 60000;
+const KIOSK_SHIFT_STEPS = [[0, 0], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+
+class KioskDisplay {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.enabled = new URLSearchParams(window.location.search).get('kiosk') === '1';
+        this.completedToday = null;
+        this.messageIndex = 0;
+        this.shiftStep = 0;
+        this.fitted = ''; // Last grid size applied, so unchanged renders don't touch the styles
+
+        this.banner = document.getElementById('kiosk-banner');
+
+        if (!this.enabled) return;
+        document.body.classList.add('kiosk');
+        this.banner.hidden = false;
+
+        window.addEventListener('resize', () => {
+            this.fit();
+        });
+        this.loadCompletedToday();
+        setInterval(() => this.loadCompletedToday(), KIOSK_STATS_INTERVAL);
+        this.rotateBanner();
+        setInterval(() => this.rotateBanner(), KIOSK_BANNER_INTERVAL);
+        setInterval(() => this.shift(), KIOSK_SHIFT_INTERVAL);
+    }
+
+    // Pick the column count that gives the largest cards for the ports on screen
+    fit() {
+        const container = this.monitor.portsContainer;
+        const count = Math.max(container.querySelectorAll('.port-card:not(.disabled):not([hidden])').length, 1);
+        const width = container.clientWidth;
+        const height = window.innerHeight - container.getBoundingClientRect().top - KIOSK_GAP;
+        if (width <= 0 || height <= 0) return;
+
+        let best = null;
+        for (let columns = 1; columns <= count; columns++) {
+            const rows = Math.ceil(count / columns);
+            const cellWidth = (width - KIOSK_GAP * (columns - 1)) / columns;
+            const cellHeight = (height - KIOSK_GAP * (rows - 1)) / rows;
+            const size = Math.min(cellWidth / KIOSK_CARD_RATIO, cellHeight);
+            if (!best || size > best.size) {
+                best = { columns, cellHeight, size };
+            }
+        }
+
+        const fitted = `${best.columns}:${Math.floor(best.cellHeight)}:${Math.floor(best.size)}`;
+        if (fitted === this.fitted) return;
+        this.fitted = fitted;
+        container.style.setProperty('--kiosk-columns', best.columns);
+        container.style.setProperty('--kiosk-row-height', `${Math.floor(best.cellHeight)}px`);
+        // Text scales with the card; status and elapsed time are multiples of this in style.css
+        container.style.setProperty('--kiosk-font-size', `${Math.max(10, Math.floor(best.size / 14))}px`);
+    }
+
+    async loadCompletedToday() {
+        const midnight = new Date();
+        midnight.setHours(0, 0, 0, 0);
+        try {
+            const response = await fetch(`/api/stats?since=${midnight.getTime() / 1000}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.completedToday = (await response.json()).totals.completed;
+        } catch (error) {
+            // Keep the last count; the banner skips it until one arrives
+            console.warn('Failed to load the completed count for the wall display:', error);
+        }
+    }
+
+    // Banner messages from the cards as currently shown; disabled ports don't count
+    messages() {
+        const counts = { error: 0, slow: 0, 'in-progress': 0 };
+        for (const entry of this.monitor.portCards.values()) {
+            if (entry.status in counts) {
+                counts[entry.status] += 1;
+            }
+        }
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        const messages = [];
+        if (this.completedToday !== null) {
+            messages.push({ level: 'success', icon: 'fa-check-circle', text: `${this.completedToday} completed today` });
+        }
+        messages.push(counts.error > 0
+            ? { level: 'error', icon: 'fa-times-circle', text: `${plural(counts.error, 'port')} in error` }
+            : { level: 'success', icon: 'fa-check', text: 'No errors' });
+        messages.push(counts.slow > 0
+            ? { level: 'warning', icon: 'fa-exclamation-triangle', text: plural(counts.slow, 'slow port') }
+            : { level: 'success', icon: 'fa-tachometer-alt', text: 'No slow ports' });
+        messages.push({ level: 'info', icon: 'fa-cog', text: `${counts['in-progress']} in progress` });
+        return messages;
+    }
+
+    rotateBanner() {
+        const messages = this.messages();
+        const message = messages[this.messageIndex % messages.length];
+        this.messageIndex = (this.messageIndex + 1) % messages.length;
+
+        this.banner.className = `kiosk-banner ${message.level}`;
+        this.banner.innerHTML = `<i class="fas ${message.icon}"></i> ${this.monitor.escapeHtml(message.text)}`;
+    }
+
+    shift() {
+        this.shiftStep = (this.shiftStep + 1) % KIOSK_SHIFT_STEPS.length;
+        const [x, y] = KIOSK_SHIFT_STEPS[this.shiftStep];
+        document.body.style.setProperty('--kiosk-shift-x', `${x * KIOSK_SHIFT_PIXELS}px`);
+        document.body.style.setProperty('--kiosk-shift-y', `${y * KIOSK_SHIFT_PIXELS}px`);
+    }
+}
@@ -0,0 +1,158 @@
+/**
+ * Serial number labels for completed devices
+ * Renders serial, image, date and a Code 128 barcode, sized for common label stock
+ */
+
+class LabelPrinter {
+    // Width x height in millimetres
+    static SIZES = {
+        '62x29': { width: 62, height: 29, name: '62 × 29 mm (Brother DK-11209)' },
+        '57x32': { width: 57, height: 32, name: '57 × 32 mm (Dymo 11354)' },
+        '50x25': { width: 50, height: 25, name: '50 × 25 mm' },
+        '102x51': { width: 102, height: 51, name: '4 × 2 in (Zebra)' }
+    };
+
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.port = null;
+        this.prefs = {
+            size: '62x29',
+            auto: 'off' // off, complete (print on completion), swap (print when preparing the port for a new module)
+        };
+
+        this.modal = document.getElementById('label-modal');
+        this.preview = document.getElementById('label-preview');
+        this.sizeSelect = document.getElementById('label-size');
+        this.printArea = document.getElementById('label-print-area');
+        this.pageStyle = document.getElementById('label-page-style');
+
+        this.sizeSelect.innerHTML = Object.entries(LabelPrinter.SIZES)
+            .map(([key, size]) => `<option value="${key}">${size.name}</option>`).join('');
+
+        this.loadPrefs();
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        this.sizeSelect.addEventListener('change', () => {
+            this.prefs.size = this.sizeSelect.value;
+            this.savePrefs();
+            this.renderPreview();
+        });
+
+        document.getElementById('label-print-btn').addEventListener('click', () => {
+            this.print(this.port);
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+    }
+
+    loadPrefs() {
+        try {
+            const saved = localStorage.getItem('labelPrefs');
+            if (saved) {
+                this.prefs = { ...this.prefs, ...JSON.parse(saved) };
+            }
+        } catch (e) {
+            console.warn('Failed to load label preferences from localStorage:', e);
+        }
+        if (!LabelPrinter.SIZES[this.prefs.size]) {
+            this.prefs.size = '62x29';
+        }
+    }
+
+    savePrefs() {
+        try {
+            localStorage.setItem('labelPrefs', JSON.stringify(this.prefs));
+        } catch (e) {
+            console.warn('Failed to save label preferences to localStorage:', e);
+        }
+    }
+
+    setAutoPrint(mode) {
+        this.prefs.auto = mode;
+        this.savePrefs();
+    }
+
+    open(portKey) {
+        this.port = portKey;
+        this.sizeSelect.value = this.prefs.size;
+        this.renderPreview();
+        this.modal.style.display = 'block';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    labelData(portKey) {
+        const port = this.monitor.portsByKey.get(portKey);
+        if (!port || !port.serial) return null;
+
+        const completedAt = port.state_since ? new Date(port.state_since * 1000) : new Date();
+        return {
+            serial: port.serial,
+            image: port.image && port.image !== 'N/A' ? port.image : '',
+            date: completedAt.toLocaleString([], { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' }),
+            batch: this.monitor.batchTracker.active?.name || ''
+        };
+    }
+
+    renderLabel(data) {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const size = LabelPrinter.SIZES[this.prefs.size];
+
+        let barcode;
+        try {
+            barcode = Code128.toSVG(data.serial);
+        } catch (error) {
+            barcode = `<div class="label-barcode-error">${escape(error.message)}</div>`;
+        }
+
+        return `
+            <div class="device-label" style="--label-width: ${size.width}mm; --label-height: ${size.height}mm;">
+                <div class="label-barcode">${barcode}</div>
+                <div class="label-serial">${escape(data.serial)}</div>
+                <div class="label-meta">
+                    ${data.image ? `<span>${escape(data.image)}</span>` : ''}
+                    <span>${escape(data.date)}</span>
+                    ${data.batch ? `<span>${escape(data.batch)}</span>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    renderPreview() {
+        const data = this.labelData(this.port);
+        this.preview.innerHTML = data
+            ? this.renderLabel(data)
+            : '<p class="history-empty">No device on this port to label</p>';
+    }
+
+    /**
+     * Print one label for the device on a port. Only the label is printed,
+     * on a page the size of the label stock.
+     */
+    print(portKey) {
+        const data = this.labelData(portKey);
+        if (!data) {
+            this.monitor.showNotification(`No device on port ${this.monitor.escapeHtml(portKey)} to label`, 'warning');
+            return false;
+        }
+
+        const size = LabelPrinter.SIZES[this.prefs.size];
+        this.pageStyle.textContent = `@page { size: ${size.width}mm ${size.height}mm; margin: 0; }`;
+        this.printArea.innerHTML = this.renderLabel(data);
+
+        document.body.classList.add('printing-label');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-label');
+        }, { once: true });
+        window.print();
+        return true;
+    }
+}
@@ -0,0 +1,311 @@
+/**
+ * Physical port layout editor
+ * Assigns friendly labels, groups (hubs/jigs) and grid slots to USB ports by drag and drop
+ */
+
+class LayoutEditor {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.draft = { groups: [], ports: {} };
+
+        this.modal = document.getElementById('layout-modal');
+        this.container = document.getElementById('layout-editor');
+        this.importInput = document.getElementById('layout-import-input');
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('layout-add-group-btn').addEventListener('click', () => {
+            this.addGroup();
+        });
+
+        document.getElementById('layout-save-btn').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('layout-export-btn').addEventListener('click', () => {
+            window.location.href = '/api/layout/export';
+        });
+
+        this.importInput.addEventListener('change', () => {
+            this.importFile(this.importInput.files[0]);
+            this.importInput.value = '';
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+
+        // Group settings and labels edit the draft in place
+        this.container.addEventListener('change', (e) => {
+            const groupIndex = e.target.dataset.groupIndex;
+            if (groupIndex !== undefined) {
+                this.updateGroup(Number(groupIndex), e.target.name, e.target.value);
+            }
+        });
+
+        this.container.addEventListener('input', (e) => {
+            if (e.target.dataset.labelPort) {
+                this.portEntry(e.target.dataset.labelPort).label = e.target.value;
+            }
+        });
+
+        this.container.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-group]');
+            if (removeBtn) {
+                this.removeGroup(Number(removeBtn.dataset.removeGroup));
+            }
+        });
+
+        // Drag and drop of port chips between slots and the unplaced palette
+        this.container.addEventListener('dragstart', (e) => {
+            const chip = e.target.closest('.layout-chip');
+            if (chip) {
+                e.dataTransfer.setData('text/plain', chip.dataset.port);
+                e.dataTransfer.effectAllowed = 'move';
+            }
+        });
+
+        this.container.addEventListener('dragover', (e) => {
+            const target = e.target.closest('.layout-cell, .layout-palette');
+            if (target) {
+                e.preventDefault();
+                target.classList.add('drag-over');
+            }
+        });
+
+        this.container.addEventListener('dragleave', (e) => {
+            const target = e.target.closest('.layout-cell, .layout-palette');
+            if (target) {
+                target.classList.remove('drag-over');
+            }
+        });
+
+        this.container.addEventListener('drop', (e) => {
+            const target = e.target.closest('.layout-cell, .layout-palette');
+            if (!target) return;
+            e.preventDefault();
+
+            const port = e.dataTransfer.getData('text/plain');
+            if (target.classList.contains('layout-palette')) {
+                this.unplace(port);
+            } else {
+                this.place(port, target.dataset.group, Number(target.dataset.row), Number(target.dataset.col));
+            }
+            this.render();
+        });
+    }
+
+    open() {
+        this.draft = JSON.parse(JSON.stringify(this.monitor.layout));
+        this.render();
+        this.modal.style.display = 'block';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    knownPorts() {
+        // Everything the provisioner reports now plus everything already in the layout
+        const ports = new Set(Object.keys(this.draft.ports));
+        (this.monitor.currentData?.ports || []).forEach(port => ports.add(port.port));
+        return [...ports].sort();
+    }
+
+    portEntry(port) {
+        if (!this.draft.ports[port]) {
+            this.draft.ports[port] = { label: '' };
+        }
+        return this.draft.ports[port];
+    }
+
+    portAt(group, row, col) {
+        return Object.keys(this.draft.ports).find(port => {
+            const entry = this.draft.ports[port];
+            return entry.group === group && entry.row === row && entry.col === col;
+        });
+    }
+
+    place(port, group, row, col) {
+        const entry = this.portEntry(port);
+        const occupant = this.portAt(group, row, col);
+
+        // Dropping onto an occupied slot swaps the two ports
+        if (occupant && occupant !== port) {
+            const occupantEntry = this.draft.ports[occupant];
+            if (entry.group) {
+                Object.assign(occupantEntry, { group: entry.group, row: entry.row, col: entry.col });
+            } else {
+                this.unplace(occupant);
+            }
+        }
+
+        Object.assign(entry, { group, row, col });
+    }
+
+    unplace(port) {
+        const entry = this.portEntry(port);
+        delete entry.group;
+        delete entry.row;
+        delete entry.col;
+    }
+
+    addGroup() {
+        let number = this.draft.groups.length + 1;
+        while (this.draft.groups.some(group => group.name === `Group ${number}`)) {
+            number++;
+        }
+        this.draft.groups.push({ name: `Group ${number}`, columns: 4 });
+        this.render();
+    }
+
+    updateGroup(index, field, value) {
+        const group = this.draft.groups[index];
+
+        if (field === 'name') {
+            const name = value.trim();
+            if (!name || this.draft.groups.some((other, i) => i !== index && other.name === name)) {
+                this.monitor.showNotification('Group names must be unique and not empty', 'warning');
+            } else {
+                // Move the group's ports along with the rename
+                Object.values(this.draft.ports).forEach(entry => {
+                    if (entry.group === group.name) {
+                        entry.group = name;
+                    }
+                });
+                group.name = name;
+            }
+        } else if (field === 'columns') {
+            group.columns = Math.min(12, Math.max(1, parseInt(value, 10) || 1));
+            // Ports beyond the new width go back to the palette
+            Object.keys(this.draft.ports).forEach(port => {
+                const entry = this.draft.ports[port];
+                if (entry.group === group.name && entry.col > group.columns) {
+                    this.unplace(port);
+                }
+            });
+        }
+
+        this.render();
+    }
+
+    removeGroup(index) {
+        const [group] = this.draft.groups.splice(index, 1);
+        Object.keys(this.draft.ports).forEach(port => {
+            if (this.draft.ports[port].group === group.name) {
+                this.unplace(port);
+            }
+        });
+        this.render();
+    }
+
+    renderChip(port) {
+        const label = this.draft.ports[port]?.label;
+        const escape = (text) => this.monitor.escapeHtml(text);
+        return `
+            <div class="layout-chip" draggable="true" data-port="${escape(port)}" title="${escape(port)}">
+                ${label ? `<strong>${escape(label)}</strong><small>${escape(port)}</small>` : escape(port)}
+            </div>
+        `;
+    }
+
+    render() {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const ports = this.knownPorts();
+        const unplaced = ports.filter(port => !this.draft.ports[port]?.group);
+
+        const groupsHtml = this.draft.groups.map((group, index) => {
+            const placedRows = Object.values(this.draft.ports)
+                .filter(entry => entry.group === group.name)
+                .map(entry => entry.row);
+            // Always offer one spare row to grow the grid into
+            const rows = Math.max(0, ...placedRows) + 1;
+
+            let cells = '';
+            for (let row = 1; row <= rows; row++) {
+                for (let col = 1; col <= group.columns; col++) {
+                    const occupant = this.portAt(group.name, row, col);
+                    cells += `
+                        <div class="layout-cell" data-group="${escape(group.name)}" data-row="${row}" data-col="${col}">
+                            ${occupant ? this.renderChip(occupant) : ''}
+                        </div>
+                    `;
+                }
+            }
+
+            return `
+                <div class="layout-group">
+                    <div class="layout-group-header">
+                        <input type="text" name="name" data-group-index="${index}" value="${escape(group.name)}">
+                        <label>Columns <input type="number" name="columns" min="1" max="12" data-group-index="${index}" value="${group.columns}"></label>
+                        <button type="button" class="port-disable-btn" data-remove-group="${index}" title="Remove group"><i class="fas fa-trash"></i></button>
+                    </div>
+                    <div class="layout-grid" style="--group-columns: ${group.columns}">${cells}</div>
+                </div>
+            `;
+        }).join('');
+
+        const labelRows = ports.map(port => `
+            <tr>
+                <td class="history-serial">${escape(port)}</td>
+                <td><input type="text" data-label-port="${escape(port)}" placeholder="e.g. Jig A - Slot 3" value="${escape(this.draft.ports[port]?.label || '')}"></td>
+            </tr>
+        `).join('');
+
+        this.container.innerHTML = `
+            <h4 class="stats-heading">Unplaced ports <small>(drag onto a slot; drag back here to remove)</small></h4>
+            <div class="layout-palette">
+                ${unplaced.map(port => this.renderChip(port)).join('') || '<em>All ports are placed</em>'}
+            </div>
+            ${groupsHtml || '<p class="history-empty">No groups yet. Add a group for each hub or jig.</p>'}
+            <h4 class="stats-heading">Friendly names</h4>
+            <table class="history-table settings-table">
+                <thead><tr><th>Port</th><th>Label</th></tr></thead>
+                <tbody>${labelRows}</tbody>
+            </table>
+        `;
+    }
+
+    importFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const imported = JSON.parse(reader.result);
+                this.draft = { groups: imported.groups || [], ports: imported.ports || {} };
+                this.render();
+                this.monitor.showNotification('Layout imported. Review it and click Save to apply.', 'info');
+            } catch (error) {
+                this.monitor.showNotification(`Invalid layout file: ${this.monitor.escapeHtml(error.message)}`, 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    async save() {
+        try {
+            const response = await fetch('/api/layout', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.draft)
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.monitor.applyLayout(data);
+            this.close();
+            this.monitor.showNotification('Layout saved', 'success');
+        } catch (error) {
+            console.error('Error saving layout:', error);
+            this.monitor.showNotification(`Failed to save layout: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+}
@@ -6,30 +6,99 @@
 class USBPortMonitor {
     constructor() {
         this.isMonitoring = true;
-        this.refreshInterval = 2000; // 2 seconds
-        this.intervalId = null;
+        this.refreshInterval = 2000; // 2 seconds (polling fallback only)
+        this.polling = false; // Polling fallback active while the stream is down
+        this.pollTimer = null;
+        this.pollGeneration = 0; // Bumped on every start/stop so an in-flight poll knows it was superseded
+        this.eventSource = null; // Live push stream from /api/stream
+        this.streamRetryDelay = 1000; // Current reconnect backoff
+        this.maxRetryDelay = 30000; // Upper bound for the stream reconnect and polling backoff
+        this.streamReconnectTimer = null;
+        this.lastLiveAt = null; // When live data last arrived, shown while the dashboard is stale
+        this.portsByKey = new Map(); // Latest port data applied from stream diffs
+        this.portOrder = []; // Port display order as sent by the server
+        this.portCards = new Map(); // Rendered cards: port -> {element, signature, timing}
+        this.groupSections = new Map(); // Rendered layout groups: name -> {element, title, grid}
+        this.layout = { groups: [], ports: {} }; // Physical layout: labels, groups and grid slots
+        this.timeoutAlerts = new Map(); // Last slow phase and level notified per port/serial: port-serial -> "phase:level"
+        this.alerts = new AlertManager(); // Sounds and desktop notifications
+        this.thresholds = { // Slow-phase thresholds in seconds, replaced by server settings
+            phases: {
+                bootstrap: { warning: 300, critical: 900 },
+                triage: { warning: 300, critical: 900 },
+                provisioning: { warning: 300, critical: 900 }
+            },
+            images: {}
+        };
+        this.role = document.body.dataset.role || 'viewer'; // Signed-in role: viewer, operator or admin
+        this.stateRules = []; // State classification rules from the server: [{pattern, label, phase, category, color, regex}]
         this.currentData = null;
-        this.waitingPorts = new Set(); // Track ports waiting for new CM modules
-        this.portLastSerial = new Map(); // Track last known serial for each port
-        this.disabledPorts = new Set(); // Track disabled ports
-        this.bootstrapStartTimes = new Map(); // Track when bootstrap started for each port
+        this.hosts = []; // Provisioning hosts and their connection status: [{name, url, status, message}]
+        this.portControls = {}; // Server-side port controls: port -> {disabled, waiting, last_serial, ...}
+        this.waitingPorts = new Set(); // Ports waiting for new CM modules (derived from portControls)
+        this.portLastSerial = new Map(); // Last known serial for each waiting port (derived from portControls)
+        this.disabledPorts = new Set(); // Disabled ports (derived from portControls)
         this.portStateHistory = new Map(); // Track state changes: port -> {state, timestamp, serial}
         
-        // Load disabled ports from localStorage
-        this.loadDisabledPorts();
-        
         // DOM elements
         this.portsContainer = document.getElementById('ports-container');
         this.connectionStatus = document.getElementById('connection-status');
         this.connectionText = document.getElementById('connection-text');
+        this.hostStatusElement = document.getElementById('host-status');
         this.lastUpdateElement = document.getElementById('last-update');
         this.deviceCountElement = document.getElementById('device-count');
         this.refreshBtn = document.getElementById('refresh-btn');
         this.toggleBtn = document.getElementById('toggle-monitoring');
-        this.errorModal = document.getElementById('error-modal');
-        this.errorMessage = document.getElementById('error-message');
+        this.staleBanner = document.getElementById('stale-banner');
+        this.staleText = document.getElementById('stale-text');
+        this.refreshModeElement = document.getElementById('refresh-interval');
+        this.eventLogBtn = document.getElementById('event-log-btn');
+        this.historyModal = document.getElementById('history-modal');
+        this.historyTitle = document.getElementById('history-title');
+        this.historyFilters = document.getElementById('history-filters');
+        this.historyResults = document.getElementById('history-results');
+        this.statsBtn = document.getElementById('stats-btn');
+        this.statsModal = document.getElementById('stats-modal');
+        this.statsWindow = document.getElementById('stats-window');
+        this.statsSummary = document.getElementById('stats-summary');
+        this.statsPhases = document.getElementById('stats-phases');
+        this.statsThroughputChart = document.getElementById('stats-throughput-chart');
+        this.statsYieldChart = document.getElementById('stats-yield-chart');
+        this.settingsBtn = document.getElementById('settings-btn');
+        this.settingsModal = document.getElementById('settings-modal');
+        this.thresholdPhaseRows = document.getElementById('threshold-phase-rows');
+        this.thresholdImageRows = document.getElementById('threshold-image-rows');
+        this.muteBtn = document.getElementById('mute-btn');
+        this.layoutBtn = document.getElementById('layout-btn');
+        this.exportBtn = document.getElementById('export-btn');
+        this.exportModal = document.getElementById('export-modal');
+        this.exportForm = document.getElementById('export-form');
+        this.exportResults = document.getElementById('export-results');
+        this.auditBtn = document.getElementById('audit-btn');
+        this.auditModal = document.getElementById('audit-modal');
+        this.auditResults = document.getElementById('audit-results');
+        
+        this.layoutEditor = new LayoutEditor(this);
+        this.deviceDrawer = new DeviceDrawer(this);
+        this.batchTracker = new BatchTracker(this);
+        this.labelPrinter = new LabelPrinter(this);
+        this.stateRulesEditor = new StateRulesEditor(this);
+        this.integrationsEditor = new IntegrationsEditor(this);
+        this.bulkSelection = new BulkSelection(this);
+        this.failureTracker = new FailureTracker(this);
+        this.deviceActions = new DeviceActions(this);
+        this.portFilter = new PortFilter(this);
+        this.kiosk = new KioskDisplay(this);
         
         this.initializeEventListeners();
+        this.updateMuteButton();
+        this.restoreLastKnownState();
+        this.loadThresholds();
+        this.loadStateRules();
+        this.loadLayout();
+        if (this.can('operator')) {
+            this.migrateLocalDisabledPorts();
+        }
         this.startMonitoring();
     }
     
@@ -44,24 +113,237 @@ class USBPortMonitor {
             this.toggleMonitoring();
         });
         
+        // Completed cards prepare the port for a new CM module, other cards open the detail drawer.
+        // In select mode every card, disabled or not, only toggles its selection.
+        this.portsContainer.addEventListener('click', (e) => {
+            const card = e.target.closest('.port-card');
+            if (!card) return;
+            // Card buttons act on the card's port, in select mode and on disabled cards too
+            const button = e.target.closest('[data-card-action]');
+            if (button) {
+                this.runCardAction(button, card.dataset.port);
+                return;
+            }
+            if (this.bulkSelection.active) {
+                e.preventDefault();
+                this.bulkSelection.click(card.dataset.port, e.shiftKey);
+                return;
+            }
+            if (card.classList.contains('disabled')) return;
+            
+            if (card.classList.contains('clickable')) {
+                // Label the finished module before the port moves on to the next one
+                if (this.labelPrinter.prefs.auto === 'swap') {
+                    this.labelPrinter.print(card.dataset.port);
+                }
+                this.setPortWaiting(card.dataset.port, card.dataset.serial);
+            } else {
+                this.deviceDrawer.open(card.dataset.port);
+            }
+        });
+        
+        // Remove the change highlight once it has played
+        this.portsContainer.addEventListener('animationend', (e) => {
+            if (e.animationName === 'cardHighlight') {
+                e.target.classList.remove('card-changed');
+            }
+        });
+        
+        // Event log button
+        this.eventLogBtn.addEventListener('click', () => {
+            this.showHistory();
+        });
+        
+        // Statistics button and time range
+        this.statsBtn.addEventListener('click', () => {
+            this.showStatistics();
+        });
+        
+        this.statsWindow.addEventListener('change', () => {
+            this.loadStatistics();
+        });
+        
+        document.getElementById('stats-refresh-btn').addEventListener('click', () => {
+            this.loadStatistics();
+        });
+        
+        // Mute alert sounds
+        this.muteBtn.addEventListener('click', () => {
+            this.alerts.toggleMuted();
+            this.updateMuteButton();
+        });
+        
+        // Alert preferences apply immediately and are stored in this browser
+        document.getElementById('alert-sound').addEventListener('change', (e) => {
+            this.alerts.setSoundEnabled(e.target.checked);
+        });
+        
+        document.getElementById('alert-desktop').addEventListener('change', async (e) => {
+            try {
+                await this.alerts.setDesktopEnabled(e.target.checked);
+            } catch (error) {
+                e.target.checked = false;
+                this.showNotification(this.escapeHtml(error.message), 'warning');
+            }
+        });
+        
+        document.querySelectorAll('[data-alert-event]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.alerts.setEventEnabled(e.target.dataset.alertEvent, e.target.checked);
+            });
+        });
+        
+        // Label printing preference, also per browser
+        document.getElementById('label-auto-print').addEventListener('change', (e) => {
+            this.labelPrinter.setAutoPrint(e.target.value);
+        });
+        
+        // Export of provisioned devices
+        this.exportBtn.addEventListener('click', () => {
+            this.showExport();
+        });
+        
+        this.exportForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.previewExport();
+        });
+        
+        // Picking a custom date clears the preset range, and vice versa
+        this.exportForm.addEventListener('change', (e) => {
+            if (e.target.name === 'since' || e.target.name === 'until') {
+                this.exportForm.elements.hours.value = '';
+            } else if (e.target.name === 'hours' && e.target.value) {
+                this.exportForm.elements.since.value = '';
+                this.exportForm.elements.until.value = '';
+            }
+        });
+        
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                window.location.href = `/api/export?${this.exportParams(button.dataset.exportFormat)}`;
+            });
+        });
+        
+        // Layout editor
+        this.layoutBtn.addEventListener('click', () => {
+            this.layoutEditor.open();
+        });
+        
+        // Audit log (admins only)
+        this.auditBtn.addEventListener('click', () => {
+            this.showAudit();
+        });
+        
+        // Settings
+        this.settingsBtn.addEventListener('click', () => {
+            this.showSettings();
+        });
+        
+        document.getElementById('add-image-threshold-btn').addEventListener('click', () => {
+            this.addImageThresholdRow();
+        });
+        
+        document.getElementById('save-settings-btn').addEventListener('click', () => {
+            this.saveThresholds();
+        });
+        
+        this.thresholdImageRows.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.threshold-remove-btn');
+            if (removeBtn) {
+                removeBtn.closest('tr').remove();
+            }
+        });
+        
+        // Re-query history when filters are applied
+        this.historyFilters.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.loadHistory();
+        });
+        
+        document.getElementById('stale-retry-btn').addEventListener('click', () => {
+            this.retryConnection();
+        });
+        
+        // The network came back: don't wait out the backoff
+        window.addEventListener('online', () => {
+            if (this.isMonitoring) {
+                this.retryConnection();
+            }
+        });
+        
         // Close modal on outside click
-        this.errorModal.addEventListener('click', (e) => {
-            if (e.target === this.errorModal) {
-                this.closeErrorModal();
+        this.historyModal.addEventListener('click', (e) => {
+            if (e.target === this.historyModal) {
+                this.closeHistoryModal();
+            }
+        });
+        
+        this.statsModal.addEventListener('click', (e) => {
+            if (e.target === this.statsModal) {
+                this.closeStatsModal();
+            }
+        });
+        
+        this.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.settingsModal) {
+                this.closeSettingsModal();
+            }
+        });
+        
+        this.exportModal.addEventListener('click', (e) => {
+            if (e.target === this.exportModal) {
+                this.closeExportModal();
+            }
+        });
+        
+        this.auditModal.addEventListener('click', (e) => {
+            if (e.target === this.auditModal) {
+                this.closeAuditModal();
             }
         });
         
         // Handle keyboard events
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                this.closeErrorModal();
+                this.closeHistoryModal();
+                this.closeStatsModal();
+                this.closeSettingsModal();
+                this.closeExportModal();
+                this.closeAuditModal();
+                this.batchTracker.close();
+                this.labelPrinter.close();
+                this.stateRulesEditor.close();
+                this.integrationsEditor.close();
+                this.failureTracker.close();
+                this.layoutEditor.close();
+                this.deviceDrawer.close();
+                this.bulkSelection.exit();
             } else if (e.key === 'F5' || (e.ctrlKey && e.key === 'r')) {
                 e.preventDefault();
                 this.manualRefresh();
+            } else if (e.key === '/' && !e.ctrlKey && !e.metaKey && !e.altKey && !e.target.closest('input, textarea, select, [contenteditable]')) {
+                e.preventDefault();
+                this.portFilter.focusSearch();
+            } else if (this.isBulkShortcut(e)) {
+                e.preventDefault();
+                const key = e.key.toLowerCase();
+                if (key === 's') {
+                    this.bulkSelection.toggle();
+                } else {
+                    this.bulkSelection.command(BULK_SHORTCUTS[key]);
+                }
             }
         });
     }
     
+    isBulkShortcut(e) {
+        // Plain letter keys only, and never while typing into a field
+        if (e.ctrlKey || e.metaKey || e.altKey || e.repeat || !this.can('operator')) return false;
+        if (e.target.closest('input, textarea, select, [contenteditable]')) return false;
+        const key = e.key.toLowerCase();
+        return key === 's' || (this.bulkSelection.active && key in BULK_SHORTCUTS);
+    }
+    
     async fetchDeviceData() {
         try {
             const controller = new AbortController();
@@ -73,6 +355,11 @@ class USBPortMonitor {
             
             clearTimeout(timeoutId);
             
+            if (response.status === 401) {
+                // Session expired or the user was removed
+                window.location.href = `/login?next=${encodeURIComponent(window.location.pathname + window.location.search)}`;
+            }
+            
             if (!response.ok) {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
@@ -89,6 +376,12 @@ class USBPortMonitor {
         }
     }
     
+    can(role) {
+        // Roles are ordered; each includes everything the ones before it can do
+        const roles = ['viewer', 'operator', 'admin'];
+        return roles.indexOf(this.role) >= roles.indexOf(role);
+    }
+    
     updateConnectionStatus(status, message = '') {
         // Remove all status classes
         this.connectionStatus.classList.remove('connected', 'connecting', 'error');
@@ -102,6 +395,11 @@ class USBPortMonitor {
                 this.connectionStatus.classList.add('connecting');
                 this.connectionText.textContent = 'Connecting...';
                 break;
+            case 'partial':
+                // Some provisioners answer, others don't
+                this.connectionStatus.classList.add('connecting');
+                this.connectionText.textContent = message || 'Partly Connected';
+                break;
             case 'error':
                 this.connectionStatus.classList.add('error');
                 this.connectionText.textContent = message || 'Connection Error';
@@ -109,13 +407,27 @@ class USBPortMonitor {
         }
     }
     
-    createPortCard(port) {
-        const card = document.createElement('div');
+    applyHosts(hosts) {
+        this.hosts = hosts || [];
         
+        // A single provisioner is covered by the main connection indicator
+        this.hostStatusElement.hidden = this.hosts.length < 2;
+        this.hostStatusElement.innerHTML = this.hosts.length < 2 ? '' : this.hosts.map(host => `
+            <span class="host-badge ${host.status === 'connected' ? '' : 'offline'}" title="${this.escapeHtml(`${host.url}: ${host.message}`)}">
+                <span class="status-dot ${host.status === 'connected' ? 'connected' : 'error'}">●</span> ${this.escapeHtml(host.name)}
+            </span>
+        `).join('');
+    }
+    
+    offlineHosts() {
+        return this.hosts.filter(host => host.status !== 'connected');
+    }
+    
+    describePortCard(port) {
         // Check if port is disabled
         const isDisabled = this.disabledPorts.has(port.port);
         if (isDisabled) {
-            return this.createDisabledPortCard(port);
+            return this.describeDisabledPortCard(port);
         }
         
         // Check if this port is in waiting state
@@ -131,72 +443,154 @@ class USBPortMonitor {
             displayPort = this.checkBootstrapTimeout(displayPort);
         }
         
-        // Determine if card should be clickable
-        const isClickable = port.has_device && port.status_text === 'COMPLETE' && !isWaiting;
+        // Determine if card should be clickable; only operators can prepare a port for the next module
+        const isComplete = port.has_device && port.category === 'complete' && !isWaiting;
+        const isClickable = isComplete && this.can('operator');
+        
+        // An acknowledged error stays on the card but is known about; it holds until the device or state changes
+        const isError = port.has_device && port.category === 'error' && !isWaiting;
+        const control = this.portControls[port.port];
+        const isAcknowledged = isError && control && control.acknowledged_serial === port.serial
+            && control.acknowledged_state === port.state;
+        
+        // Timing is rendered separately so the clock ticking doesn't count as a change
+        const showTiming = displayPort.has_device;
+        
+        // The provisioner can report several devices on a port; the first is the active one
+        const otherDevices = (port.devices || []).slice(1);
         
-        card.className = isClickable ? 'port-card clickable' : 'port-card';
+        // Status class for the filter chips and the severity sort
+        let status = 'empty';
+        if (isWaiting) {
+            status = 'waiting';
+        } else if (displayPort.isTimeout) {
+            status = 'slow';
+        } else if (port.has_device && ['in-progress', 'complete', 'error'].includes(port.category)) {
+            status = port.category;
+        }
+        
+        let className = isClickable ? 'port-card clickable' : 'port-card';
+        if (otherDevices.length > 0 && !isWaiting) {
+            className += ' stacked';
+        }
+        if (displayPort.timeoutLevel) {
+            className += ` slow-${displayPort.timeoutLevel}`;
+        }
+        if (isAcknowledged) {
+            className += ' acknowledged';
+        }
+        if (this.deviceActions.pending.has(port.port)) {
+            className += ' action-pending';
+        }
         
-        card.innerHTML = `
+        return {
+            className,
+            status,
+            serial: port.serial || '',
+            timingPort: isWaiting ? {port: port.port, status_text: 'NEW CM MODULE IN PROGRESS'} : displayPort,
+            showTiming,
+            html: `
             <div class="port-header">
-                <i class="fas fa-usb"></i> Port: ${this.escapeHtml(displayPort.port)}
+                <i class="fas fa-usb"></i> ${this.renderPortTitle(displayPort.port)}
+                ${otherDevices.length > 0 && !isWaiting ? `<span class="device-count-badge" title="${otherDevices.length} more device${otherDevices.length === 1 ? '' : 's'} reported on this port">+${otherDevices.length}</span>` : ''}
                 <div class="port-controls">
                     ${isClickable ? '<i class="fas fa-hand-pointer click-icon" title="Click to prepare for new CM module"></i>' : ''}
-                    <button class="port-disable-btn" onclick="event.stopPropagation(); window.monitor.togglePortDisabled('${this.escapeHtml(port.port)}')" title="Disable this port">
-                        <i class="fas fa-eye-slash"></i>
+                    ${isError && !isAcknowledged && this.can('operator') ? `<button class="port-history-btn" data-card-action="acknowledge" title="Acknowledge this error and record why it failed">
+                        <i class="fas fa-check"></i>
+                    </button>` : ''}
+                    ${isWaiting ? '' : this.deviceActions.renderButtons(port)}
+                    ${isComplete ? `<button class="port-history-btn" data-card-action="label" title="Print serial label">
+                        <i class="fas fa-print"></i>
+                    </button>` : ''}
+                    <button class="port-history-btn" data-card-action="details" title="Show device details">
+                        <i class="fas fa-info-circle"></i>
+                    </button>
+                    <button class="port-history-btn" data-card-action="history" title="Show history for this port">
+                        <i class="fas fa-history"></i>
                     </button>
+                    ${this.can('operator') ? `<button class="port-disable-btn" data-card-action="toggle-disabled" title="Disable this port">
+                        <i class="fas fa-eye-slash"></i>
+                    </button>` : ''}
                 </div>
             </div>
             <div class="port-status">
                 <div class="status-content">
                     <div class="status-title" style="color: ${this.escapeHtml(displayPort.color)}; font-weight: bold;">
                         ${this.escapeHtml(displayPort.status_text)}
-                        ${displayPort.isTimeout ? '<i class="fas fa-exclamation-triangle timeout-warning" title="Taking longer than expected"></i>' : ''}
+                        ${isAcknowledged ? `<span class="ack-badge" title="Acknowledged${control.acknowledged_by ? ` by ${this.escapeHtml(control.acknowledged_by)}` : ''} at ${this.escapeHtml(new Date(control.acknowledged_at * 1000).toLocaleTimeString())}"><i class="fas fa-check"></i> ACK</span>` : ''}
+                        ${displayPort.isTimeout ? `<i class="fas fa-exclamation-triangle timeout-warning ${displayPort.timeoutLevel}" title="Taking longer than expected"></i>` : ''}
                     </div>
+                    ${this.deviceActions.renderPending(port)}
                     ${displayPort.has_device && !isWaiting ? `
                         <div class="status-details">
                             <div><strong>Serial:</strong> ${this.escapeHtml(displayPort.serial_short)}</div>
                             ${displayPort.ip_address !== 'N/A' ? `<div><strong>IP:</strong> ${this.escapeHtml(displayPort.ip_address)}</div>` : ''}
                             ${displayPort.image !== 'N/A' ? `<div><strong>Image:</strong> ${this.escapeHtml(displayPort.image)}</div>` : ''}
-                            ${displayPort.isTimeout ? `<div><small style="color: #FF9800;"><strong>⚠ Duration:</strong> ${displayPort.timeoutDuration}</small></div>` : ''}
-                        </div>
-                        <div class="timing-info">
-                            ${this.getTimingInfo(displayPort)}
+                            ${isAcknowledged ? `<div class="ack-reason"><strong>Reason:</strong> ${this.escapeHtml(control.acknowledged_reason)}${control.acknowledged_disposition ? ` <span class="disposition ${this.escapeHtml(control.acknowledged_disposition)}">${this.escapeHtml(control.acknowledged_disposition)}</span>` : ''}</div>` : ''}
+                            ${displayPort.isTimeout ? `<div><small class="timeout-duration ${displayPort.timeoutLevel}"><strong>⚠ Duration:</strong> ${displayPort.timeoutDuration}</small></div>` : ''}
                         </div>
+                        ${this.renderDeviceStack(otherDevices, port.previous_devices || [])}
                     ` : ''}
                     ${isWaiting ? `
                         <div class="status-details">
                             <div><em>Waiting for new CM module...</em></div>
                             <div><small>Connect a new device to continue</small></div>
                         </div>
-                        <div class="timing-info">
-                            ${this.getTimingInfo({port: port.port, status_text: 'NEW CM MODULE IN PROGRESS'})}
-                        </div>
                     ` : ''}
+                    ${showTiming ? '<div class="timing-info"></div>' : ''}
                 </div>
             </div>
+        `
+        };
+    }
+    
+    // Other devices the provisioner reports on a port, then modules provisioned there before,
+    // one line each with the full details on hover
+    renderDeviceStack(otherDevices, previousDevices) {
+        const describe = (device, when, timestamp) => [
+            `Serial: ${device.serial}`,
+            `State: ${device.status_text} (${device.state})`,
+            device.image && device.image !== 'N/A' ? `Image: ${device.image}` : null,
+            device.ip_address && device.ip_address !== 'N/A' ? `IP: ${device.ip_address}` : null,
+            `${when}: ${new Date(timestamp * 1000).toLocaleString()}`
+        ].filter(line => line !== null).join('\n');
+        const item = (device, kind, title) => `
+            <li class="device-stack-item ${kind}" title="${this.escapeHtml(title)}">
+                <span class="device-stack-serial">${this.escapeHtml(device.serial.length > 12 ? `${device.serial.slice(0, 12)}...` : device.serial)}</span>
+                <span class="device-stack-status">${this.escapeHtml(device.status_text)}</span>
+            </li>
         `;
         
-        // Add click handler for completed devices
-        if (isClickable) {
-            card.addEventListener('click', () => {
-                this.setPortWaiting(port.port, port.serial);
-            });
-        }
+        const items = [
+            ...otherDevices.map(device => item(device, 'current', describe(device, 'Last change', device.last_change))),
+            ...previousDevices.slice(0, 3).map(device => item(device, 'previous', describe(device, 'Last seen', device.timestamp)))
+        ];
+        if (items.length === 0) return '';
         
-        return card;
+        return `
+            <ul class="device-stack">
+                ${items.join('')}
+            </ul>
+        `;
     }
     
-    createDisabledPortCard(port) {
-        const card = document.createElement('div');
-        card.className = 'port-card disabled';
-        
-        card.innerHTML = `
+    describeDisabledPortCard(port) {
+        return {
+            className: 'port-card disabled',
+            status: 'disabled',
+            serial: port.serial || '',
+            timingPort: {port: port.port, status_text: 'DISABLED'},
+            showTiming: true,
+            html: `
             <div class="port-header">
-                <i class="fas fa-usb"></i> Port: ${this.escapeHtml(port.port)} <span class="disabled-label">(Disabled)</span>
+                <i class="fas fa-usb"></i> ${this.renderPortTitle(port.port)} <span class="disabled-label">(Disabled)</span>
                 <div class="port-controls">
-                    <button class="port-enable-btn" onclick="window.monitor.togglePortDisabled('${this.escapeHtml(port.port)}')" title="Enable this port">
-                        <i class="fas fa-eye"></i>
+                    <button class="port-history-btn" data-card-action="history" title="Show history for this port">
+                        <i class="fas fa-history"></i>
                     </button>
+                    ${this.can('operator') ? `<button class="port-enable-btn" data-card-action="toggle-disabled" title="Enable this port">
+                        <i class="fas fa-eye"></i>
+                    </button>` : ''}
                 </div>
             </div>
             <div class="port-status disabled-status">
@@ -207,130 +601,566 @@ class USBPortMonitor {
                     <div class="status-details">
                         <div><em>Port is hidden from monitoring</em></div>
                     </div>
-                    <div class="timing-info">
-                        ${this.getTimingInfo({port: port.port, status_text: 'DISABLED'})}
-                    </div>
+                    <div class="timing-info"></div>
                 </div>
             </div>
-        `;
+        `
+        };
+    }
+    
+    renderPortCards(ports) {
+        // Drop placeholder messages left over from loading or an empty port list
+        this.portsContainer.querySelectorAll('.loading-message').forEach(el => el.remove());
+        
+        const seenPorts = new Set();
+        const seenGroups = new Set();
+        let previousSection = null;
+        let visibleCount = 0;
+        
+        this.arrangePorts(ports).forEach(section => {
+            // Ungrouped ports go straight into the main grid
+            let parent = this.portsContainer;
+            if (section.key !== null) {
+                const group = this.getGroupSection(section);
+                seenGroups.add(section.key);
+                this.placeAfter(this.portsContainer, group.element, previousSection);
+                previousSection = group.element;
+                parent = group.grid;
+            }
+            
+            // Render every card, then let the toolbar hide and reorder them
+            const rendered = section.ports.map(({ port, placement }) => {
+                const card = this.renderPortCard(port);
+                seenPorts.add(port.port);
+                return { port, placement, card, status: this.portCards.get(port.port).status };
+            });
+            const arranged = this.portFilter.apply(rendered);
+            const sectionVisible = arranged.filter(({ card }) => !card.hidden).length;
+            visibleCount += sectionVisible;
+            if (section.key !== null) {
+                // Groups with nothing left to show make way while searching or filtering
+                this.groupSections.get(section.key).element.hidden = sectionVisible === 0 && this.portFilter.active;
+            }
+            
+            let previousCard = null;
+            arranged.forEach(({ port, placement, card }) => {
+                if (placement) {
+                    card.style.setProperty('--grid-row', placement.row);
+                    card.style.setProperty('--grid-col', placement.col);
+                } else {
+                    card.style.removeProperty('--grid-row');
+                    card.style.removeProperty('--grid-col');
+                }
+                
+                this.placeAfter(parent, card, previousCard);
+                previousCard = card;
+            });
+        });
+        
+        this.portFilter.showCount(visibleCount, seenPorts.size);
+        if (this.kiosk.enabled) {
+            this.kiosk.fit();
+        }
+        
+        // Re-rendered cards lose their selection outline
+        if (this.bulkSelection.active) {
+            this.bulkSelection.refresh();
+        }
+        
+        // Remove cards for ports that are no longer reported, then groups no longer used
+        for (const [key, entry] of this.portCards) {
+            if (!seenPorts.has(key)) {
+                entry.element.remove();
+                this.portCards.delete(key);
+            }
+        }
+        for (const [key, group] of this.groupSections) {
+            if (!seenGroups.has(key)) {
+                group.element.remove();
+                this.groupSections.delete(key);
+            }
+        }
+    }
+    
+    renderPortCard(port) {
+        const view = this.describePortCard(port);
+        const signature = view.className + view.html;
+        
+        let entry = this.portCards.get(port.port);
+        if (!entry) {
+            const element = document.createElement('div');
+            element.dataset.port = port.port;
+            entry = { element, signature: null, timing: null };
+            this.portCards.set(port.port, entry);
+        }
+        
+        const card = entry.element;
+        if (entry.signature !== signature) {
+            const isUpdate = entry.signature !== null;
+            card.className = view.className;
+            card.innerHTML = view.html;
+            card.dataset.serial = view.serial;
+            card.dataset.status = view.status;
+            entry.signature = signature;
+            entry.status = view.status;
+            entry.timing = null;
+            
+            if (isUpdate) {
+                this.highlightCard(card);
+            }
+        }
+        
+        if (view.showTiming) {
+            const timing = this.getTimingInfo(view.timingPort);
+            if (entry.timing !== timing) {
+                card.querySelector('.timing-info').innerHTML = timing;
+                entry.timing = timing;
+            }
+        }
         
         return card;
     }
     
-    setPortWaiting(port, lastSerial) {
-        this.waitingPorts.add(port);
-        this.portLastSerial.set(port, lastSerial);
-        console.log(`Port ${port} now waiting for new CM module (last serial: ${lastSerial})`);
+    // Redraw the grid from the data already received, e.g. after the toolbar changed
+    rerender() {
+        if (this.currentData && this.currentData.status !== 'error' && this.currentData.ports
+            && (this.currentData.ports.length > 0 || this.layout.groups.length > 0)) {
+            this.renderPortCards(this.currentData.ports);
+        }
+    }
+    
+    placeAfter(parent, element, previous) {
+        // Only move the element if it isn't already in the right position
+        const expectedPosition = previous ? previous.nextSibling : parent.firstChild;
+        if (expectedPosition !== element) {
+            parent.insertBefore(element, expectedPosition);
+        }
+    }
+    
+    arrangePorts(ports) {
+        // Without groups the grid keeps the server's order, split per provisioner when there are several
+        if (this.layout.groups.length === 0) {
+            if (this.hosts.length < 2) {
+                return [{ key: null, ports: ports.map(port => ({ port, placement: null })) }];
+            }
+            return this.hosts.map(host => ({
+                key: `\u0001host:${host.name}`, // Can't collide with a group name
+                title: host.name,
+                host,
+                columns: null,
+                ports: ports.filter(port => port.host === host.name).map(port => ({ port, placement: null }))
+            }));
+        }
         
-        // Update state history for waiting state
-        const currentTime = Date.now();
-        this.portStateHistory.set(port, {
-            state: 'NEW CM MODULE IN PROGRESS',
-            timestamp: currentTime,
-            serial: 'waiting',
-            formattedTime: new Date(currentTime).toLocaleTimeString()
+        const reported = new Map(ports.map(port => [port.port, port]));
+        const sections = this.layout.groups.map(group => ({
+            key: group.name, title: group.name, columns: group.columns, ports: []
+        }));
+        const sectionsByName = new Map(sections.map(section => [section.key, section]));
+        
+        // Placed slots, including empty ones for ports the provisioner isn't reporting
+        Object.entries(this.layout.ports).forEach(([key, placement]) => {
+            const section = placement.group && sectionsByName.get(placement.group);
+            if (section) {
+                section.ports.push({ port: reported.get(key) || this.emptySlot(key), placement });
+            }
+        });
+        sections.forEach(section => {
+            section.ports.sort((a, b) => a.placement.row - b.placement.row || a.placement.col - b.placement.col);
         });
         
-        // Force immediate refresh to show the new state
-        this.refreshData();
+        const unassigned = ports.filter(port => !sectionsByName.has(this.layout.ports[port.port]?.group));
+        if (unassigned.length > 0) {
+            sections.push({
+                key: '\u0000unassigned', // Can't collide with a group name
+                title: 'Unassigned',
+                columns: null,
+                ports: unassigned.map(port => ({ port, placement: null }))
+            });
+        }
+        
+        return sections;
+    }
+    
+    emptySlot(portKey) {
+        // Same shape app.py uses for a port without a device
+        return {
+            port: portKey,
+            has_device: false,
+            state: 'no_device',
+            status_text: 'NO DEVICE',
+            color: '#9E9E9E',
+            phase: null,
+            category: 'unknown',
+            serial: '',
+            serial_short: '',
+            ip_address: '',
+            image: ''
+        };
+    }
+    
+    getGroupSection(section) {
+        let group = this.groupSections.get(section.key);
+        if (!group) {
+            const element = document.createElement('section');
+            element.className = 'port-group';
+            element.innerHTML = '<h3 class="port-group-title"></h3><span class="port-group-status"></span><div class="ports-grid group-grid"></div>';
+            group = {
+                element,
+                title: element.querySelector('.port-group-title'),
+                status: element.querySelector('.port-group-status'),
+                grid: element.querySelector('.group-grid')
+            };
+            this.groupSections.set(section.key, group);
+        }
+        
+        group.title.textContent = section.title;
+        // Provisioner sections say whether their host is answering
+        const offline = section.host && section.host.status !== 'connected';
+        group.element.classList.toggle('host-offline', Boolean(offline));
+        group.status.textContent = section.host
+            ? (offline ? `${section.host.message}; showing the last known state` : section.host.message)
+            : '';
+        group.grid.classList.toggle('fixed-columns', section.columns !== null);
+        if (section.columns !== null) {
+            group.grid.style.setProperty('--group-columns', section.columns);
+        }
+        return group;
+    }
+    
+    getPortLabel(port) {
+        return this.layout.ports[port]?.label || '';
+    }
+    
+    renderPortTitle(port) {
+        const label = this.getPortLabel(port);
+        return label
+            ? `${this.escapeHtml(label)} <span class="port-id">${this.escapeHtml(port)}</span>`
+            : `Port: ${this.escapeHtml(port)}`;
+    }
+    
+    async loadLayout() {
+        try {
+            const response = await fetch('/api/layout');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.applyLayout(await response.json());
+        } catch (error) {
+            console.warn('Failed to load port layout:', error);
+        }
+    }
+    
+    applyLayout(layout) {
+        this.layout = layout;
+        if (this.currentData && this.currentData.status !== 'error') {
+            this.updateDisplay(this.currentData);
+        }
+    }
+    
+    highlightCard(card) {
+        card.classList.remove('card-changed');
+        // Force a reflow so the animation restarts on back-to-back changes
+        void card.offsetWidth;
+        card.classList.add('card-changed');
+    }
+    
+    async setPortWaiting(port, lastSerial) {
+        try {
+            await this.updatePortControl(port, { waiting: true, last_serial: lastSerial });
+            console.log(`Port ${port} now waiting for new CM module (last serial: ${lastSerial})`);
+        } catch (error) {
+            console.error('Error marking port as waiting:', error);
+            this.showNotification(`Failed to mark port ${this.escapeHtml(port)} as waiting: ${this.escapeHtml(error.message)}`, 'error');
+        }
     }
     
     checkBootstrapTimeout(port) {
         const portKey = `${port.port}-${port.serial}`;
-        const currentTime = Date.now();
         
         // Check if this is an in-progress state that should be timed
-        const statusText = port.status_text.toLowerCase();
-        const state = (port.state || '').toLowerCase();
-        const isInProgress = statusText.includes('bootstrap') || 
-                           statusText.includes('provisioning') || 
-                           statusText.includes('triage') ||
-                           state.includes('bootstrap') || 
-                           state.includes('provisioning') || 
-                           state.includes('triage') ||
-                           statusText.includes('updating firmware') ||
-                           statusText.includes('fastboot');
-        
-        if (isInProgress) {
-            // Determine the current phase
-            let currentPhase = 'unknown';
-            if (statusText.includes('bootstrap') || state.includes('bootstrap') || 
-                statusText.includes('updating firmware') || statusText.includes('fastboot')) {
-                currentPhase = 'bootstrap';
-            } else if (statusText.includes('triage') || state.includes('triage')) {
-                currentPhase = 'triage';  
-            } else if (statusText.includes('provisioning') || state.includes('provisioning')) {
-                currentPhase = 'provisioning';
-            }
-            
-            // Check if we have existing tracking
-            const existingTracking = this.bootstrapStartTimes.get(portKey);
+        const currentPhase = this.getPhase(port);
+        
+        if (currentPhase) {
+            // Timed from when the server saw the phase begin, so every browser, the slow-phase
+            // webhooks and /metrics agree, and a reload doesn't restart the clock
+            const since = port.phase_since || port.state_since;
+            const elapsed = since ? Date.now() - since * 1000 : 0;
+            const threshold = this.getThreshold(currentPhase, port.image);
             
-            // Reset timer if phase changed or no tracking exists
-            if (!existingTracking || existingTracking.phase !== currentPhase) {
-                console.log(`${existingTracking ? 'Phase change' : 'Starting'} timeout tracking for ${portKey}: ${existingTracking?.phase || 'none'} -> ${currentPhase} (${port.status_text})`);
-                this.bootstrapStartTimes.set(portKey, {
-                    startTime: currentTime,
-                    phase: currentPhase
-                });
+            let level = null;
+            if (elapsed > threshold.critical * 1000) {
+                level = 'critical';
+            } else if (elapsed > threshold.warning * 1000) {
+                level = 'warning';
             }
             
-            const trackingInfo = this.bootstrapStartTimes.get(portKey);
-            const elapsed = currentTime - trackingInfo.startTime;
-            const fiveMinutes = 5 * 60 * 1000; // 5 minutes in milliseconds
-            
-            if (elapsed > fiveMinutes) {
+            if (level) {
                 const minutes = Math.floor(elapsed / (60 * 1000));
-                console.log(`Timeout detected for ${portKey}: ${minutes} minutes in ${currentPhase} phase (${port.status_text})`);
-                port.color = '#81C784'; // Light blue/green for timeout
+                port.color = level === 'critical' ? '#FF5722' : '#81C784'; // Deep orange when stalled, light green when slow
                 port.isTimeout = true;
+                port.timeoutLevel = level;
                 port.timeoutDuration = `${minutes}m`;
-                if (!port.status_text.includes('(SLOW)')) {
-                    port.status_text += ' (SLOW)';
+                const suffix = level === 'critical' ? ' (STALLED)' : ' (SLOW)';
+                if (!port.status_text.includes(suffix)) {
+                    port.status_text += suffix;
+                }
+                
+                // Notify once per phase and level, not on every update
+                const alertKey = `${currentPhase}:${level}`;
+                if (this.timeoutAlerts.get(portKey) !== alertKey) {
+                    console.log(`Timeout ${level} for ${portKey}: ${minutes} minutes in ${currentPhase} phase (${port.status_text})`);
+                    this.timeoutAlerts.set(portKey, alertKey);
+                    const message = `Port ${port.port}: ${currentPhase} ${level === 'critical' ? 'stalled' : 'slow'} (${minutes}m)`;
+                    this.showNotification(this.escapeHtml(message), level === 'critical' ? 'error' : 'warning');
+                    this.alerts.notify('slow', port.port, `${portKey}:${currentPhase}:${level}`, message, `Serial ${port.serial}`);
                 }
             }
         } else {
-            // Remove from tracking if finished or in error state
-            if (this.bootstrapStartTimes.has(portKey)) {
-                console.log(`Stopping timeout tracking for ${portKey} - now in state: ${port.status_text}`);
-                this.bootstrapStartTimes.delete(portKey);
-            }
+            // Finished or in error: a later phase starts its own alerts
+            this.timeoutAlerts.delete(portKey);
         }
         
         return port;
     }
 
     
-    loadDisabledPorts() {
+    getThreshold(phase, image) {
+        // Per-image overrides win over the per-phase defaults
+        const override = this.thresholds.images[image]?.[phase];
+        return override || this.thresholds.phases[phase];
+    }
+    
+    async loadThresholds() {
         try {
-            const disabled = localStorage.getItem('disabledPorts');
-            if (disabled) {
-                this.disabledPorts = new Set(JSON.parse(disabled));
+            const response = await fetch('/api/settings/thresholds');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
-        } catch (e) {
-            console.warn('Failed to load disabled ports from localStorage:', e);
+            this.thresholds = await response.json();
+        } catch (error) {
+            console.warn('Failed to load thresholds, using defaults:', error);
         }
     }
     
-    saveDisabledPorts() {
+    showSettings() {
+        const toMinutes = (seconds) => +(seconds / 60).toFixed(2);
+        
+        this.thresholdPhaseRows.innerHTML = Object.entries(this.thresholds.phases).map(([phase, pair]) => `
+            <tr data-phase="${this.escapeHtml(phase)}">
+                <td><strong>${this.escapeHtml(phase)}</strong></td>
+                <td><input type="number" name="warning" min="0.5" step="0.5" value="${toMinutes(pair.warning)}"></td>
+                <td><input type="number" name="critical" min="0.5" step="0.5" value="${toMinutes(pair.critical)}"></td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('alert-sound').checked = this.alerts.prefs.sound;
+        document.getElementById('alert-desktop').checked = this.alerts.prefs.desktop;
+        document.querySelectorAll('[data-alert-event]').forEach(checkbox => {
+            checkbox.checked = this.alerts.prefs.events[checkbox.dataset.alertEvent];
+        });
+        document.getElementById('label-auto-print').value = this.labelPrinter.prefs.auto;
+        
+        this.thresholdImageRows.innerHTML = '';
+        Object.entries(this.thresholds.images).forEach(([image, overrides]) => {
+            Object.entries(overrides).forEach(([phase, pair]) => {
+                this.addImageThresholdRow(image, phase, pair);
+            });
+        });
+        
+        this.settingsModal.style.display = 'block';
+    }
+    
+    addImageThresholdRow(image = '', phase = 'provisioning', pair = null) {
+        const defaults = pair || this.thresholds.phases[phase];
+        const phaseOptions = Object.keys(this.thresholds.phases).map(name =>
+            `<option value="${this.escapeHtml(name)}" ${name === phase ? 'selected' : ''}>${this.escapeHtml(name)}</option>`
+        ).join('');
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" name="image" placeholder="image.img" value="${this.escapeHtml(image)}"></td>
+            <td><select name="phase">${phaseOptions}</select></td>
+            <td><input type="number" name="warning" min="0.5" step="0.5" value="${+(defaults.warning / 60).toFixed(2)}"></td>
+            <td><input type="number" name="critical" min="0.5" step="0.5" value="${+(defaults.critical / 60).toFixed(2)}"></td>
+            <td><button type="button" class="port-disable-btn threshold-remove-btn" title="Remove override"><i class="fas fa-trash"></i></button></td>
+        `;
+        this.thresholdImageRows.appendChild(row);
+    }
+    
+    collectThresholds() {
+        const readPair = (row) => ({
+            warning: parseFloat(row.querySelector('[name="warning"]').value) * 60,
+            critical: parseFloat(row.querySelector('[name="critical"]').value) * 60
+        });
+        
+        const thresholds = { phases: {}, images: {} };
+        this.thresholdPhaseRows.querySelectorAll('tr').forEach(row => {
+            thresholds.phases[row.dataset.phase] = readPair(row);
+        });
+        this.thresholdImageRows.querySelectorAll('tr').forEach(row => {
+            const image = row.querySelector('[name="image"]').value.trim();
+            if (!image) return;
+            const phase = row.querySelector('[name="phase"]').value;
+            thresholds.images[image] = thresholds.images[image] || {};
+            thresholds.images[image][phase] = readPair(row);
+        });
+        return thresholds;
+    }
+    
+    async saveThresholds() {
         try {
-            localStorage.setItem('disabledPorts', JSON.stringify([...this.disabledPorts]));
-        } catch (e) {
-            console.warn('Failed to save disabled ports to localStorage:', e);
+            const response = await fetch('/api/settings/thresholds', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.collectThresholds())
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            this.thresholds = data;
+            this.closeSettingsModal();
+            this.showNotification('Thresholds saved', 'success');
+        } catch (error) {
+            console.error('Error saving thresholds:', error);
+            this.showNotification(`Failed to save thresholds: ${this.escapeHtml(error.message)}`, 'error');
+        }
+    }
+    
+    closeSettingsModal() {
+        this.settingsModal.style.display = 'none';
+    }
+    
+    async loadStateRules() {
+        try {
+            const response = await fetch('/api/states');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            this.applyStateRules((await response.json()).rules);
+        } catch (error) {
+            console.warn('Failed to load state rules:', error);
+        }
+    }
+    
+    applyStateRules(rules) {
+        this.stateRules = rules.map(rule => {
+            try {
+                return { ...rule, regex: new RegExp(rule.pattern, 'i') };
+            } catch (e) {
+                // Valid for the server's regex engine but not the browser's: skip it here only
+                console.warn(`State rule pattern "${rule.pattern}" is not valid in JavaScript:`, e);
+                return null;
+            }
+        }).filter(Boolean);
+    }
+    
+    classifyState(state) {
+        // First matching rule wins (mirrors classify_state in app.py)
+        const rule = this.stateRules.find(r => r.regex.test(state || ''));
+        const tidied = (state || '').replace(/[-_]/g, ' ').toUpperCase();
+        
+        if (!rule) {
+            return { label: tidied, phase: null, category: 'unknown', color: '#607D8B' };
+        }
+        return { label: rule.label || tidied, phase: rule.phase, category: rule.category, color: rule.color };
+    }
+    
+    isErrorState(state) {
+        return this.classifyState(state).category === 'error';
+    }
+    
+    getPhase(port) {
+        // Ports arrive classified by the server; raw states are classified here
+        return port.phase !== undefined ? port.phase : this.classifyState(port.state).phase;
+    }
+    
+    applyPortControls(controls, render = true) {
+        this.portControls = controls;
+        
+        const all = Object.values(controls);
+        this.disabledPorts = new Set(all.filter(c => c.disabled).map(c => c.port));
+        this.waitingPorts = new Set(all.filter(c => c.waiting).map(c => c.port));
+        this.portLastSerial = new Map(all.filter(c => c.waiting).map(c => [c.port, c.last_serial]));
+        
+        if (render && this.currentData && this.currentData.status !== 'error') {
+            this.updateDisplay(this.currentData);
         }
     }
     
-    togglePortDisabled(port) {
-        if (this.disabledPorts.has(port)) {
-            this.disabledPorts.delete(port);
-            this.showNotification(`Port ${port} enabled`, 'info');
+    async updatePortControl(port, changes) {
+        const response = await fetch(`/api/ports/${encodeURIComponent(port)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const control = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(control.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        // Apply right away; the stream will confirm it to every other client
+        const controls = { ...this.portControls };
+        if (control.disabled || control.waiting || control.acknowledged_at !== null) {
+            controls[port] = control;
         } else {
-            this.disabledPorts.add(port);
-            this.showNotification(`Port ${port} disabled`, 'info');
+            delete controls[port];
+        }
+        this.applyPortControls(controls);
+        return control;
+    }
+    
+    async migrateLocalDisabledPorts() {
+        // Disabled ports used to be kept per browser; move them to the server once
+        try {
+            const disabled = JSON.parse(localStorage.getItem('disabledPorts') || '[]');
+            for (const port of disabled) {
+                await this.updatePortControl(port, { disabled: true });
+            }
+            localStorage.removeItem('disabledPorts');
+        } catch (e) {
+            console.warn('Failed to migrate disabled ports from localStorage:', e);
+        }
+    }
+    
+    // Buttons in a card's header, by their data-card-action
+    runCardAction(button, port) {
+        switch (button.dataset.cardAction) {
+            case 'acknowledge':
+                this.failureTracker.open([port]);
+                break;
+            case 'label':
+                this.labelPrinter.open(port);
+                break;
+            case 'details':
+                this.deviceDrawer.open(port);
+                break;
+            case 'history':
+                this.showHistory(port);
+                break;
+            case 'toggle-disabled':
+                this.togglePortDisabled(port);
+                break;
+            case 'device':
+                this.deviceActions.run(port, button.dataset.action);
+                break;
         }
+    }
+    
+    async togglePortDisabled(port) {
+        const disable = !this.disabledPorts.has(port);
         
-        this.saveDisabledPorts();
-        this.refreshData(); // Refresh to show changes
+        try {
+            await this.updatePortControl(port, { disabled: disable });
+            this.showNotification(`Port ${this.escapeHtml(port)} ${disable ? 'disabled' : 'enabled'}`, 'info');
+        } catch (error) {
+            console.error('Error updating port:', error);
+            this.showNotification(`Failed to update port ${this.escapeHtml(port)}: ${this.escapeHtml(error.message)}`, 'error');
+        }
     }
     
     trackStateChanges(data) {
@@ -354,45 +1184,78 @@ class USBPortMonitor {
             if (isNewState) {
                 console.log(`State change detected on ${portKey}: ${previousInfo?.state || 'unknown'} -> ${currentState} (Serial: ${currentSerial})`);
                 
+                // Only alert on transitions seen live, not on ports already finished at page load
+                if (previousInfo && !this.disabledPorts.has(portKey)) {
+                    this.alertOnTransition(port);
+                }
+                
+                // Prefer the server's transition time so reloads and other browsers agree
+                const since = port.state_since ? port.state_since * 1000 : currentTime;
                 this.portStateHistory.set(portKey, {
                     state: currentState,
-                    timestamp: currentTime,
+                    timestamp: since,
                     serial: currentSerial,
-                    formattedTime: new Date(currentTime).toLocaleTimeString()
+                    formattedTime: new Date(since).toLocaleTimeString()
                 });
             }
         });
         
-        // Handle waiting ports
+        // Handle waiting ports, timed from when the server marked them
         this.waitingPorts.forEach(portKey => {
             const previousInfo = this.portStateHistory.get(portKey);
             const waitingState = 'NEW CM MODULE IN PROGRESS';
             
             if (!previousInfo || previousInfo.state !== waitingState) {
+                const waitingSince = this.portControls[portKey]?.waiting_since;
+                const since = waitingSince ? waitingSince * 1000 : currentTime;
                 this.portStateHistory.set(portKey, {
                     state: waitingState,
-                    timestamp: currentTime,
+                    timestamp: since,
                     serial: 'waiting',
-                    formattedTime: new Date(currentTime).toLocaleTimeString()
+                    formattedTime: new Date(since).toLocaleTimeString()
                 });
             }
         });
     }
     
+    alertOnTransition(port) {
+        const identity = `${port.serial}:${port.state}:${port.state_since || ''}`;
+        
+        if (port.category === 'complete') {
+            this.alerts.notify('complete', port.port, identity,
+                `Port ${port.port} complete`, `Serial ${port.serial}`);
+            if (this.labelPrinter.prefs.auto === 'complete') {
+                this.labelPrinter.print(port.port);
+            }
+        } else if (port.category === 'error') {
+            const message = `Port ${port.port}: ${port.status_text}`;
+            if (this.alerts.notify('error', port.port, identity, message, `Serial ${port.serial} (${port.state})`)) {
+                this.showNotification(this.escapeHtml(message), 'error');
+            }
+        }
+    }
+    
+    updateMuteButton() {
+        const muted = this.alerts.prefs.muted;
+        this.muteBtn.innerHTML = muted ? '<i class="fas fa-volume-mute"></i>' : '<i class="fas fa-volume-up"></i>';
+        this.muteBtn.title = muted ? 'Unmute alert sounds' : 'Mute alert sounds';
+        this.muteBtn.classList.toggle('muted', muted);
+    }
+    
     getTimingInfo(port) {
         const portKey = port.port;
         const stateInfo = this.portStateHistory.get(portKey);
         
         if (!stateInfo) {
-            // First time seeing this port, use current time
-            const currentTime = Date.now();
+            // First time seeing this port, use the server's transition time if known
+            const currentTime = port.state_since ? port.state_since * 1000 : Date.now();
             this.portStateHistory.set(portKey, {
                 state: port.status_text || port.state || 'unknown',
                 timestamp: currentTime,
                 serial: port.serial || 'no-device',
                 formattedTime: new Date(currentTime).toLocaleTimeString()
             });
-            return `<div class="timing-line">State since: <strong>just now</strong></div>`;
+            return `<div class="timing-line"><span class="timing-since">State since:</span> <strong class="timing-elapsed">just now</strong></div>`;
         }
         
         const elapsedMs = Date.now() - stateInfo.timestamp;
@@ -401,8 +1264,8 @@ class USBPortMonitor {
         return `
             <div class="timing-line">
                 <i class="fas fa-clock"></i> 
-                Since: <strong>${stateInfo.formattedTime}</strong> 
-                (${this.formatDuration(elapsedSeconds)})
+                <span class="timing-since">Since: <strong>${stateInfo.formattedTime}</strong></span> 
+                <span class="timing-elapsed">(${this.formatDuration(elapsedSeconds)})</span>
             </div>
         `;
     }
@@ -425,23 +1288,25 @@ class USBPortMonitor {
         if (!data) return;
         
         this.currentData = data;
+        if (data.hosts) {
+            this.applyHosts(data.hosts);
+        }
         
-        // Track state changes before processing
-        this.trackStateChanges(data);
-        
-        // Check for new bootstrap events on waiting ports
-        this.checkForNewBootstrap(data);
-        
-        // Clear existing content
-        this.portsContainer.innerHTML = '';
+        // Track state changes before processing; a restored snapshot isn't news
+        if (!data.restored) {
+            this.trackStateChanges(data);
+        }
         
         if (data.status === 'error') {
-            this.showErrorMessage(data.message);
+            this.markStale(data.message);
             this.updateConnectionStatus('error', 'Connection Error');
             return;
         }
         
-        if (!data.ports || data.ports.length === 0) {
+        // With a layout, empty slots are still worth showing
+        if (!data.ports || (data.ports.length === 0 && this.layout.groups.length === 0)) {
+            this.portCards.clear();
+            this.groupSections.clear();
             this.portsContainer.innerHTML = `
                 <div class="loading-message">
                     <i class="fas fa-info-circle"></i>
@@ -449,15 +1314,15 @@ class USBPortMonitor {
                 </div>
             `;
             this.deviceCountElement.textContent = '0 ports monitored';
-            this.updateConnectionStatus('connected');
+            if (!data.restored) {
+                this.saveLastKnownState(data);
+                this.updateConnectionStatus('connected');
+            }
             return;
         }
         
-        // Create port cards
-        data.ports.forEach(port => {
-            const card = this.createPortCard(port);
-            this.portsContainer.appendChild(card);
-        });
+        // Patch only the cards whose content changed
+        this.renderPortCards(data.ports);
         
         // Update status information
         const deviceCount = data.ports.filter(p => p.has_device && !this.disabledPorts.has(p.port)).length;
@@ -465,38 +1330,59 @@ class USBPortMonitor {
         const disabledCount = this.disabledPorts.size;
         this.deviceCountElement.textContent = `${data.ports.length} ports monitored (${deviceCount} active, ${waitingCount} waiting, ${disabledCount} disabled)`;
         this.lastUpdateElement.textContent = `Last update: ${data.timestamp}`;
-        this.updateConnectionStatus('connected');
+        if (data.restored) return;
         
-        // Hide error modal if it's open
-        this.closeErrorModal();
+        this.saveLastKnownState(data);
+        const offline = this.offlineHosts();
+        if (offline.length > 0) {
+            this.updateConnectionStatus('partial', `${offline.length} of ${this.hosts.length} hosts offline`);
+        } else {
+            this.updateConnectionStatus('connected');
+        }
     }
     
-    checkForNewBootstrap(data) {
-        if (!data.ports) return;
+    saveLastKnownState(data) {
+        this.lastLiveAt = Date.now();
+        this.clearStale();
+        try {
+            localStorage.setItem('lastKnownState', JSON.stringify({ savedAt: this.lastLiveAt, data }));
+        } catch (e) {
+            console.warn('Failed to save the last known state to localStorage:', e);
+        }
+    }
+    
+    restoreLastKnownState() {
+        // Show the line as it was last seen until the server answers, e.g. while the Pi reboots
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('lastKnownState'));
+        } catch (e) {
+            console.warn('Failed to load the last known state from localStorage:', e);
+        }
+        if (!saved?.data?.ports) return;
         
-        // Check each waiting port for new bootstrap activity
-        for (const waitingPort of this.waitingPorts) {
-            const currentPortDevices = data.ports.filter(p => p.port === waitingPort);
-            
-            for (const device of currentPortDevices) {
-                const lastSerial = this.portLastSerial.get(waitingPort);
-                
-                // Check if we have a new device (different serial) that's starting bootstrap
-                if (device.serial && device.serial !== lastSerial && 
-                    (device.status_text.includes('BOOTSTRAP') || device.state.toLowerCase().includes('bootstrap'))) {
-                    
-                    console.log(`New bootstrap detected on waiting port ${waitingPort}: ${device.serial} (was ${lastSerial})`);
-                    
-                    // Remove from waiting state
-                    this.waitingPorts.delete(waitingPort);
-                    this.portLastSerial.delete(waitingPort);
-                    
-                    // Show notification
-                    this.showNotification(`New CM module detected on port ${waitingPort}!`, 'success');
-                    break;
-                }
-            }
+        this.lastLiveAt = saved.savedAt;
+        this.portsByKey = new Map(saved.data.ports.map(port => [port.port, port]));
+        this.portOrder = saved.data.ports.map(port => port.port);
+        this.updateDisplay({ ...saved.data, restored: true });
+        this.markStale('Waiting for the server...');
+    }
+    
+    markStale(reason) {
+        let text = reason;
+        if (this.lastLiveAt) {
+            const seen = new Date(this.lastLiveAt);
+            const when = seen.toDateString() === new Date().toDateString() ? seen.toLocaleTimeString() : seen.toLocaleString();
+            text = `Showing the last known state from ${when}. ${reason}`;
         }
+        this.staleText.textContent = text;
+        this.staleBanner.hidden = false;
+        this.portsContainer.classList.add('stale');
+    }
+    
+    clearStale() {
+        this.staleBanner.hidden = true;
+        this.portsContainer.classList.remove('stale');
     }
     
     showNotification(message, type = 'info') {
@@ -531,6 +1417,17 @@ class USBPortMonitor {
             }
             
             const data = await this.fetchDeviceData();
+            if (data.ports) {
+                // Keep the per-port lookup in step with the stream path
+                this.portsByKey = new Map(data.ports.map(port => [port.port, port]));
+                this.portOrder = data.ports.map(port => port.port);
+            }
+            if (data.port_controls) {
+                this.applyPortControls(data.port_controls, false);
+            }
+            if ('batch' in data) {
+                this.batchTracker.apply(data.batch);
+            }
             this.updateDisplay(data);
             
             // Reset error counter on success
@@ -538,26 +1435,7 @@ class USBPortMonitor {
             
         } catch (error) {
             console.error('Failed to refresh data:', error);
-            
-            // Only show persistent errors after multiple failures
-            this.consecutiveErrors = (this.consecutiveErrors || 0) + 1;
-            
-            if (this.consecutiveErrors >= 3) {
-                this.updateConnectionStatus('error', 'Connection Lost');
-                
-                // Only show error modal for persistent failures
-                if (this.consecutiveErrors === 3) {
-                    this.showErrorMessage(`Persistent connection issues: ${error.message}`);
-                }
-            } else {
-                // For temporary errors, just log and continue
-                console.warn(`Temporary connection issue (${this.consecutiveErrors}/3): ${error.message}`);
-                
-                // Show a brief warning in status if it's a timeout
-                if (error.message.includes('timeout') || error.message.includes('busy')) {
-                    this.updateConnectionStatus('connecting', 'Server Busy');
-                }
-            }
+            this.handleRefreshError(error);
         } finally {
             // Re-enable refresh button only if it was disabled
             if (!this.isAutomaticRefresh) {
@@ -567,6 +1445,158 @@ class USBPortMonitor {
         }
     }
     
+    handleRefreshError(error) {
+        // Only show persistent errors after multiple failures
+        this.consecutiveErrors = (this.consecutiveErrors || 0) + 1;
+        
+        if (this.consecutiveErrors >= 3) {
+            this.updateConnectionStatus('error', 'Connection Lost');
+            this.markStale(`Connection lost (${error.message}); reconnecting automatically.`);
+        } else {
+            // For temporary errors, just log and continue
+            console.warn(`Temporary connection issue (${this.consecutiveErrors}/3): ${error.message}`);
+            
+            // Show a brief warning in status if it's a timeout
+            if (error.message.includes('timeout') || error.message.includes('busy')) {
+                this.updateConnectionStatus('connecting', 'Server Busy');
+            }
+        }
+    }
+    
+    connectStream() {
+        this.closeStream();
+        
+        const source = new EventSource('/api/stream');
+        this.eventSource = source;
+        
+        source.addEventListener('open', () => {
+            console.log('Live update stream connected');
+            this.streamRetryDelay = 1000;
+            this.stopPolling();
+            this.updateRefreshMode('live');
+        });
+        
+        source.addEventListener('snapshot', (e) => {
+            this.handleSnapshot(JSON.parse(e.data));
+        });
+        
+        source.addEventListener('diff', (e) => {
+            this.handleDiff(JSON.parse(e.data));
+        });
+        
+        // Disabled/waiting ports changed (by any client or by the server)
+        source.addEventListener('port-controls', (e) => {
+            this.applyPortControls(JSON.parse(e.data));
+        });
+        
+        // The server saw a new module start bootstrapping on a waiting port
+        source.addEventListener('port-released', (e) => {
+            const release = JSON.parse(e.data);
+            this.showNotification(`New CM module detected on port ${this.escapeHtml(release.port)}!`, 'success');
+        });
+        
+        // Batch progress changed, or a batch was started or closed
+        source.addEventListener('batch', (e) => {
+            this.batchTracker.apply(JSON.parse(e.data).active);
+        });
+        
+        // A device was counted toward the batch with a different image than expected
+        source.addEventListener('batch-mismatch', (e) => {
+            this.batchTracker.onMismatch(JSON.parse(e.data));
+        });
+        
+        // Another client saved the physical port layout
+        source.addEventListener('layout', (e) => {
+            this.applyLayout(JSON.parse(e.data));
+        });
+        
+        // Another client changed the state classification rules
+        source.addEventListener('states', (e) => {
+            this.applyStateRules(JSON.parse(e.data).rules);
+        });
+        
+        // Another client changed the slow-phase thresholds
+        source.addEventListener('thresholds', (e) => {
+            this.thresholds = JSON.parse(e.data);
+        });
+        
+        // The stream is up but the provisioner behind it is not answering
+        source.addEventListener('provisioner-error', (e) => {
+            const data = JSON.parse(e.data);
+            this.applyHosts(data.hosts);
+            this.handleRefreshError(new Error(data.message));
+        });
+        
+        // Connection-level failure: manage reconnects ourselves so we can back off
+        source.addEventListener('error', () => {
+            this.handleStreamError();
+        });
+    }
+    
+    closeStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+    
+    handleStreamError() {
+        this.closeStream();
+        if (!this.isMonitoring) return;
+        
+        const delay = this.streamRetryDelay;
+        console.warn(`Live update stream unavailable, polling until reconnect in ${delay / 1000}s`);
+        
+        // Keep the dashboard fresh by polling while the stream is down
+        if (!this.polling) {
+            this.startPolling();
+        }
+        
+        clearTimeout(this.streamReconnectTimer);
+        this.streamReconnectTimer = setTimeout(() => {
+            this.streamReconnectTimer = null;
+            if (this.isMonitoring) {
+                this.connectStream();
+            }
+        }, delay);
+        
+        this.streamRetryDelay = Math.min(delay * 2, this.maxRetryDelay);
+    }
+    
+    handleSnapshot(data) {
+        if (data.status === 'error') {
+            this.handleRefreshError(new Error(data.message));
+            return;
+        }
+        
+        this.portsByKey = new Map(data.ports.map(port => [port.port, port]));
+        this.portOrder = data.ports.map(port => port.port);
+        this.consecutiveErrors = 0;
+        this.updateDisplay(data);
+    }
+    
+    handleDiff(diff) {
+        diff.changed.forEach(port => this.portsByKey.set(port.port, port));
+        diff.removed.forEach(key => this.portsByKey.delete(key));
+        this.portOrder = diff.order;
+        
+        this.consecutiveErrors = 0;
+        this.updateDisplay({
+            ports: this.portOrder.map(key => this.portsByKey.get(key)).filter(Boolean),
+            hosts: diff.hosts,
+            status: diff.status,
+            message: diff.message,
+            timestamp: diff.timestamp
+        });
+    }
+    
+    updateRefreshMode(mode) {
+        if (!this.refreshModeElement) return;
+        this.refreshModeElement.textContent = mode === 'live'
+            ? 'Live (push)'
+            : `${this.refreshInterval / 1000}s (polling)`;
+    }
+    
     manualRefresh() {
         this.isAutomaticRefresh = false;
         this.consecutiveErrors = 0; // Reset error counter for manual refresh
@@ -574,32 +1604,57 @@ class USBPortMonitor {
     }
     
     startMonitoring() {
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-        }
-        
         this.isMonitoring = true;
         this.consecutiveErrors = 0; // Reset error counter
-        this.isAutomaticRefresh = false;
-        this.refreshData(); // Initial load
+        this.streamRetryDelay = 1000;
+        this.updateConnectionStatus('connecting');
         
-        this.intervalId = setInterval(() => {
-            if (this.isMonitoring) {
-                this.isAutomaticRefresh = true;
-                this.refreshData();
-            }
-        }, this.refreshInterval);
+        if ('EventSource' in window) {
+            this.connectStream();
+        } else {
+            this.startPolling();
+        }
         
         this.updateToggleButton();
     }
     
+    startPolling() {
+        this.stopPolling();
+        
+        this.polling = true;
+        this.isAutomaticRefresh = false;
+        this.poll(this.pollGeneration); // Initial load
+        this.updateRefreshMode('polling');
+    }
+    
+    async poll(generation) {
+        await this.refreshData();
+        if (generation !== this.pollGeneration || !this.isMonitoring) return;
+        
+        // Back off while the server or provisioner is unreachable, then return to the normal rate
+        const delay = this.consecutiveErrors
+            ? Math.min(this.refreshInterval * 2 ** this.consecutiveErrors, this.maxRetryDelay)
+            : this.refreshInterval;
+        this.pollTimer = setTimeout(() => {
+            this.isAutomaticRefresh = true;
+            this.poll(generation);
+        }, delay);
+    }
+    
+    stopPolling() {
+        this.polling = false;
+        this.pollGeneration++;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+    
     stopMonitoring() {
         this.isMonitoring = false;
         
-        if (this.intervalId) {
-            clearInterval(this.intervalId);
-            this.intervalId = null;
-        }
+        this.closeStream();
+        clearTimeout(this.streamReconnectTimer);
+        this.streamReconnectTimer = null;
+        this.stopPolling();
         
         this.updateConnectionStatus('error', 'Monitoring Stopped');
         this.updateToggleButton();
@@ -623,37 +1678,344 @@ class USBPortMonitor {
         }
     }
     
-    showErrorMessage(message) {
-        this.errorMessage.textContent = message;
-        this.errorModal.style.display = 'block';
+    showHistory(port = '') {
+        this.historyFilters.reset();
+        this.historyFilters.elements.port.value = port;
+        this.historyTitle.textContent = port ? `History: ${port}` : 'Event Log';
+        this.historyModal.style.display = 'block';
+        this.loadHistory();
+    }
+    
+    async loadHistory() {
+        const params = new URLSearchParams();
+        for (const [key, value] of new FormData(this.historyFilters)) {
+            if (value) {
+                params.set(key, value);
+            }
+        }
+        
+        this.historyResults.innerHTML = '<p class="history-empty"><i class="fas fa-spinner fa-spin"></i> Loading history...</p>';
+        
+        try {
+            const response = await fetch(`/api/history?${params}`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            this.renderHistory(data.events);
+        } catch (error) {
+            console.error('Error fetching history:', error);
+            this.historyResults.innerHTML = `<p class="history-empty">Failed to load history: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    renderHistory(events) {
+        if (events.length === 0) {
+            this.historyResults.innerHTML = '<p class="history-empty">No matching events</p>';
+            return;
+        }
+        
+        const rows = events.map(event => `
+            <tr>
+                <td>${this.escapeHtml(event.time)}</td>
+                <td>${this.escapeHtml(event.port)}</td>
+                <td class="history-serial">${this.escapeHtml(event.serial || '-')}</td>
+                <td><strong>${this.escapeHtml(event.status_text)}</strong></td>
+                <td>${this.escapeHtml(event.previous_state || '-')}</td>
+                <td>${this.escapeHtml(event.image || '-')}</td>
+            </tr>
+        `).join('');
+        
+        this.historyResults.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr><th>Time</th><th>Port</th><th>Serial</th><th>State</th><th>Previous</th><th>Image</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    closeHistoryModal() {
+        this.historyModal.style.display = 'none';
+    }
+    
+    showStatistics() {
+        this.statsModal.style.display = 'block';
+        this.loadStatistics();
+    }
+    
+    async loadStatistics() {
+        try {
+            const response = await fetch(`/api/stats?hours=${encodeURIComponent(this.statsWindow.value)}`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            this.renderStatistics(data);
+            this.failureTracker.loadPareto(this.statsWindow.value);
+        } catch (error) {
+            console.error('Error fetching statistics:', error);
+            this.statsSummary.innerHTML = `<p class="history-empty">Failed to load statistics: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    renderStatistics(data) {
+        const totals = data.totals;
+        this.statsSummary.innerHTML = `
+            <div class="stats-tile"><div class="stats-value">${totals.completed}</div><div class="stats-label">Completed</div></div>
+            <div class="stats-tile"><div class="stats-value">${totals.completed_per_hour}</div><div class="stats-label">Boards / hour</div></div>
+            <div class="stats-tile"><div class="stats-value">${totals.errors}</div><div class="stats-label">Errors</div></div>
+            <div class="stats-tile"><div class="stats-value">${(totals.error_rate * 100).toFixed(1)}%</div><div class="stats-label">Error rate</div></div>
+        `;
+        
+        const formatPhaseTime = (seconds) => seconds === null ? '-' : this.formatDuration(Math.round(seconds));
+        const phaseRows = Object.entries(data.phases).map(([phase, stats]) => `
+            <tr>
+                <td><strong>${this.escapeHtml(phase)}</strong></td>
+                <td>${stats.count}</td>
+                <td>${formatPhaseTime(stats.median)}</td>
+                <td>${formatPhaseTime(stats.p95)}</td>
+            </tr>
+        `).join('');
+        this.statsPhases.innerHTML = `
+            <table class="history-table">
+                <thead><tr><th>Phase</th><th>Samples</th><th>Median</th><th>p95</th></tr></thead>
+                <tbody>${phaseRows}</tbody>
+            </table>
+        `;
+        
+        MiniChart.drawStackedBars(this.statsThroughputChart, {
+            labels: data.throughput.map(bucket => bucket.label),
+            series: [
+                { label: 'Completed', color: '#4CAF50', values: data.throughput.map(bucket => bucket.completed) },
+                { label: 'Errors', color: '#F44336', values: data.throughput.map(bucket => bucket.errors) }
+            ]
+        });
+        
+        // One row per port, so size the canvas to fit before drawing
+        this.statsYieldChart.style.height = `${Math.max(60, data.ports.length * 28)}px`;
+        MiniChart.drawRatioBars(this.statsYieldChart, {
+            labels: data.ports.map(port => `${port.port} (${port.completed}/${port.completed + port.errors})`),
+            values: data.ports.map(port => port.yield),
+            colorFor: (value) => value >= 0.95 ? '#4CAF50' : value >= 0.8 ? '#FF9800' : '#F44336',
+            format: (value) => `${(value * 100).toFixed(0)}%`
+        });
+    }
+    
+    closeStatsModal() {
+        this.statsModal.style.display = 'none';
+    }
+    
+    showExport(ports = []) {
+        // Exporting a selection limits the manifest to those ports
+        this.exportForm.elements.ports.value = ports.join(',');
+        this.exportModal.style.display = 'block';
+        this.previewExport();
+    }
+    
+    exportParams(format) {
+        const params = new URLSearchParams({ format });
+        for (const [key, value] of new FormData(this.exportForm)) {
+            if (value) {
+                params.set(key, value);
+            }
+        }
+        return params;
+    }
+    
+    async previewExport() {
+        this.exportResults.innerHTML = '<p class="history-empty"><i class="fas fa-spinner fa-spin"></i> Loading devices...</p>';
+        
+        try {
+            const response = await fetch(`/api/export?${this.exportParams('json')}`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            this.renderExportPreview(data);
+        } catch (error) {
+            console.error('Error fetching export preview:', error);
+            this.exportResults.innerHTML = `<p class="history-empty">Failed to load devices: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    renderExportPreview(data) {
+        if (data.devices.length === 0) {
+            this.exportResults.innerHTML = '<p class="history-empty">No devices in this time range</p>';
+            return;
+        }
+        
+        const rows = data.devices.map(device => `
+            <tr>
+                <td class="history-serial">${this.escapeHtml(device.serial)}</td>
+                <td>${this.escapeHtml(device.port_label || device.port)}</td>
+                <td>${this.escapeHtml(device.image || '-')}</td>
+                <td>${this.escapeHtml(device.ip_address || '-')}</td>
+                <td>${this.escapeHtml(device.started_at)}</td>
+                <td>${this.escapeHtml(device.finished_at || '-')}</td>
+                <td><strong>${this.escapeHtml(device.final_status)}</strong></td>
+            </tr>
+        `).join('');
+        
+        const selectedPorts = this.exportForm.elements.ports.value ? this.exportForm.elements.ports.value.split(',').length : 0;
+        this.exportResults.innerHTML = `
+            <p class="export-count">${data.count} device${data.count === 1 ? '' : 's'} from ${this.escapeHtml(data.window.since)} to ${this.escapeHtml(data.window.until)}${selectedPorts ? ` on ${selectedPorts} selected port${selectedPorts === 1 ? '' : 's'}` : ''}</p>
+            <table class="history-table">
+                <thead>
+                    <tr><th>Serial</th><th>Port</th><th>Image</th><th>IP</th><th>Started</th><th>Finished</th><th>Status</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    showAudit() {
+        this.auditModal.style.display = 'block';
+        this.loadAudit();
+    }
+    
+    async loadAudit() {
+        this.auditResults.innerHTML = '<p class="history-empty"><i class="fas fa-spinner fa-spin"></i> Loading audit log...</p>';
+        
+        try {
+            const response = await fetch('/api/audit');
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+            
+            this.renderAudit(data.entries);
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            this.auditResults.innerHTML = `<p class="history-empty">Failed to load audit log: ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    renderAudit(entries) {
+        if (entries.length === 0) {
+            this.auditResults.innerHTML = '<p class="history-empty">No recorded actions</p>';
+            return;
+        }
+        
+        const rows = entries.map(entry => `
+            <tr>
+                <td>${this.escapeHtml(entry.time)}</td>
+                <td><strong>${this.escapeHtml(entry.username)}</strong> <small>(${this.escapeHtml(entry.role)})</small></td>
+                <td>${this.escapeHtml(entry.action)}</td>
+                <td>${this.escapeHtml(entry.target || '-')}</td>
+                <td class="history-serial">${this.escapeHtml(entry.details ? JSON.stringify(entry.details) : '-')}</td>
+                <td>${this.escapeHtml(entry.remote_addr || '-')}</td>
+            </tr>
+        `).join('');
+        
+        this.auditResults.innerHTML = `
+            <table class="history-table">
+                <thead>
+                    <tr><th>Time</th><th>User</th><th>Action</th><th>Target</th><th>Details</th><th>Address</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+    
+    closeAuditModal() {
+        this.auditModal.style.display = 'none';
     }
     
-    closeErrorModal() {
-        this.errorModal.style.display = 'none';
+    closeExportModal() {
+        this.exportModal.style.display = 'none';
     }
     
     retryConnection() {
-        this.closeErrorModal();
-        this.manualRefresh();
+        // Reconnect now and start the backoff over
+        clearTimeout(this.streamReconnectTimer);
+        this.streamReconnectTimer = null;
+        this.startMonitoring();
     }
     
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, since the result also goes into attributes such as title
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 }
 
 // Global functions for modal controls
-function closeErrorModal() {
+function closeHistoryModal() {
+    if (window.monitor) {
+        window.monitor.closeHistoryModal();
+    }
+}
+
+function closeStatsModal() {
+    if (window.monitor) {
+        window.monitor.closeStatsModal();
+    }
+}
+
+function closeSettingsModal() {
+    if (window.monitor) {
+        window.monitor.closeSettingsModal();
+    }
+}
+
+function closeBatchModal() {
+    if (window.monitor) {
+        window.monitor.batchTracker.close();
+    }
+}
+
+function closeStatesModal() {
+    if (window.monitor) {
+        window.monitor.stateRulesEditor.close();
+    }
+}
+
+function closeIntegrationsModal() {
+    if (window.monitor) {
+        window.monitor.integrationsEditor.close();
+    }
+}
+
+function closeAckModal() {
+    if (window.monitor) {
+        window.monitor.failureTracker.close();
+    }
+}
+
+function closeLabelModal() {
+    if (window.monitor) {
+        window.monitor.labelPrinter.close();
+    }
+}
+
+function closeExportModal() {
+    if (window.monitor) {
+        window.monitor.closeExportModal();
+    }
+}
+
+function closeAuditModal() {
     if (window.monitor) {
-        window.monitor.closeErrorModal();
+        window.monitor.closeAuditModal();
     }
 }
 
-function retryConnection() {
+function closeLayoutModal() {
     if (window.monitor) {
-        window.monitor.retryConnection();
+        window.monitor.layoutEditor.close();
     }
 }
 
@@ -662,10 +2024,22 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('USB Port Monitor Web UI starting...');
     window.monitor = new USBPortMonitor();
     
+    // Cached assets for offline use and an installable app; browsers only allow this over HTTPS or on localhost
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/service-worker.js').catch(error => {
+            console.warn('Offline support unavailable:', error);
+        });
+    }
+    
     // Add some helpful console information
     console.log('Available commands:');
     console.log('- monitor.manualRefresh() - Manually refresh data');
     console.log('- monitor.toggleMonitoring() - Start/stop monitoring');
     console.log('- monitor.startMonitoring() - Start monitoring');
     console.log('- monitor.stopMonitoring() - Stop monitoring');
+    console.log('- monitor.showHistory(port) - Show the event log, optionally for one port');
+    console.log('- monitor.showStatistics() - Show production statistics');
+    console.log('- monitor.showExport() - Export provisioned devices as CSV or JSON');
+    console.log('- monitor.deviceDrawer.open(port) - Show device details for a port');
+    console.log('- monitor.bulkSelection.toggle() - Select several ports for bulk actions (S)');
 }); 
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Port grid search, filters and sorting
+ * Narrows the grid to matching serials, IPs, ports or images and to chosen status classes, and sorts it.
+ * The choices live in the page URL, so a station can bookmark its view
+ */
+
+// Filter chips; every card falls in one of these or is an empty slot
+const PORT_STATUS_CLASSES = {
+    'in-progress': 'In Progress',
+    complete: 'Complete',
+    error: 'Error',
+    slow: 'Slow',
+    waiting: 'Waiting',
+    disabled: 'Disabled'
+};
+
+// Most urgent first, for the status sort
+const STATUS_SEVERITY = ['error', 'slow', 'in-progress', 'waiting', 'complete', 'empty', 'disabled'];
+
+const PORT_SORTS = {
+    port: 'Port',
+    time: 'Time in state',
+    severity: 'Status severity'
+};
+
+class PortFilter {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.query = '';
+        this.statuses = new Set();
+        this.sort = 'port';
+        this.collapseDisabled = false;
+
+        this.search = document.getElementById('port-search');
+        this.chips = document.getElementById('port-filter-chips');
+        this.sortSelect = document.getElementById('port-sort');
+        this.collapseInput = document.getElementById('port-collapse-disabled');
+        this.summary = document.getElementById('port-filter-summary');
+        this.clearBtn = document.getElementById('port-filter-clear');
+
+        this.chips.innerHTML = Object.entries(PORT_STATUS_CLASSES).map(([status, label]) =>
+            `<button type="button" class="filter-chip status-${status}" data-status="${status}">${label}</button>`
+        ).join('');
+        this.sortSelect.innerHTML = Object.entries(PORT_SORTS).map(([sort, label]) =>
+            `<option value="${sort}">${label}</option>`
+        ).join('');
+
+        this.readUrl();
+        this.syncControls();
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        this.search.addEventListener('input', () => {
+            this.query = this.search.value.trim();
+            this.changed();
+        });
+
+        this.chips.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-status]');
+            if (!chip) return;
+            if (this.statuses.has(chip.dataset.status)) {
+                this.statuses.delete(chip.dataset.status);
+            } else {
+                this.statuses.add(chip.dataset.status);
+            }
+            this.changed();
+        });
+
+        this.sortSelect.addEventListener('change', () => {
+            this.sort = this.sortSelect.value;
+            this.changed();
+        });
+
+        this.collapseInput.addEventListener('change', () => {
+            this.collapseDisabled = this.collapseInput.checked;
+            this.changed();
+        });
+
+        this.clearBtn.addEventListener('click', () => {
+            this.query = '';
+            this.statuses.clear();
+            this.changed();
+        });
+
+        // Back/forward between bookmarked views
+        window.addEventListener('popstate', () => {
+            this.readUrl();
+            this.syncControls();
+            this.monitor.rerender();
+        });
+    }
+
+    // Search and status chips narrow the grid; sorting and collapsing only rearrange it
+    get active() {
+        return this.query !== '' || this.statuses.size > 0;
+    }
+
+    readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        this.query = (params.get('q') || '').trim();
+        this.statuses = new Set((params.get('status') || '').split(',').filter(status => status in PORT_STATUS_CLASSES));
+        this.sort = params.get('sort') in PORT_SORTS ? params.get('sort') : 'port';
+        this.collapseDisabled = params.get('collapse') === '1';
+    }
+
+    writeUrl() {
+        // Other parameters, such as a kiosk token, are left alone
+        const params = new URLSearchParams(window.location.search);
+        const set = (name, value) => {
+            if (value) {
+                params.set(name, value);
+            } else {
+                params.delete(name);
+            }
+        };
+        set('q', this.query);
+        set('status', [...this.statuses].join(','));
+        set('sort', this.sort === 'port' ? '' : this.sort);
+        set('collapse', this.collapseDisabled ? '1' : '');
+
+        const search = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${search ? `?${search}` : ''}`);
+    }
+
+    syncControls() {
+        if (this.search.value.trim() !== this.query) {
+            this.search.value = this.query;
+        }
+        this.chips.querySelectorAll('[data-status]').forEach(chip => {
+            chip.classList.toggle('active', this.statuses.has(chip.dataset.status));
+        });
+        this.sortSelect.value = this.sort;
+        this.collapseInput.checked = this.collapseDisabled;
+        this.clearBtn.hidden = !this.active;
+        this.monitor.portsContainer.classList.toggle('collapse-disabled', this.collapseDisabled);
+    }
+
+    changed() {
+        this.writeUrl();
+        this.syncControls();
+        this.monitor.rerender();
+    }
+
+    focusSearch() {
+        this.search.focus();
+        this.search.select();
+    }
+
+    matches(port, status) {
+        if (this.statuses.size > 0 && !this.statuses.has(status)) {
+            return false;
+        }
+        if (this.query === '') {
+            return true;
+        }
+
+        const needle = this.query.toLowerCase();
+        const fields = [port.port, this.monitor.getPortLabel(port.port), port.serial, port.ip_address, port.image,
+            ...(port.devices || []).map(device => device.serial)];
+        return fields.some(field => field && field.toLowerCase().includes(needle));
+    }
+
+    // Milliseconds since the port's current state began, 0 when unknown
+    timeInState(port) {
+        const stateInfo = this.monitor.portStateHistory.get(port.port);
+        return stateInfo ? Date.now() - stateInfo.timestamp : 0;
+    }
+
+    /**
+     * Hide the cards that don't match and put the rest in the chosen order.
+     * Every card is still rendered, so slow-phase and error alerts fire for hidden ports too.
+     * Sorting drops the layout's fixed grid slots, since cards no longer sit in their physical place.
+     */
+    apply(rendered) {
+        rendered.forEach(entry => {
+            entry.card.hidden = !this.matches(entry.port, entry.status);
+        });
+        if (this.sort === 'port') {
+            return rendered;
+        }
+
+        const severity = (entry) => STATUS_SEVERITY.indexOf(entry.status);
+        const compare = this.sort === 'time'
+            ? (a, b) => this.timeInState(b.port) - this.timeInState(a.port)
+            : (a, b) => severity(a) - severity(b) || this.timeInState(b.port) - this.timeInState(a.port);
+        return [...rendered].sort(compare).map(entry => ({ ...entry, placement: null }));
+    }
+
+    showCount(visible, total) {
+        this.summary.textContent = this.active ? `Showing ${visible} of ${total} ports` : '';
+    }
+}
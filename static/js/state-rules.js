@@ -0,0 +1,201 @@
+/**
+ * State classification rules editor
+ * Edits the ordered pattern table that maps provisioner states to label, phase, category and color
+ */
+
+class StateRulesEditor {
+    constructor(monitor) {
+        this.monitor = monitor;
+        this.draft = [];
+        this.defaults = [];
+        this.phases = [];
+        this.categories = [];
+
+        this.modal = document.getElementById('states-modal');
+        this.rows = document.getElementById('state-rule-rows');
+        this.testInput = document.getElementById('state-test-input');
+        this.testResults = document.getElementById('state-test-results');
+
+        this.initializeEventListeners();
+    }
+
+    initializeEventListeners() {
+        document.getElementById('state-rules-btn').addEventListener('click', () => {
+            this.open();
+        });
+
+        document.getElementById('state-add-rule-btn').addEventListener('click', () => {
+            this.draft.push({ pattern: '', label: '', phase: null, category: 'in-progress', color: '#2196F3' });
+            this.render();
+        });
+
+        document.getElementById('state-reset-btn').addEventListener('click', () => {
+            if (confirm('Replace the rules with the built-in defaults? Unsaved edits are lost.')) {
+                this.draft = JSON.parse(JSON.stringify(this.defaults));
+                this.render();
+                this.test();
+            }
+        });
+
+        document.getElementById('state-save-btn').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('state-test-btn').addEventListener('click', () => {
+            this.test();
+        });
+
+        this.testInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.test();
+            }
+        });
+
+        // Field edits update the draft in place
+        this.rows.addEventListener('input', (e) => {
+            const index = e.target.closest('tr')?.dataset.index;
+            if (index !== undefined && e.target.name) {
+                this.draft[Number(index)][e.target.name] = e.target.value || (e.target.name === 'phase' ? null : '');
+            }
+        });
+
+        this.rows.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-rule-action]');
+            if (!button) return;
+
+            const index = Number(button.closest('tr').dataset.index);
+            const action = button.dataset.ruleAction;
+            if (action === 'remove') {
+                this.draft.splice(index, 1);
+            } else {
+                // Order matters: the first matching rule wins
+                const target = action === 'up' ? index - 1 : index + 1;
+                if (target < 0 || target >= this.draft.length) return;
+                [this.draft[index], this.draft[target]] = [this.draft[target], this.draft[index]];
+            }
+            this.render();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+    }
+
+    async open() {
+        try {
+            const response = await fetch('/api/states');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+            const data = await response.json();
+            this.draft = data.rules;
+            this.defaults = data.defaults;
+            this.phases = data.phases;
+            this.categories = data.categories;
+        } catch (error) {
+            console.error('Error loading state rules:', error);
+            this.monitor.showNotification(`Failed to load state rules: ${this.monitor.escapeHtml(error.message)}`, 'error');
+            return;
+        }
+
+        // Start the tester with every state currently on the line
+        const states = new Set((this.monitor.currentData?.ports || []).filter(port => port.has_device).map(port => port.state));
+        this.testInput.value = [...states].join(', ');
+
+        this.render();
+        this.test();
+        this.modal.style.display = 'block';
+    }
+
+    close() {
+        this.modal.style.display = 'none';
+    }
+
+    render() {
+        const escape = (text) => this.monitor.escapeHtml(text);
+        const options = (values, selected, blank) => (blank ? `<option value="">${blank}</option>` : '') +
+            values.map(value => `<option value="${escape(value)}" ${value === selected ? 'selected' : ''}>${escape(value)}</option>`).join('');
+
+        this.rows.innerHTML = this.draft.map((rule, index) => `
+            <tr data-index="${index}">
+                <td>${index + 1}</td>
+                <td><input type="text" name="pattern" value="${escape(rule.pattern)}" placeholder="e.g. naked-provisioner-started"></td>
+                <td><input type="text" name="label" value="${escape(rule.label)}" placeholder="(raw state)"></td>
+                <td><select name="phase">${options(this.phases, rule.phase, 'none')}</select></td>
+                <td><select name="category">${options(this.categories, rule.category)}</select></td>
+                <td><input type="color" name="color" value="${escape(rule.color)}"></td>
+                <td class="state-rule-actions">
+                    <button type="button" class="port-history-btn" data-rule-action="up" title="Move up"><i class="fas fa-arrow-up"></i></button>
+                    <button type="button" class="port-history-btn" data-rule-action="down" title="Move down"><i class="fas fa-arrow-down"></i></button>
+                    <button type="button" class="port-disable-btn" data-rule-action="remove" title="Remove rule"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async test() {
+        const states = this.testInput.value.split(',').map(state => state.trim()).filter(Boolean);
+        if (states.length === 0) {
+            this.testResults.innerHTML = '<p class="history-empty">Enter one or more states, separated by commas</p>';
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/states/test', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ states, rules: this.draft })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const escape = (text) => this.monitor.escapeHtml(text);
+            const rows = data.results.map(result => `
+                <tr>
+                    <td class="history-serial">${escape(result.state)}</td>
+                    <td><strong style="color: ${escape(result.color)}">${escape(result.label)}</strong></td>
+                    <td>${escape(result.phase || '-')}</td>
+                    <td>${escape(result.category)}</td>
+                    <td>${result.rule === null ? '<em>none</em>' : `#${result.rule + 1}`}</td>
+                </tr>
+            `).join('');
+
+            this.testResults.innerHTML = `
+                <table class="history-table">
+                    <thead><tr><th>State</th><th>Label</th><th>Phase</th><th>Category</th><th>Rule</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            `;
+        } catch (error) {
+            this.testResults.innerHTML = `<p class="history-empty">${this.monitor.escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async save() {
+        try {
+            const response = await fetch('/api/states', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rules: this.draft })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            this.monitor.applyStateRules(data.rules);
+            this.close();
+            this.monitor.showNotification('State rules saved; ports update on the next poll', 'success');
+        } catch (error) {
+            console.error('Error saving state rules:', error);
+            this.monitor.showNotification(`Failed to save state rules: ${this.monitor.escapeHtml(error.message)}`, 'error');
+        }
+    }
+}
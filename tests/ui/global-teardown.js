@@ -0,0 +1,5 @@
+const fs = require('fs');
+
+module.exports = async () => {
+    fs.rmSync(process.env.UI_TEST_DB, { force: true });
+};
@@ -0,0 +1,81 @@
+/**
+ * Shared helpers for driving the simulator and reading the dashboard
+ */
+
+const { expect, request: apiRequest } = require('@playwright/test');
+const { execFileSync } = require('child_process');
+const path = require('path');
+
+const SIMULATOR_PORT = 3199;
+const DASHBOARD_PORT = 5099;
+const SIMULATOR_URL = `http://localhost:${SIMULATOR_PORT}`;
+const DASHBOARD_URL = `http://localhost:${DASHBOARD_PORT}`;
+
+async function simulate(request, changes) {
+    const response = await request.post(`${SIMULATOR_URL}/simulator`, { data: changes });
+    expect(response.ok()).toBeTruthy();
+    return response.json();
+}
+
+/**
+ * Start a scenario from zero and clear port controls left over from earlier tests
+ */
+async function startScenario(request, scenario) {
+    await simulate(request, { scenario });
+
+    const controls = await (await request.get('/api/ports')).json();
+    for (const port of Object.keys(controls)) {
+        await request.put(`/api/ports/${encodeURIComponent(port)}`, { data: { disabled: false, waiting: false, acknowledged: false } });
+    }
+}
+
+async function advance(request, seconds) {
+    return simulate(request, { advance: seconds });
+}
+
+/**
+ * Replace the dashboard's users, straight in the test database; each password is "<name>-password".
+ * With no users the dashboard is open again, as every other spec expects
+ */
+function setUsers(users) {
+    const script = `
+import json, sys, app
+for user in app.users.list():
+    app.users.delete_user(user['username'])
+for name, role in json.loads(sys.argv[1]):
+    app.users.set_user(name, name + '-password', role)
+`;
+    execFileSync('python3', ['-c', script, JSON.stringify(users)], {
+        cwd: path.resolve(__dirname, '..', '..'),
+        env: { ...process.env, MONITOR_DB: process.env.UI_TEST_DB }
+    });
+}
+
+async function loginAs(username) {
+    const context = await apiRequest.newContext({ baseURL: DASHBOARD_URL });
+    const response = await context.post('/login', { form: { username, password: `${username}-password` } });
+    expect(response.ok()).toBeTruthy();
+    return context;
+}
+
+function portCard(page, port) {
+    return page.locator(`.port-card[data-port="${port}"]`);
+}
+
+function portStatus(page, port) {
+    return portCard(page, port).locator('.status-title');
+}
+
+module.exports = {
+    SIMULATOR_PORT,
+    DASHBOARD_PORT,
+    SIMULATOR_URL,
+    DASHBOARD_URL,
+    simulate,
+    startScenario,
+    advance,
+    setUsers,
+    loginAs,
+    portCard,
+    portStatus
+};
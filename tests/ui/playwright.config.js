@@ -0,0 +1,54 @@
+/**
+ * Starts the provisioner simulator with a frozen clock and the dashboard against it,
+ * then drives the dashboard in headless Chromium.
+ */
+
+const { defineConfig, devices } = require('@playwright/test');
+const os = require('os');
+const path = require('path');
+
+const { SIMULATOR_PORT, DASHBOARD_PORT } = require('./helpers');
+
+const root = path.resolve(__dirname, '..', '..');
+
+// Same path in the runner and its workers, and never the station's real monitor.db
+process.env.UI_TEST_DB = process.env.UI_TEST_DB || path.join(os.tmpdir(), `monitor-ui-test-${process.pid}.db`);
+
+module.exports = defineConfig({
+    testDir: './specs',
+    // Every test shares one simulator and one dashboard server
+    workers: 1,
+    fullyParallel: false,
+    retries: process.env.CI ? 1 : 0,
+    timeout: 60000,
+    expect: { timeout: 10000 }, // The dashboard polls the simulator every 2 seconds
+    reporter: process.env.CI ? 'line' : 'list',
+    globalTeardown: require.resolve('./global-teardown.js'),
+    use: {
+        baseURL: `http://localhost:${DASHBOARD_PORT}`,
+        trace: 'retain-on-failure'
+    },
+    projects: [
+        { name: 'chromium', use: { ...devices['Desktop Chrome'] } }
+    ],
+    webServer: [
+        {
+            command: `python3 simulator.py --speed 0 --port ${SIMULATOR_PORT}`,
+            cwd: root,
+            url: `http://localhost:${SIMULATOR_PORT}/simulator`,
+            reuseExistingServer: false
+        },
+        {
+            command: 'python3 app.py',
+            cwd: root,
+            url: `http://localhost:${DASHBOARD_PORT}/api/colors`,
+            reuseExistingServer: false,
+            env: {
+                MONITOR_PORT: String(DASHBOARD_PORT),
+                MONITOR_PROVISIONERS: `sim=http://localhost:${SIMULATOR_PORT}`,
+                MONITOR_DEVICE_ACTIONS: '1', // The simulator takes them
+                MONITOR_DB: process.env.UI_TEST_DB
+            }
+        }
+    ]
+});
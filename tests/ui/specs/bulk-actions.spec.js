@@ -0,0 +1,91 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+test.describe('bulk actions', () => {
+    test('acknowledges the errors in a shift-click range with one reason', async ({ page, request }) => {
+        await startScenario(request, 'provisioning-error');
+        await advance(request, 85);
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+        await expect(portStatus(page, 'usb:1-1.3')).toContainText('ABORTED');
+
+        await page.keyboard.press('s');
+        await portCard(page, 'usb:1-1.1').click();
+        await portCard(page, 'usb:1-1.3').click({ modifiers: ['Shift'] });
+        await expect(page.locator('#bulk-count')).toHaveText('3 selected');
+
+        // Only the two failed ports are acknowledged
+        await page.keyboard.press('k');
+        await expect(page.locator('#ack-title')).toHaveText('Acknowledge errors on 2 ports');
+        await page.locator('#ack-form input[name="reason"]').fill('USB hub');
+        await page.locator('#ack-form button[type="submit"]').click();
+        await expect(page.locator('.notification', { hasText: '2 ports acknowledged' })).toBeVisible();
+        await expect(portCard(page, 'usb:1-1.2')).toHaveClass(/acknowledged/);
+        await expect(portStatus(page, 'usb:1-1.3')).toContainText('ACK');
+        await expect(portCard(page, 'usb:1-1.1')).not.toHaveClass(/acknowledged/);
+
+        // Leaving select mode keeps the acknowledgement, and it reaches the API
+        await page.keyboard.press('Escape');
+        await expect(page.locator('#bulk-bar')).toBeHidden();
+        const control = await (await request.get('/api/ports/usb:1-1.2')).json();
+        expect(control.acknowledged_state).toBe('provisioner-error');
+        expect(control.acknowledged_reason).toBe('USB hub');
+    });
+
+    test('marks every completed port waiting at once', async ({ page, request }) => {
+        await startScenario(request, 'module-swap');
+        await advance(request, 30);
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('COMPLETE');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('COMPLETE');
+
+        await page.locator('#select-btn').click();
+        await page.locator('[data-bulk="complete"]').click();
+        await expect(page.locator('#bulk-count')).toHaveText('2 selected');
+        await page.locator('[data-bulk="waiting"]').click();
+
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('NEW CM MODULE IN PROGRESS');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('NEW CM MODULE IN PROGRESS');
+        const control = await (await request.get('/api/ports/usb:1-1.1')).json();
+        expect(control.last_serial).toBe('1000000000000000');
+    });
+
+    test('disables and enables the selection', async ({ page, request }) => {
+        await startScenario(request, 'normal');
+        await advance(request, 30);
+        await page.goto('/');
+        await expect(portCard(page, 'usb:1-1.2')).toBeVisible();
+
+        await page.keyboard.press('s');
+        await portCard(page, 'usb:1-1.1').click();
+        await portCard(page, 'usb:1-1.2').click();
+        await page.keyboard.press('d');
+        await expect(portCard(page, 'usb:1-1.1')).toHaveClass(/disabled/);
+        await expect(portCard(page, 'usb:1-1.2')).toHaveClass(/disabled/);
+
+        // Disabled cards can still be selected and enabled again
+        await page.keyboard.press('e');
+        await expect(portCard(page, 'usb:1-1.1')).not.toHaveClass(/disabled/);
+        await expect(portCard(page, 'usb:1-1.2')).not.toHaveClass(/disabled/);
+    });
+
+    test('exports only the selected ports', async ({ page, request }) => {
+        await startScenario(request, 'module-swap');
+        await advance(request, 30);
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('COMPLETE');
+
+        await page.keyboard.press('s');
+        await portCard(page, 'usb:1-1.2').click();
+        await page.keyboard.press('x');
+        await expect(page.locator('#export-modal')).toBeVisible();
+        await expect(page.locator('#export-results')).toContainText('on 1 selected port');
+        await expect(page.locator('#export-results tbody')).toContainText('usb:1-1.2');
+        await expect(page.locator('#export-results tbody')).not.toContainText('usb:1-1.1');
+
+        // The regular Export button goes back to every port
+        await page.keyboard.press('Escape');
+        await page.locator('#export-btn').click();
+        await expect(page.locator('#export-results tbody')).toContainText('usb:1-1.1');
+    });
+});
@@ -0,0 +1,64 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, simulate, portCard, portStatus } = require('../helpers');
+
+// At 85 s usb:1-1.1 is provisioning, usb:1-1.2 has failed and usb:1-1.3 has aborted
+test.describe('device actions', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'provisioning-error');
+        await advance(request, 85);
+    });
+
+    test('offers only the actions that fit the state', async ({ page }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+
+        const actions = async (port) => portCard(page, port).locator('.device-action-btn')
+            .evaluateAll(buttons => buttons.map(button => button.dataset.action));
+        expect(await actions('usb:1-1.1')).toEqual(['abort']);
+        expect(await actions('usb:1-1.2')).toEqual(['retry', 'reprovision']);
+    });
+
+    test('retries a failed phase after confirmation', async ({ page }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+
+        // Cancelling the dialog leaves the device alone
+        page.once('dialog', dialog => dialog.dismiss());
+        await portCard(page, 'usb:1-1.2').locator('[data-action="retry"]').click();
+        await page.waitForTimeout(500);
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+
+        page.once('dialog', dialog => {
+            expect(dialog.message()).toContain('Retry the failed phase');
+            dialog.accept();
+        });
+        await portCard(page, 'usb:1-1.2').locator('[data-action="retry"]').click();
+        await expect(page.locator('.notification', { hasText: 'usb:1-1.2: retry started' })).toBeVisible();
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('PROVISIONING');
+    });
+
+    test('aborts a running device', async ({ page }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('PROVISIONING');
+
+        page.once('dialog', dialog => dialog.accept());
+        await portCard(page, 'usb:1-1.1').locator('[data-action="abort"]').click();
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('ABORTED');
+        await expect(portCard(page, 'usb:1-1.1').locator('[data-action="retry"]')).toBeVisible();
+    });
+
+    test('reports a provisioner that does not answer', async ({ page, request }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.3')).toContainText('ABORTED');
+
+        await simulate(request, { offline: true });
+        page.once('dialog', dialog => dialog.accept());
+        try {
+            await portCard(page, 'usb:1-1.3').locator('[data-action="reprovision"]').click();
+            await expect(page.locator('.notification', { hasText: 'Failed to reprovision usb:1-1.3' })).toBeVisible();
+            await expect(portCard(page, 'usb:1-1.3')).not.toHaveClass(/action-pending/);
+        } finally {
+            await simulate(request, { offline: false });
+        }
+    });
+});
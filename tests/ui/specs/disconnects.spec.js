@@ -0,0 +1,46 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, simulate, advance, portCard } = require('../helpers');
+
+test.describe('hub and provisioner outages', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'hub-disconnect');
+        await advance(request, 60);
+    });
+
+    test('drops the ports of a disconnected hub and brings them back', async ({ page, request }) => {
+        await page.goto('/');
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+        await expect(portCard(page, 'usb:1-2.1')).toBeVisible();
+
+        // Hub usb:1-1 is off the bus from 90 s to 150 s
+        await advance(request, 40);
+        await expect(portCard(page, 'usb:1-1.1')).toHaveCount(0);
+        await expect(portCard(page, 'usb:1-1.3')).toHaveCount(0);
+        await expect(portCard(page, 'usb:1-2.1')).toBeVisible();
+        await expect(page.locator('#connection-text')).toHaveText('Connected');
+
+        await advance(request, 60);
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+
+        const history = await (await request.get('/api/history?port=usb:1-1.1&state=disconnected')).json();
+        expect(history.events.length).toBeGreaterThan(0);
+    });
+
+    test('reports a lost provisioner and recovers when it answers again', async ({ page, request }) => {
+        await page.goto('/');
+        await expect(page.locator('#connection-text')).toHaveText('Connected');
+
+        await simulate(request, { offline: true });
+        // Three failed polls, two seconds apart, before the dashboard gives up
+        await expect(page.locator('#connection-text')).toHaveText('Connection Lost', { timeout: 15000 });
+        await expect(page.locator('#stale-banner')).toBeVisible();
+        // The last known ports stay on screen, marked stale
+        await expect(page.locator('#ports-container')).toHaveClass(/stale/);
+        await expect(portCard(page, 'usb:1-2.1')).toBeVisible();
+
+        await simulate(request, { offline: false });
+        await expect(page.locator('#connection-text')).toHaveText('Connected', { timeout: 20000 });
+        await expect(page.locator('#stale-banner')).toBeHidden();
+        await expect(page.locator('#ports-container')).not.toHaveClass(/stale/);
+    });
+});
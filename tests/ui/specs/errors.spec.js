@@ -0,0 +1,35 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+test.describe('errors mid-provisioning', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'provisioning-error');
+        await advance(request, 60);
+    });
+
+    test('shows failed and aborted devices and alerts once', async ({ page, request }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('PROVISIONING');
+
+        await advance(request, 25);
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+        await expect(portStatus(page, 'usb:1-1.3')).toContainText('ABORTED');
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('PROVISIONING');
+        await expect(page.locator('.notification', { hasText: 'Port usb:1-1.2: ERROR' })).toHaveCount(1);
+
+        // Failed devices can't be prepared for the next module like completed ones
+        await expect(portCard(page, 'usb:1-1.2')).not.toHaveClass(/clickable/);
+    });
+
+    test('shows the failure in the device drawer log', async ({ page, request }) => {
+        await advance(request, 25);
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+
+        await portCard(page, 'usb:1-1.2').click();
+        await expect(page.locator('#detail-drawer')).toHaveClass(/open/);
+        await expect(page.locator('#detail-record')).toContainText('provisioner-error');
+        await expect(page.locator('#detail-log')).toContainText('simulated failure');
+        await expect(page.locator('#detail-timeline')).toContainText('ERROR');
+    });
+});
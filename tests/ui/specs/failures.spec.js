@@ -0,0 +1,69 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+test.describe('failure reasons', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'provisioning-error');
+        await advance(request, 85);
+    });
+
+    test('acknowledges an error with a preset reason and disposition', async ({ page }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+
+        await portCard(page, 'usb:1-1.2').locator('[title^="Acknowledge this error"]').click();
+        await expect(page.locator('#ack-title')).toHaveText('Acknowledge error on usb:1-1.2');
+        await page.locator('#ack-reason-presets [data-reason="Bad module"]').click();
+        await page.locator('#ack-form input[value="scrapped"]').check();
+        await page.locator('#ack-form button[type="submit"]').click();
+
+        await expect(page.locator('#ack-modal')).toBeHidden();
+        await expect(portCard(page, 'usb:1-1.2')).toHaveClass(/acknowledged/);
+        await expect(portCard(page, 'usb:1-1.2').locator('.ack-reason')).toContainText('Bad module');
+        await expect(portCard(page, 'usb:1-1.2').locator('.ack-reason')).toContainText('scrapped');
+        // Still a failed device, just no longer waiting on someone
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+    });
+
+    test('needs a reason to acknowledge', async ({ request }) => {
+        const response = await request.put('/api/ports/usb:1-1.2', { data: { acknowledged: true } });
+        expect(response.status()).toBe(400);
+        expect((await response.json()).message).toContain('failure reason');
+    });
+
+    test('breaks failures down by reason in the statistics', async ({ page, request }) => {
+        for (const port of ['usb:1-1.2', 'usb:1-1.3']) {
+            const response = await request.put(`/api/ports/${port}`, {
+                data: { acknowledged: true, reason: 'Cracked connector', disposition: 'retry' }
+            });
+            expect(response.ok()).toBeTruthy();
+        }
+
+        await page.goto('/');
+        await page.locator('#stats-btn').click();
+        const row = page.locator('#stats-failures tr', { hasText: 'Cracked connector' });
+        await expect(row).toBeVisible();
+        await expect(row.locator('td').nth(1)).toHaveText('2');
+        await expect(row.locator('td').nth(4)).toHaveText('2');
+
+        const data = await (await request.get('/api/failures?hours=1')).json();
+        const cause = data.pareto.find(entry => entry.reason === 'Cracked connector');
+        expect(cause.count).toBe(2);
+        expect(data.pareto[data.pareto.length - 1].cumulative_percent).toBe(100);
+    });
+
+    test('keeps the reason after the acknowledgement clears with the next module', async ({ page, request }) => {
+        await request.put('/api/ports/usb:1-1.2', { data: { acknowledged: true, reason: 'Image fault' } });
+        await page.goto('/');
+        await expect(portCard(page, 'usb:1-1.2')).toHaveClass(/acknowledged/);
+
+        // Failed module pulled and a new one bootstrapping
+        await advance(request, 305);
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('BOOTSTRAP');
+        await expect(portCard(page, 'usb:1-1.2')).not.toHaveClass(/acknowledged/);
+        expect((await (await request.get('/api/ports/usb:1-1.2')).json()).acknowledged_at).toBeNull();
+
+        const data = await (await request.get('/api/failures?hours=1')).json();
+        expect(data.failures.some(failure => failure.port === 'usb:1-1.2' && failure.reason === 'Image fault')).toBeTruthy();
+    });
+});
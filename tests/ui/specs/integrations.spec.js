@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const { SIMULATOR_URL, simulate, startScenario, advance } = require('../helpers');
+
+async function receivedEvents(request) {
+    const data = await (await request.get(`${SIMULATOR_URL}/webhook`)).json();
+    return data.received;
+}
+
+test.describe('webhook integration', () => {
+    test.beforeEach(async ({ request }) => {
+        await request.delete(`${SIMULATOR_URL}/webhook`);
+        await simulate(request, { webhook_failing: false });
+        await startScenario(request, 'provisioning-error');
+    });
+
+    test.afterEach(async ({ request }) => {
+        await request.put('/api/integrations', { data: { webhooks: [], mqtt: {} } });
+    });
+
+    test('posts completion and error events configured from the UI', async ({ page, request }) => {
+        await page.goto('/');
+        await page.locator('#integrations-btn').click();
+        await page.locator('#webhook-add-btn').click();
+        await page.locator('#webhook-rows input[name="url"]').fill(`${SIMULATOR_URL}/webhook`);
+        await page.locator('#webhook-rows input[name="secret"]').fill('line-3');
+        await page.locator('#integrations-save-btn').click();
+        await expect(page.locator('.notification', { hasText: 'Integrations saved' })).toBeVisible();
+
+        await advance(request, 85);
+        await expect.poll(async () => (await receivedEvents(request)).map(call => call.body.event))
+            .toContain('error');
+
+        const errors = (await receivedEvents(request)).filter(call => call.body.event === 'error');
+        expect(errors.map(call => call.body.port).sort()).toEqual(['usb:1-1.2', 'usb:1-1.3']);
+        expect(errors[0].body.serial).toMatch(/^[0-9a-f]{16}$/);
+        expect(errors[0].body.phase_durations).toHaveProperty('provisioning');
+        expect(errors[0].headers['X-Monitor-Signature']).toMatch(/^sha256=/);
+
+        await page.locator('#delivery-refresh-btn').click();
+        await expect(page.locator('#delivery-results .delivery-status.delivered').first()).toBeVisible();
+    });
+
+    test('retries a delivery the receiver rejected', async ({ page, request }) => {
+        await request.put('/api/integrations', {
+            data: { webhooks: [{ url: `${SIMULATOR_URL}/webhook`, events: ['complete'] }] }
+        });
+        await simulate(request, { webhook_failing: true });
+
+        await page.goto('/');
+        await page.locator('#integrations-btn').click();
+        await page.locator('#integrations-test-btn').click();
+        await expect(page.locator('#delivery-results .delivery-status.retrying')).toBeVisible();
+        await expect(page.locator('#delivery-results')).toContainText('500');
+
+        await simulate(request, { webhook_failing: false });
+        await page.locator('[data-delivery-retry]').first().click();
+        await expect(page.locator('#delivery-results .delivery-status.delivered')).toBeVisible();
+        expect((await receivedEvents(request)).map(call => call.body.event)).toEqual(['test']);
+    });
+
+    test('gives up on a queued delivery once its webhook is removed', async ({ request }) => {
+        await request.put('/api/integrations', {
+            data: { webhooks: [{ url: `${SIMULATOR_URL}/webhook`, events: ['complete'], secret: 'line-3' }] }
+        });
+        await simulate(request, { webhook_failing: true });
+        await request.post('/api/integrations/test');
+        await expect.poll(async () => (await (await request.get('/api/integrations/deliveries?limit=1')).json()).deliveries[0].status)
+            .toBe('retrying');
+
+        await request.put('/api/integrations', { data: { webhooks: [], mqtt: {} } });
+        await simulate(request, { webhook_failing: false });
+        const [delivery] = (await (await request.get('/api/integrations/deliveries?limit=-1')).json()).deliveries;
+        await request.post(`/api/integrations/deliveries/${delivery.id}/retry`);
+        await expect.poll(async () => (await (await request.get('/api/integrations/deliveries?limit=1')).json()).deliveries[0].status)
+            .toBe('failed');
+        expect((await (await request.get('/api/integrations/deliveries?limit=1')).json()).deliveries[0].last_error)
+            .toContain('webhook was removed');
+        expect(await receivedEvents(request)).toEqual([]);
+    });
+});
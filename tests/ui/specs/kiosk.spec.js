@@ -0,0 +1,54 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+test.describe('wall display', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'normal');
+        await advance(request, 80);
+    });
+
+    test('shows only the cards, sized to fit the screen', async ({ page, request }) => {
+        await request.put('/api/ports/usb:1-1.4', { data: { disabled: true } });
+        await page.setViewportSize({ width: 1920, height: 1080 });
+        await page.goto('/?kiosk=1');
+        await expect(page.locator('body')).toHaveClass(/kiosk/);
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+
+        for (const hidden of ['.header', '.legend-section', '.controls-section', '#port-toolbar']) {
+            await expect(page.locator(hidden)).toBeHidden();
+        }
+        await expect(portCard(page, 'usb:1-1.4')).toBeHidden();
+        await expect(portCard(page, 'usb:1-1.1').locator('.status-details')).toBeHidden();
+        await expect(portCard(page, 'usb:1-1.1').locator('.timing-elapsed')).toBeVisible();
+
+        // Three enabled ports on a 16:9 screen get bigger cards in two rows than in one, and all fit
+        await expect(page.locator('#ports-container')).toHaveAttribute('style', /--kiosk-columns: 2/);
+        for (const port of ['usb:1-1.1', 'usb:1-1.2', 'usb:1-1.3']) {
+            const box = await portCard(page, port).boundingBox();
+            expect(box.y + box.height).toBeLessThanOrEqual(1080);
+        }
+    });
+
+    test('rotates the summary banner', async ({ page }) => {
+        await page.clock.install();
+        await page.goto('/?kiosk=1');
+        await expect(portStatus(page, 'usb:1-1.1')).toBeVisible();
+        const banner = page.locator('#kiosk-banner');
+        await expect(banner).toBeVisible();
+
+        const seen = new Set();
+        // One full turn, whatever message it started on
+        for (let i = 0; i < 6; i++) {
+            seen.add(await banner.textContent());
+            await page.clock.fastForward(8000);
+        }
+        expect([...seen].some(text => text.includes('completed today'))).toBeTruthy();
+        expect([...seen].some(text => text.includes('in progress'))).toBeTruthy();
+    });
+
+    test('leaves the normal dashboard alone', async ({ page }) => {
+        await page.goto('/');
+        await expect(page.locator('.controls-section')).toBeVisible();
+        await expect(page.locator('#kiosk-banner')).toBeHidden();
+    });
+});
@@ -0,0 +1,44 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, simulate } = require('../helpers');
+
+// At 85 s usb:1-1.1 is provisioning, usb:1-1.2 has failed and usb:1-1.3 has aborted
+test.describe('monitoring endpoints', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'provisioning-error');
+        await advance(request, 85);
+    });
+
+    test('exposes port states and provisioner health to Prometheus', async ({ request }) => {
+        await expect(async () => {
+            const response = await request.get('/metrics');
+            expect(response.ok()).toBeTruthy();
+            expect(response.headers()['content-type']).toContain('text/plain');
+            const body = await response.text();
+            expect(body).toContain('usb_port_monitor_ports{status="error"} 2');
+            expect(body).toContain('usb_port_monitor_ports{status="in-progress"} 1');
+            expect(body).toMatch(/usb_port_monitor_errors_total\{port="usb:1-1.2",image="[^"]+"\} \d+/);
+            expect(body).toContain('usb_port_monitor_provisioner_up{provisioner="sim"} 1');
+            expect(body).toContain('usb_port_monitor_phase_duration_seconds_bucket{phase="bootstrap",le="+Inf"}');
+        }).toPass();
+    });
+
+    test('reports the provisioner down in the health check', async ({ request }) => {
+        const healthy = await request.get('/healthz');
+        expect(healthy.status()).toBe(200);
+        expect((await healthy.json()).status).toBe('ok');
+
+        await simulate(request, { offline: true });
+        try {
+            await expect(async () => {
+                const response = await request.get('/healthz');
+                expect(response.status()).toBe(503);
+                const health = await response.json();
+                expect(health.status).toBe('down');
+                expect(health.poller.ok).toBeTruthy();
+                expect(health.provisioners[0]).toMatchObject({ name: 'sim', reachable: false });
+            }).toPass();
+        } finally {
+            await simulate(request, { offline: false });
+        }
+    });
+});
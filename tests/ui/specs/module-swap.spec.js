@@ -0,0 +1,61 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+// Script per port: bootstrap 0-5 s, triage 5-10 s, provisioning 10-20 s, complete 20-80 s,
+// removed 80-90 s, next module bootstraps from 90 s
+test.describe('module swap on a waiting port', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'module-swap');
+        await advance(request, 30);
+    });
+
+    test('waits for a new module, then releases the port when it bootstraps', async ({ page, request }) => {
+        await page.goto('/');
+        const card = portCard(page, 'usb:1-1.1');
+        const status = portStatus(page, 'usb:1-1.1');
+        await expect(status).toContainText('COMPLETE');
+
+        await card.click();
+        await expect(status).toContainText('NEW CM MODULE IN PROGRESS');
+
+        // Module pulled: the port drops out of the device list but stays waiting
+        await advance(request, 55);
+        await expect(card).toHaveCount(0);
+        expect((await (await request.get('/api/ports/usb:1-1.1')).json()).waiting).toBe(true);
+
+        // A different serial starts bootstrapping
+        await advance(request, 7);
+        await expect(page.locator('.notification', { hasText: 'New CM module detected on port usb:1-1.1' })).toBeVisible();
+        await expect(status).toContainText('BOOTSTRAP');
+        await expect(card).toHaveAttribute('data-serial', '1000000000000001');
+    });
+
+    test('keeps waiting when the same module is reseated', async ({ page, request }) => {
+        await page.goto('/');
+        const status = portStatus(page, 'usb:1-1.2');
+        await expect(status).toContainText('COMPLETE');
+
+        await portCard(page, 'usb:1-1.2').click();
+        await expect(status).toContainText('NEW CM MODULE IN PROGRESS');
+
+        await advance(request, 62);
+        // The other port picked up its new module in the meantime
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('BOOTSTRAP');
+        await expect(status).toContainText('NEW CM MODULE IN PROGRESS');
+
+        const control = await (await request.get('/api/ports/usb:1-1.2')).json();
+        expect(control.waiting).toBe(true);
+    });
+
+    test('shares the waiting state with other open dashboards', async ({ page, context }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('COMPLETE');
+
+        const otherStation = await context.newPage();
+        await otherStation.goto('/');
+        await expect(portStatus(otherStation, 'usb:1-1.1')).toContainText('COMPLETE');
+
+        await portCard(page, 'usb:1-1.1').click();
+        await expect(portStatus(otherStation, 'usb:1-1.1')).toContainText('NEW CM MODULE IN PROGRESS');
+    });
+});
@@ -0,0 +1,53 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+// usb:1-1.1: bootstrap 0-5 s, triage 5-10 s, provisioning 10-20 s, complete 20-90 s (still listed
+// after removal at 80 s), next module from 90 s with the finished one listed first
+test.describe('several devices on a port', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'stale-records');
+        await advance(request, 30);
+    });
+
+    test('shows the new module, not the stale record listed ahead of it', async ({ page, request }) => {
+        await page.goto('/');
+        const card = portCard(page, 'usb:1-1.1');
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('COMPLETE');
+        await expect(card.locator('.device-count-badge')).toHaveCount(0);
+
+        await advance(request, 62);
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('BOOTSTRAP');
+        await expect(card).toHaveAttribute('data-serial', '1000000000000001');
+        await expect(card).toHaveClass(/stacked/);
+        await expect(card.locator('.device-count-badge')).toHaveText('+1');
+
+        const other = card.locator('.device-stack-item.current');
+        await expect(other).toContainText('COMPLETE');
+        await expect(other).toHaveAttribute('title', /Serial: 1000000000000000/);
+        await expect(other).toHaveAttribute('title', /provisioner-finished/);
+    });
+
+    test('returns every device on the port with the active one first', async ({ request }) => {
+        await advance(request, 62);
+        await expect.poll(async () => {
+            const data = await (await request.get('/api/devices')).json();
+            const port = data.ports.find(p => p.port === 'usb:1-1.1');
+            return port.devices.map(device => [device.serial, device.active]);
+        }).toEqual([['1000000000000001', true], ['1000000000000000', false]]);
+
+        // The other port only ever reports one device
+        const data = await (await request.get('/api/devices')).json();
+        expect(data.ports.find(p => p.port === 'usb:1-1.2').devices).toHaveLength(1);
+    });
+
+    test('lists modules provisioned on the port before', async ({ page, request }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('COMPLETE');
+
+        // Two cycles later the provisioner only lists the last two modules
+        await advance(request, 152);
+        const card = portCard(page, 'usb:1-1.1');
+        await expect(card).toHaveAttribute('data-serial', '1000000000000002');
+        await expect(card.locator('.device-stack-item.previous')).toHaveAttribute('title', /Serial: 1000000000000000/);
+    });
+});
@@ -0,0 +1,61 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+test.describe('normal run', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'normal');
+    });
+
+    test('shows a card for every port the provisioner reports', async ({ page, request }) => {
+        await advance(request, 80);
+        await page.goto('/');
+
+        for (const port of ['usb:1-1.1', 'usb:1-1.2', 'usb:1-1.3', 'usb:1-1.4']) {
+            await expect(portCard(page, port)).toBeVisible();
+        }
+        await expect(page.locator('#device-count')).toContainText('4 ports monitored');
+        await expect(page.locator('#connection-text')).toHaveText('Connected');
+    });
+
+    test('receives updates over the live stream', async ({ page }) => {
+        await page.goto('/');
+        await expect(page.locator('#refresh-interval')).toHaveText('Live (push)');
+    });
+
+    test('follows a device through every phase to completion', async ({ page, request }) => {
+        await page.goto('/');
+        const status = portStatus(page, 'usb:1-1.1');
+        await expect(status).toContainText('BOOTSTRAP');
+        await expect(portCard(page, 'usb:1-1.1')).toContainText('100000000000...');
+
+        const phases = [
+            [25, 'UPDATING FIRMWARE'],
+            [15, 'TRIAGE'],
+            [20, 'PROVISIONING'],
+            [60, 'COMPLETE']
+        ];
+        for (const [seconds, text] of phases) {
+            await advance(request, seconds);
+            await expect(status).toContainText(text);
+        }
+
+        // Only completed cards can be clicked to prepare the port for the next module
+        await expect(portCard(page, 'usb:1-1.1')).toHaveClass(/clickable/);
+        await expect(portCard(page, 'usb:1-1.2')).not.toHaveClass(/clickable/);
+    });
+
+    test('records each transition in the event log', async ({ page, request }) => {
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('BOOTSTRAP');
+        await advance(request, 60);
+        await expect(portStatus(page, 'usb:1-1.1')).toContainText('PROVISIONING');
+
+        await page.locator('#event-log-btn').click();
+        const results = page.locator('#history-results');
+        await page.locator('#history-filters input[name="port"]').fill('usb:1-1.1');
+        await page.locator('#history-filters button[type="submit"]').click();
+        await expect(results).toContainText('1000000000000000');
+        await expect(results).toContainText('PROVISIONING');
+        await expect(results).toContainText('BOOTSTRAP');
+    });
+});
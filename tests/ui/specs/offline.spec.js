@@ -0,0 +1,54 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard } = require('../helpers');
+
+test.describe('offline use', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'normal');
+        await advance(request, 30);
+    });
+
+    test('serves icons, manifest and service worker locally', async ({ page, request }) => {
+        const requests = [];
+        page.on('request', (req) => requests.push(req.url()));
+        await page.goto('/');
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+
+        expect(requests.filter(url => !url.startsWith('http://localhost'))).toEqual([]);
+        const worker = await (await request.get('/service-worker.js')).text();
+        expect(worker).toContain('/static/vendor/fontawesome/css/all.min.css');
+        expect(worker).toContain('/static/js/monitor.js');
+        expect((await request.get('/static/manifest.webmanifest')).ok()).toBeTruthy();
+    });
+
+    test('keeps the last known state while the network is down and resumes on its own', async ({ page, context }) => {
+        await page.goto('/');
+        await expect(page.locator('#connection-text')).toHaveText('Connected');
+
+        await context.setOffline(true);
+        // Three failed attempts with backoff before the dashboard calls the connection lost
+        await expect(page.locator('#connection-text')).toHaveText('Connection Lost', { timeout: 20000 });
+        await expect(page.locator('#stale-text')).toContainText('Showing the last known state from');
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+
+        // Coming back online skips the rest of the backoff
+        await context.setOffline(false);
+        await expect(page.locator('#connection-text')).toHaveText('Connected');
+        await expect(page.locator('#stale-banner')).toBeHidden();
+    });
+
+    test('shows the last known state after a reload while the server is unreachable', async ({ page }) => {
+        await page.goto('/');
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+
+        await page.route('**/api/**', route => route.abort());
+        await page.reload();
+        await expect(page.locator('#stale-banner')).toBeVisible();
+        await expect(page.locator('#ports-container')).toHaveClass(/stale/);
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+
+        await page.unroute('**/api/**');
+        await page.locator('#stale-retry-btn').click();
+        await expect(page.locator('#connection-text')).toHaveText('Connected');
+        await expect(page.locator('#stale-banner')).toBeHidden();
+    });
+});
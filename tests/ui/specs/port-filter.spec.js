@@ -0,0 +1,65 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+// At 85 s usb:1-1.1 is provisioning, usb:1-1.2 has failed and usb:1-1.3 has aborted
+test.describe('port toolbar', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'provisioning-error');
+        await advance(request, 85);
+    });
+
+    test('searches by serial and keeps the search in the URL', async ({ page }) => {
+        await page.goto('/');
+        await expect(portCard(page, 'usb:1-1.3')).toBeVisible();
+
+        await page.keyboard.press('/');
+        await expect(page.locator('#port-search')).toBeFocused();
+        await page.keyboard.type('1000000100');
+        await expect(portCard(page, 'usb:1-1.2')).toBeVisible();
+        await expect(portCard(page, 'usb:1-1.1')).toBeHidden();
+        await expect(portCard(page, 'usb:1-1.3')).toBeHidden();
+        await expect(page.locator('#port-filter-summary')).toHaveText('Showing 1 of 3 ports');
+        await expect(page).toHaveURL(/\?q=1000000100$/);
+
+        await page.reload();
+        await expect(page.locator('#port-search')).toHaveValue('1000000100');
+        await expect(portCard(page, 'usb:1-1.1')).toBeHidden();
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('ERROR');
+    });
+
+    test('opens a bookmarked status filter', async ({ page }) => {
+        await page.goto('/?status=error');
+        await expect(page.locator('[data-status="error"]')).toHaveClass(/active/);
+        await expect(portCard(page, 'usb:1-1.2')).toBeVisible();
+        await expect(portCard(page, 'usb:1-1.3')).toBeVisible();
+        await expect(portCard(page, 'usb:1-1.1')).toBeHidden();
+
+        await page.locator('[data-status="in-progress"]').click();
+        await expect(portCard(page, 'usb:1-1.1')).toBeVisible();
+        await expect(page).toHaveURL(/status=error%2Cin-progress/);
+
+        await page.locator('#port-filter-clear').click();
+        await expect(page).toHaveURL(/\/$/);
+        await expect(page.locator('#port-filter-summary')).toHaveText('');
+    });
+
+    test('sorts the most urgent ports first', async ({ page }) => {
+        await page.goto('/');
+        await expect(portCard(page, 'usb:1-1.3')).toBeVisible();
+
+        await page.locator('#port-sort').selectOption('severity');
+        await expect(page).toHaveURL(/sort=severity/);
+        const order = await page.locator('.port-card').evaluateAll(cards => cards.map(card => card.dataset.port));
+        expect(order.slice(2)).toEqual(['usb:1-1.1']);
+    });
+
+    test('collapses disabled ports to their header', async ({ page, request }) => {
+        await request.put('/api/ports/usb:1-1.3', { data: { disabled: true } });
+        await page.goto('/?collapse=1');
+        await expect(page.locator('#port-collapse-disabled')).toBeChecked();
+        await expect(portCard(page, 'usb:1-1.3')).toHaveClass(/disabled/);
+        await expect(portCard(page, 'usb:1-1.3').locator('.port-status')).toBeHidden();
+        await expect(portCard(page, 'usb:1-1.3').locator('.port-enable-btn')).toBeVisible();
+        await expect(portCard(page, 'usb:1-1.1').locator('.port-status')).toBeVisible();
+    });
+});
@@ -0,0 +1,79 @@
+const { test, expect } = require('@playwright/test');
+const { SIMULATOR_URL, setUsers, loginAs } = require('../helpers');
+
+// Signs in over the API as each role; every other spec runs with no users, i.e. as admin
+test.describe('roles', () => {
+    test.describe.configure({ mode: 'serial' });
+    const sessions = {};
+
+    test.beforeAll(async () => {
+        setUsers([['admin1', 'admin'], ['operator1', 'operator'], ['viewer1', 'viewer']]);
+        for (const name of ['admin1', 'operator1', 'viewer1']) {
+            sessions[name] = await loginAs(name);
+        }
+    });
+
+    test.afterAll(async () => {
+        for (const session of Object.values(sessions)) {
+            await session.dispose();
+        }
+        setUsers([]);
+    });
+
+    test('requires a login for the API', async ({ request }) => {
+        expect((await request.get('/api/integrations/deliveries')).status()).toBe(401);
+    });
+
+    test('keeps the integration settings to admins', async () => {
+        expect((await sessions.viewer1.get('/api/integrations')).status()).toBe(403);
+        expect((await sessions.operator1.get('/api/integrations')).status()).toBe(403);
+        expect((await sessions.admin1.get('/api/integrations')).status()).toBe(200);
+    });
+
+    test('keeps the audit log to admins and its limit at least 1', async () => {
+        expect((await sessions.operator1.get('/api/audit')).status()).toBe(403);
+        // Two entries at least, so a negative limit returning the whole log would show
+        await sessions.admin1.put('/api/ports/usb:1-1.1', { data: { disabled: true } });
+        await sessions.admin1.put('/api/ports/usb:1-1.1', { data: { disabled: false } });
+        const response = await sessions.admin1.get('/api/audit?limit=-5');
+        expect(response.status()).toBe(200);
+        expect((await response.json()).entries).toHaveLength(1);
+    });
+
+    test('keeps the state rule tester to admins, with limits', async () => {
+        const body = { states: ['bootstrap-firmware-updating'], rules: [{ pattern: '(a+)+$', category: 'unknown', color: '#000000' }] };
+        expect((await sessions.viewer1.post('/api/states/test', { data: body })).status()).toBe(403);
+        expect((await sessions.operator1.post('/api/states/test', { data: body })).status()).toBe(403);
+        expect((await sessions.admin1.post('/api/states/test', { data: body })).status()).toBe(200);
+
+        const tooMany = { states: Array.from({ length: 51 }, (_, i) => `state-${i}`) };
+        expect((await sessions.admin1.post('/api/states/test', { data: tooMany })).status()).toBe(400);
+        const longPattern = { states: ['x'], rules: [{ pattern: 'a'.repeat(201), category: 'unknown', color: '#000000' }] };
+        expect((await sessions.admin1.post('/api/states/test', { data: longPattern })).status()).toBe(400);
+    });
+
+    test('hides the delivery log from viewers and its secrets from operators', async () => {
+        const admin = sessions.admin1;
+        const saved = await admin.put('/api/integrations', {
+            data: { webhooks: [{ url: `${SIMULATOR_URL}/webhook?token=s3cret`, events: ['complete'] }], mqtt: { enabled: false } }
+        });
+        expect(saved.ok()).toBeTruthy();
+        try {
+            expect((await admin.post('/api/integrations/test')).ok()).toBeTruthy();
+
+            expect((await sessions.viewer1.get('/api/integrations/deliveries')).status()).toBe(403);
+
+            const forOperator = await sessions.operator1.get('/api/integrations/deliveries');
+            expect(forOperator.status()).toBe(200);
+            const operatorLog = (await forOperator.json()).deliveries;
+            expect(operatorLog[0].target).toBe(`${SIMULATOR_URL}/webhook`);
+            expect(JSON.stringify(operatorLog)).not.toContain('s3cret');
+            expect(Object.keys(operatorLog[0].payload).sort()).toEqual(['event', 'port', 'serial']);
+
+            const adminLog = (await (await admin.get('/api/integrations/deliveries')).json()).deliveries;
+            expect(adminLog[0].target).toContain('token=s3cret');
+        } finally {
+            await admin.put('/api/integrations', { data: { webhooks: [], mqtt: { enabled: false } } });
+        }
+    });
+});
@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance, portCard, portStatus } = require('../helpers');
+
+const DEFAULT_LIMITS = { warning: 300, critical: 900 };
+
+// The server times each phase from when it saw the device enter it, in real time; the provisioner
+// reports no timestamps. Short limits stand in for a long wait, and the simulator clock moves the
+// device between phases
+async function setBootstrapLimits(request, limits) {
+    const response = await request.put('/api/settings/thresholds', {
+        data: { phases: { bootstrap: limits, triage: DEFAULT_LIMITS, provisioning: DEFAULT_LIMITS }, images: {} }
+    });
+    expect(response.ok()).toBeTruthy();
+}
+
+async function slowPorts(request) {
+    const metrics = await (await request.get('/metrics')).text();
+    return Number(metrics.match(/^usb_port_monitor_ports\{status="slow"\} (\d+)$/m)[1]);
+}
+
+test.describe('slow bootstrap', () => {
+    test.beforeEach(async ({ request }) => {
+        await startScenario(request, 'slow-bootstrap');
+    });
+
+    test.afterEach(async ({ request }) => {
+        await setBootstrapLimits(request, DEFAULT_LIMITS);
+    });
+
+    test('flags a slow, then stalled bootstrap, as the server does', async ({ page, request }) => {
+        await page.goto('/');
+        const card = portCard(page, 'usb:1-1.2');
+        const status = portStatus(page, 'usb:1-1.2');
+        await expect(status).toContainText('BOOTSTRAP');
+        await expect(status).not.toContainText('SLOW');
+
+        await setBootstrapLimits(request, { warning: 3, critical: 8 });
+        await page.reload();
+        await expect(status).toContainText('(SLOW)');
+        await expect(card).toHaveClass(/slow-warning/);
+        await expect(page.locator('.notification', { hasText: 'usb:1-1.2: bootstrap slow' })).toBeVisible();
+        expect(await slowPorts(request)).toBeGreaterThanOrEqual(1);
+
+        await expect(status).toContainText('(STALLED)', { timeout: 15000 });
+        await expect(card).toHaveClass(/slow-critical/);
+    });
+
+    test('keeps the phase age across a reload and in a second browser', async ({ page, context, request }) => {
+        await setBootstrapLimits(request, { warning: 3, critical: 600 });
+        await page.goto('/');
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('(SLOW)');
+
+        await page.reload();
+        await expect(portStatus(page, 'usb:1-1.2')).toContainText('(SLOW)');
+        const other = await context.newPage();
+        await other.goto('/');
+        await expect(portStatus(other, 'usb:1-1.2')).toContainText('(SLOW)');
+    });
+
+    test('restarts the timer when the device moves to the next phase', async ({ page, request }) => {
+        await setBootstrapLimits(request, { warning: 3, critical: 600 });
+        await page.goto('/');
+        const status = portStatus(page, 'usb:1-1.2');
+        await expect(status).toContainText('(SLOW)');
+
+        // Past the 20 minute bootstrap and the firmware update, into triage
+        await advance(request, 1220);
+        await expect(status).toContainText('TRIAGE');
+        await expect(status).not.toContainText('SLOW');
+        await expect(portCard(page, 'usb:1-1.2')).not.toHaveClass(/slow-/);
+        expect(await slowPorts(request)).toBe(0);
+    });
+});
@@ -0,0 +1,49 @@
+const { test, expect } = require('@playwright/test');
+const { startScenario, advance } = require('../helpers');
+
+// Statistics, failures and the export share one time window parser
+test.describe('time window parameters', () => {
+    for (const path of ['/api/stats', '/api/failures', '/api/export']) {
+        test(`${path} rejects hours that aren't a positive number`, async ({ request }) => {
+            for (const hours of ['inf', 'nan', '0', '-8', 'abc']) {
+                const response = await request.get(`${path}?hours=${hours}`);
+                expect(response.status(), `hours=${hours}`).toBe(400);
+                expect((await response.json()).message).toContain('Invalid query parameter');
+            }
+        });
+    }
+
+    test('clamps a huge window to 31 days', async ({ request }) => {
+        const response = await request.get('/api/stats?hours=1e9');
+        expect(response.ok()).toBeTruthy();
+        expect((await response.json()).window.hours).toBe(744);
+    });
+
+    for (const path of ['/api/stats', '/api/failures', '/api/export']) {
+        test(`${path} rejects a since/until range over 31 days or backwards`, async ({ request }) => {
+            expect((await request.get(`${path}?since=0`)).status()).toBe(400);
+            expect((await request.get(`${path}?since=2025-01-01T00:00:00&until=2024-01-01T00:00:00`)).status()).toBe(400);
+        });
+    }
+});
+
+test.describe('limit parameter', () => {
+    test('keeps the history limit between 1 and 5000', async ({ request }) => {
+        await startScenario(request, 'normal');
+        await advance(request, 120);
+        // Wait for the poller to record the run
+        await expect.poll(async () => (await (await request.get('/api/history')).json()).events.length).toBeGreaterThan(1);
+        for (const limit of ['-1', '0']) {
+            const response = await request.get(`/api/history?limit=${limit}`);
+            expect(response.ok(), `limit=${limit}`).toBeTruthy();
+            expect((await response.json()).events.length, `limit=${limit}`).toBe(1);
+        }
+        expect((await request.get('/api/history?limit=abc')).status()).toBe(400);
+    });
+
+    test('requires 1 to 2000 device log lines', async ({ request }) => {
+        for (const lines of ['0', '-5', '2001', 'abc']) {
+            expect((await request.get(`/api/devices/1000000000000000/log?lines=${lines}`)).status(), `lines=${lines}`).toBe(400);
+        }
+    });
+});